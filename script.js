@@ -58,6 +58,17 @@ const DOMCache = {
     materiModalBody: null,
     quizModal: null,
     quizBody: null,
+    flashcardModal: null,
+    flashcardBody: null,
+    shortcutsModal: null,
+    shortcutsBody: null,
+    profileModal: null,
+    profileBody: null,
+    learnersModal: null,
+    learnersBody: null,
+    authoringModal: null,
+    authoringBody: null,
+    progressDashboard: null,
     
     init() {
         this.loadingScreen = document.getElementById('loading-screen');
@@ -73,9 +84,1040 @@ const DOMCache = {
         this.materiModalBody = document.getElementById('modal-body');
         this.quizModal = document.getElementById('quiz-modal');
         this.quizBody = document.getElementById('quiz-body');
+        this.flashcardModal = document.getElementById('flashcard-modal');
+        this.flashcardBody = document.getElementById('flashcard-body');
+        this.shortcutsModal = document.getElementById('shortcuts-modal');
+        this.shortcutsBody = document.getElementById('shortcuts-body');
+        this.profileModal = document.getElementById('profile-modal');
+        this.profileBody = document.getElementById('profile-body');
+        this.learnersModal = document.getElementById('learners-modal');
+        this.learnersBody = document.getElementById('learners-body');
+        this.authoringModal = document.getElementById('authoring-modal');
+        this.authoringBody = document.getElementById('authoring-body');
+        this.progressDashboard = document.getElementById('progress-dashboard');
     }
 };
 
+// Safe JSON wrapper around localStorage (private mode and full quotas throw).
+// Keys belong to the active learner profile (see LearnerProfiles); `shared` keys
+// belong to the whole browser.
+const LocalStore = {
+    prefix: 'eduverse:',
+    scope: '',
+    shared: ['profiles', 'outbox'],
+    
+    keyFor(key, scope = this.scope) {
+        return this.prefix + (this.shared.includes(key) ? '' : scope) + key;
+    },
+    
+    get(key, fallback = null, scope = this.scope) {
+        try {
+            const raw = localStorage.getItem(this.keyFor(key, scope));
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (error) {
+            console.warn(`Unable to read "${key}" from storage:`, error);
+            return fallback;
+        }
+    },
+    
+    set(key, value, scope = this.scope) {
+        try {
+            localStorage.setItem(this.keyFor(key, scope), JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.warn(`Unable to save "${key}" to storage:`, error);
+            return false;
+        }
+    },
+    
+    remove(key, scope = this.scope) {
+        try {
+            localStorage.removeItem(this.keyFor(key, scope));
+        } catch (error) {
+            console.warn(`Unable to remove "${key}" from storage:`, error);
+        }
+    },
+    
+    // Keys saved under one scope, without the prefix; shared keys and other profiles are left out
+    keys(scope = this.scope) {
+        const start = this.prefix + scope;
+        const keys = [];
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (!key?.startsWith(start)) continue;
+                const name = key.slice(start.length);
+                if (!this.shared.includes(name) && !name.startsWith(LEARNER_SCOPE_PREFIX)) keys.push(name);
+            }
+        } catch (error) {
+            console.warn('Unable to list storage keys:', error);
+        }
+        return keys;
+    }
+};
+
+// Escape text before interpolating it into template literals
+function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round((ms || 0) / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    
+    if (hours > 0) return t('duration.hours', { hours, minutes });
+    if (minutes > 0) return t('duration.minutes', { minutes, seconds: String(seconds).padStart(2, '0') });
+    return t('duration.seconds', { seconds });
+}
+
+// Lowercase ASCII words joined by dashes, for file names
+function toFileSlug(text) {
+    return normalizeSearchText(text).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Hands generated text to the browser as a file download
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString(I18n.locale(), {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// ===============================
+// INTERNATIONALIZATION
+// ===============================
+// UI strings for every supported language; keys are grouped by the feature that uses them.
+// {name} placeholders are filled in by t(key, params).
+const MESSAGES = {
+    id: {
+        'meta.title': 'EduVerse - Solusi Belajar Bahasa Inggris',
+        'nav.home': 'Beranda',
+        'nav.materi': 'Materi',
+        'nav.latihan': 'Latihan',
+        'nav.progress': 'Progress',
+        'nav.about': 'Tentang',
+        'nav.languageToggle': 'EN',
+        'nav.languageLabel': 'Switch to English',
+        'hero.title': 'Tingkatkan <span class="highlight">Skill Bahasa Inggris</span> Anda dengan EduVerse',
+        'hero.description': 'Platform belajar bahasa Inggris dengan materi interaktif dan latihan soal lengkap untuk bantu kamu tingkatkan kemampuan.',
+        'hero.startLearning': 'Mulai Belajar Gratis',
+        'hero.startPractice': 'Latihan Soal Gratis',
+        'features.title': 'Mengapa Memilih EduVerse?',
+        'features.content.title': 'Materi Komprehensif',
+        'features.content.body': 'Kurikulum lengkap dari dasar hingga advanced dengan penjelasan yang mudah dipahami',
+        'features.practice.title': 'Latihan Interaktif',
+        'features.practice.body': 'Ribuan soal latihan dengan feedback langsung untuk mempercepat proses belajar',
+        'features.progress.title': 'Progress Tracking',
+        'features.progress.body': 'Pantau perkembangan belajar Anda dengan sistem tracking yang detail',
+        'features.access.title': 'Akses Dimana Saja',
+        'features.access.body': 'Belajar kapan saja dan dimana saja dengan platform yang responsive',
+        'section.materi': 'Materi Pembelajaran',
+        'section.latihan': 'Latihan Soal',
+        'section.progress': 'Progress Belajar',
+        'about.title': 'Tentang EduVerse',
+        'about.body': 'EduVerse adalah platform pembelajaran bahasa Inggris yang dirancang khusus untuk mengatasi masalah rendahnya skill bahasa Inggris siswa. Dengan pendekatan pembelajaran yang interaktif dan menyenangkan, kami membantu siswa meningkatkan kemampuan bahasa Inggris mereka secara efektif.',
+        'about.questions': 'Soal Latihan',
+        'about.lessons': 'Materi Pembelajaran',
+        'about.satisfaction': 'Tingkat Kepuasan',
+        'about.join': 'Bergabung dengan ribuan siswa yang telah meningkatkan skill bahasa Inggris mereka',
+        'footer.tagline': 'Platform pembelajaran bahasa Inggris terdepan untuk meningkatkan skill siswa',
+        'footer.links': 'Tautan Cepat',
+        'footer.contact': 'Kontak',
+        'footer.rights': '© 2025 EduVerse. Hak cipta dilindungi.',
+        'common.close': 'Tutup',
+        'common.scrollTop': 'Kembali ke atas',
+        'duration.hours': '{hours}j {minutes}m',
+        'duration.minutes': '{minutes}m {seconds}d',
+        'duration.seconds': '{seconds}d',
+        'loading.start': 'Memuat...',
+        'loading.content': 'Menyiapkan materi...',
+        'loading.almost': 'Hampir selesai...',
+        'loading.welcome': 'Selamat datang!',
+        'difficulty.easy': 'Mudah',
+        'difficulty.medium': 'Sedang',
+        'difficulty.hard': 'Sulit',
+        'error.contentBody': 'Konten ini belum dapat dimuat. Coba muat ulang halaman, atau hubungi pengajar jika masalah berlanjut.',
+        'error.details': 'Detail teknis',
+        'error.lessonsUnavailable': 'Materi tidak tersedia',
+        'error.lessonUnavailable': 'Materi tidak tersedia',
+        'error.quizUnavailable': 'Kuis tidak tersedia',
+        'error.quizzesUnavailable': 'Latihan soal tidak tersedia',
+        'error.vocabularyUnavailable': 'Daftar kosakata tidak tersedia',
+        'error.tensesUnavailable': 'Referensi tenses tidak tersedia',
+        'error.passagesUnavailable': 'Teks bacaan tidak tersedia',
+        'error.badgesUnavailable': 'Lencana tidak tersedia',
+        'topic.new': 'Baru!',
+        'topic.comingSoon': 'Segera Hadir...',
+        'topic.open': 'Pelajari',
+        'topic.emptyTab': 'Belum ada materi di kategori ini.',
+        'topic.preparing': 'Materi ini sedang disiapkan oleh tim EduVerse dan akan segera tersedia.',
+        'topic.subscribe': 'Beri tahu saya saat tersedia',
+        'topic.unsubscribe': 'Batalkan pengingat',
+        'topic.subscribedHint': 'Kami akan menandai materi ini dengan label "Baru!" saat sudah terbit.',
+        'audio.play': 'Putar',
+        'audio.pause': 'Jeda',
+        'audio.defaultTitle': 'Dengarkan baik-baik',
+        'audio.speed': 'Kecepatan putar',
+        'audio.transcript': 'Transkrip',
+        'audio.showTranscript': 'Tampilkan transkrip',
+        'audio.transcriptLocks': 'Setelah transkrip dibuka, jawabanmu tidak bisa diubah lagi.',
+        'audio.answerLocked': 'Jawabanmu sudah dikunci karena transkrip dibuka.',
+        'audio.unavailable': 'Audio tidak tersedia di browser ini',
+        'audio.noPlaysLeft': 'Kesempatan memutar habis',
+        'audio.playLeft': 'Sisa {count} kali putar',
+        'audio.playsLeft': 'Sisa {count} kali putar',
+        'audio.speech': 'Text-to-speech',
+        'quiz.hint.multiple': 'Pilih semua jawaban yang benar.',
+        'quiz.hint.fill': 'Ketik jawabanmu',
+        'quiz.hint.order': 'Seret potongan kata (atau gunakan tanda panah) untuk menyusun kalimat yang benar.',
+        'quiz.hint.match': 'Pasangkan setiap item di kiri dengan pasangannya.',
+        'quiz.choose': 'Pilih...',
+        'quiz.moveUp': 'Pindah ke atas',
+        'quiz.moveDown': 'Pindah ke bawah',
+        'quiz.true': 'Benar',
+        'quiz.false': 'Salah',
+        'quiz.progress': 'Soal {current} dari {total}',
+        'quiz.previous': 'Sebelumnya',
+        'quiz.next': 'Berikutnya',
+        'quiz.finish': 'Selesai',
+        'exam.start': 'Mode Ujian',
+        'exam.timeLeft': 'Sisa waktu',
+        'exam.questionTimeLeft': 'Sisa waktu soal',
+        'exam.timedOut': 'Waktu habis — jawaban dikumpulkan otomatis.',
+        'exam.leftPage': 'Kamu meninggalkan halaman ujian {count} kali.',
+        'exam.confirmClose': 'Ujian masih berjalan. Kumpulkan jawaban sekarang?',
+        'exam.minutes': '{count} menit',
+        'exam.secondsPerQuestion': '{count} detik/soal',
+        'results.title': 'Hasil Kuis',
+        'results.examTitle': 'Hasil Ujian',
+        'results.score': 'Kamu menjawab benar {score} dari {total} soal.',
+        'results.xp': '+{count} XP',
+        'results.excellent': 'Luar biasa! Pemahamanmu terhadap materi sudah sangat baik.',
+        'results.good': 'Kerja bagus! Terus berlatih supaya makin mahir.',
+        'results.keepStudying': 'Terus belajar! Ulangi materinya lalu coba lagi.',
+        'results.seed': 'Kode soal:',
+        'results.review': 'Tinjau Jawabanmu:',
+        'results.yourAnswer': 'Jawabanmu:',
+        'results.notAnswered': 'Tidak dijawab',
+        'results.correctAnswer': 'Jawaban benar:',
+        'results.studyLesson': 'Pelajari materi:',
+        'results.tryAgain': 'Coba Lagi',
+        'results.correct': 'benar',
+        'results.incorrect': 'salah',
+        'results.announce': 'Skor kamu {percentage}%: {score} dari {total} soal benar.',
+        'mistakes.title': 'Latihan Kesalahan',
+        'mistakes.description': 'Ulangi soal yang pernah kamu jawab salah dari semua kategori',
+        'mistakes.practiceCount': 'Latihan Kesalahan ({count})',
+        'mistakes.categories': '{count} kategori',
+        'mistakes.retireAfter': 'Selesai setelah {count}x benar',
+        'mistakes.emptyTitle': 'Tidak ada kesalahan untuk dilatih',
+        'mistakes.emptyBody': 'Semua soal yang pernah salah sudah kamu jawab benar {count} kali. Kerjakan kuis lain untuk terus berlatih!',
+        'progress.notTried': 'Belum dicoba',
+        'progress.best': 'Terbaik {score}%',
+        'progress.examTag': 'Ujian',
+        'progress.replay': 'Kerjakan ulang soal yang sama (kode {seed})',
+        'progress.quizzesDone': 'Kuis Selesai',
+        'progress.averageScore': 'Rata-rata Skor',
+        'progress.lessonsOpened': 'Materi Dibuka',
+        'progress.practiceTime': 'Waktu Latihan',
+        'progress.byCategory': 'Skor per Kategori',
+        'progress.history': 'Riwayat Kuis',
+        'progress.noQuizzes': 'Belum ada kuis yang diselesaikan.',
+        'progress.lessonsRead': 'Materi yang Dibaca',
+        'progress.noLessons': 'Belum ada materi yang dibuka.',
+        'progress.reset': 'Hapus Progress',
+        'progress.resetConfirm': 'Hapus semua riwayat progress belajar?',
+        'offline.status': 'Kamu sedang offline. Materi dan latihan tetap bisa dipakai.',
+        'offline.pending': '{count} hasil kuis menunggu dikirim.',
+        'offline.resultQueued': 'Kamu sedang offline. Hasil ini sudah tersimpan di perangkat dan akan dikirim begitu kembali online.',
+        'offline.updateReady': 'Versi baru EduVerse sudah tersedia.',
+        'offline.updateAction': 'Muat Ulang',
+        'offline.dismiss': 'Nanti Saja',
+        'authoring.open': 'Panel Pengajar',
+        'authoring.title': 'Panel Penulisan Konten',
+        'authoring.intro': 'Perubahan disimpan sebagai draf di browser ini. Ekspor filenya lalu simpan di folder content/ agar tampil di situs.',
+        'authoring.quizzes': 'Kuis',
+        'authoring.lessons': 'Materi',
+        'authoring.import': 'Impor File',
+        'authoring.export': 'Ekspor {file}',
+        'authoring.exported': '{file} sudah diekspor. Simpan di folder content/ untuk menerbitkannya.',
+        'authoring.exportConfirm': 'Masih ada {count} masalah. Entri yang bermasalah akan dilewati oleh situs. Tetap ekspor?',
+        'authoring.imported': '{file} diimpor ({count} entri).',
+        'authoring.importFailed': 'File tidak bisa diimpor: {error}',
+        'authoring.importUnknown': 'File ini bukan lessons.json atau quizzes.json.',
+        'authoring.reset': 'Buang Draf',
+        'authoring.resetConfirm': 'Buang semua perubahan draf dan mulai lagi dari konten situs?',
+        'authoring.problems': '{count} masalah',
+        'authoring.noProblems': 'Tidak ada masalah',
+        'authoring.untitled': '(tanpa judul)',
+        'authoring.empty': 'Belum ada isi. Tambahkan yang baru untuk memulai.',
+        'authoring.none': '(tidak ada)',
+        'authoring.quizSelect': 'Kuis',
+        'authoring.addQuiz': 'Kuis Baru',
+        'authoring.deleteQuiz': 'Hapus Kuis',
+        'authoring.deleteQuizConfirm': 'Hapus kuis "{name}" beserta semua soalnya?',
+        'authoring.quizSettings': 'Pengaturan kuis',
+        'authoring.quizKey': 'Kode kuis',
+        'authoring.icon': 'Ikon (kelas Font Awesome)',
+        'authoring.titleField': 'Judul',
+        'authoring.descriptionField': 'Deskripsi',
+        'authoring.lessonLink': 'Materi terkait',
+        'authoring.questions': 'Soal',
+        'authoring.passageQuestions': 'Soal dari teks bacaan {passages} diambil dari passages.json dan tidak bisa diubah di panel ini. Soal yang ditambahkan di sini muncul sebelum soal bacaan.',
+        'authoring.questionNumber': 'Soal {number}',
+        'authoring.addQuestion': 'Tambah Soal',
+        'authoring.deleteQuestion': 'Hapus Soal',
+        'authoring.deleteQuestionConfirm': 'Hapus soal {number}?',
+        'authoring.type': 'Jenis soal',
+        'authoring.type.single': 'Pilihan ganda (satu jawaban)',
+        'authoring.type.multiple': 'Pilihan ganda (beberapa jawaban)',
+        'authoring.type.truefalse': 'Benar / Salah',
+        'authoring.type.fill': 'Isian',
+        'authoring.type.order': 'Urutkan kalimat',
+        'authoring.type.match': 'Menjodohkan',
+        'authoring.questionText': 'Pertanyaan',
+        'authoring.options': 'Pilihan jawaban (tandai yang benar)',
+        'authoring.option': 'Pilihan {letter}',
+        'authoring.correctOption': 'Pilihan {letter} benar',
+        'authoring.addOption': 'Tambah Pilihan',
+        'authoring.removeOption': 'Hapus pilihan {letter}',
+        'authoring.correctAnswer': 'Jawaban benar',
+        'authoring.answers': 'Jawaban yang diterima (satu per baris)',
+        'authoring.caseSensitive': 'Bedakan huruf besar dan kecil',
+        'authoring.items': 'Potongan kalimat dalam urutan yang benar (satu per baris)',
+        'authoring.pairs': 'Pasangan, satu per baris: kiri | kanan',
+        'authoring.explanation': 'Pembahasan',
+        'authoring.difficulty': 'Tingkat kesulitan',
+        'authoring.tags': 'Tag (pisahkan dengan koma)',
+        'authoring.preview': 'Pratinjau',
+        'authoring.previewBlocked': 'Perbaiki masalahnya dulu untuk melihat pratinjau.',
+        'authoring.lessonId': 'ID materi',
+        'authoring.body': 'Isi (HTML)',
+        'authoring.addLesson': 'Materi Baru',
+        'authoring.deleteLesson': 'Hapus Materi',
+        'authoring.deleteLessonConfirm': 'Hapus materi "{name}"?',
+        'authoring.invalidId': 'ID hanya boleh berisi huruf kecil, angka dan tanda hubung (contoh: past-tense).',
+        'authoring.duplicateId': 'ID "{id}" sudah dipakai.',
+        'lesson.callout.tip': 'Tips',
+        'lesson.callout.note': 'Catatan',
+        'lesson.callout.formula': 'Rumus',
+        'lesson.callout.example': 'Contoh',
+        'tenses.time.present': 'Present (Sekarang)',
+        'tenses.time.past': 'Past (Lampau)',
+        'tenses.time.future': 'Future (Akan Datang)',
+        'tenses.form.affirmative': 'Positif (+)',
+        'tenses.form.negative': 'Negatif (−)',
+        'tenses.form.interrogative': 'Tanya (?)',
+        'tenses.signalWords': 'Kata kunci waktu:',
+        'tenses.irregular.title': 'Tabel kata kerja tidak beraturan ({count} kata)',
+        'tenses.explorer.title': 'Coba Sendiri: Konjugasi Kata Kerja',
+        'tenses.explorer.intro': 'Pilih subjek, kata kerja dan tense untuk melihat kalimat positif, negatif dan tanyanya.',
+        'tenses.explorer.subject': 'Subjek',
+        'tenses.explorer.verb': 'Kata kerja',
+        'tenses.explorer.tense': 'Tense',
+        'tenses.explorer.invalidVerb': 'Tulis satu kata kerja bahasa Inggris dalam bentuk dasar, misalnya "eat".',
+        'tenses.explorer.forms': 'Bentuk kata kerja (V1 · V2 · V3 · V-ing):',
+        'tenses.explorer.regular': 'beraturan',
+        'tenses.explorer.irregular': 'tidak beraturan',
+        'tenses.explorer.practice': 'Latihan {tense}',
+        'tenses.drill.title': 'Drill 12 Tenses',
+        'tenses.drill.titleOne': 'Drill {tense}',
+        'tenses.drill.description': 'Soal acak dari mesin konjugasi: lengkapi dan pilih bentuk kata kerja yang tepat',
+        'tenses.drill.choose': 'Pilih kalimat {tense} yang benar, {form}: {words}',
+        'tenses.drill.fill': 'Lengkapi dengan {tense}, {form}: {sentence} ({verb})',
+        'tenses.drill.explanation': '{tense}, {form}: {formula}. Jawaban: {answer}',
+        'drills.more': 'Latihan Tanpa Batas',
+        'drills.tenseHint': '(gunakan {tense})',
+        'drills.tenseHintNegative': '(gunakan {tense}, kalimat negatif)',
+        'drills.explain.tense': '{tense}: {formula}. Jawaban: {answer}.',
+        'drills.explain.irregularVerb': '"{verb}" adalah kata kerja tidak beraturan: {forms}.',
+        'drills.explain.comparative.short': 'Kata sifat pendek "{adjective}" mendapat akhiran -er: {answer}.',
+        'drills.explain.comparative.long': 'Kata sifat panjang "{adjective}" memakai "more": {answer}.',
+        'drills.explain.comparative.irregular': '"{adjective}" tidak beraturan; bentuk comparative-nya {answer}.',
+        'drills.explain.superlative.short': 'Kata sifat pendek "{adjective}" mendapat akhiran -est: the {answer}.',
+        'drills.explain.superlative.long': 'Kata sifat panjang "{adjective}" memakai "most": the {answer}.',
+        'drills.explain.superlative.irregular': '"{adjective}" tidak beraturan; bentuk superlative-nya the {answer}.',
+        'drills.explain.plural.s': 'Sebagian besar kata benda cukup ditambah -s: {noun} → {answer}.',
+        'drills.explain.plural.es': 'Kata benda berakhiran s, x, z, ch, sh atau konsonan + o ditambah -es: {noun} → {answer}.',
+        'drills.explain.plural.ies': 'Konsonan + y berubah menjadi -ies: {noun} → {answer}.',
+        'drills.explain.plural.irregular': '"{noun}" memiliki bentuk jamak tidak beraturan: {answer}.',
+        'reading.time': '± {count} menit baca',
+        'reading.words': '{count} kata',
+        'reading.tapHint': 'Ketuk sebuah kata untuk melihat artinya.',
+        'reading.noEntry': 'Kata ini belum ada di glosarium.',
+        'reading.start': 'Baca & Jawab',
+        'search.placeholder': 'Cari materi, kosakata, soal...',
+        'search.label': 'Cari di EduVerse',
+        'search.noResults': 'Tidak ada hasil untuk "{query}"',
+        'search.count': '{count} hasil ditemukan',
+        'search.kind.lesson': 'Materi',
+        'search.kind.vocabulary': 'Kosakata',
+        'search.kind.passage': 'Bacaan',
+        'search.kind.question': 'Soal',
+        'placement.yourLevel': 'Level kamu: {level}',
+        'placement.levelScore': '{correct} dari {asked} benar',
+        'placement.path': 'Jalur belajar yang disarankan',
+        'placement.invite': 'Belum tahu harus mulai dari mana?',
+        'placement.start': 'Ikuti Tes Penempatan',
+        'placement.retake': 'Ulangi tes',
+        'placement.announce': 'Tes selesai. Perkiraan level kamu: {level}',
+        'profile.open': 'Profil belajar: XP, streak dan lencana',
+        'profile.title': 'Profil Belajar',
+        'profile.xp': 'Total XP',
+        'profile.streak': 'Streak harian',
+        'profile.bestStreak': 'Streak terbaik',
+        'profile.level': 'Level CEFR',
+        'profile.streakStart': 'Belajar hari ini untuk memulai streak.',
+        'profile.streakToday': 'Kamu sudah belajar hari ini. Sampai jumpa besok!',
+        'profile.streakKeep': 'Belajar hari ini agar streak-mu tetap jalan.',
+        'profile.streakGrace': 'Kemarin terlewat, jadi hari cadanganmu terpakai. Belajar hari ini agar streak tetap jalan.',
+        'profile.graceRule': 'Satu hari terlewat tidak memutus streak, paling banyak sekali setiap {count} hari.',
+        'profile.earned': 'Lencana diraih ({count})',
+        'profile.locked': 'Belum terbuka ({count})',
+        'profile.noBadges': 'Belum ada lencana. Selesaikan kuis, buka materi atau ulangi flashcard untuk mulai.',
+        'profile.earnedOn': 'Diraih {date}',
+        'profile.progress': '{current} dari {target}',
+        'badges.unlocked': 'Lencana baru!',
+        'badges.announce': 'Lencana baru: {title}',
+        'learners.switch': 'Profil aktif: {name}. Ganti profil',
+        'learners.title': 'Profil Pelajar',
+        'learners.intro': 'Setiap pelajar di komputer ini punya riwayat kuis, progress dan pengaturannya sendiri. Ekspor profilmu untuk membawanya ke komputer lain.',
+        'learners.lockedIntro': 'Profil terakhir di komputer ini dilindungi PIN. Masukkan PIN-nya untuk melanjutkan, atau pilih pelajar lain.',
+        'learners.defaultName': 'Pelajar',
+        'learners.active': 'Sedang dipakai',
+        'learners.locked': 'Dilindungi PIN',
+        'learners.use': 'Pakai',
+        'learners.edit': 'Ubah',
+        'learners.export': 'Ekspor',
+        'learners.delete': 'Hapus',
+        'learners.deleteLabel': 'Hapus profil {name}',
+        'learners.add': 'Tambah Profil',
+        'learners.import': 'Impor Profil',
+        'learners.addTitle': 'Profil Baru',
+        'learners.editTitle': 'Ubah Profil',
+        'learners.name': 'Nama',
+        'learners.avatar': 'Avatar',
+        'learners.avatar.cat': 'Kucing',
+        'learners.avatar.dog': 'Anjing',
+        'learners.avatar.dove': 'Merpati',
+        'learners.avatar.fish': 'Ikan',
+        'learners.avatar.frog': 'Katak',
+        'learners.avatar.otter': 'Berang-berang',
+        'learners.avatar.robot': 'Robot',
+        'learners.avatar.rocket': 'Roket',
+        'learners.pin': 'PIN 4 angka (opsional)',
+        'learners.pinHint': 'Dengan PIN, teman sekelas tidak bisa membuka profilmu di komputer ini.',
+        'learners.pinKeep': 'Kosongkan agar PIN tetap sama.',
+        'learners.removePin': 'Hapus PIN',
+        'learners.save': 'Simpan',
+        'learners.saved': 'Profil sudah disimpan.',
+        'learners.cancel': 'Batal',
+        'learners.nameRequired': 'Isi nama dulu.',
+        'learners.pinInvalid': 'PIN harus 4 angka.',
+        'learners.pinPrompt': 'PIN untuk {name}',
+        'learners.pinWrong': 'PIN salah.',
+        'learners.unlock': 'Buka',
+        'learners.replace': 'Ganti',
+        'learners.deleteConfirm': 'Hapus profil {name} beserta semua riwayat dan pengaturannya?',
+        'learners.deleted': 'Profil {name} sudah dihapus.',
+        'learners.exported': '{file} sudah diekspor. Impor file ini di komputer lain untuk melanjutkan di sana.',
+        'learners.imported': 'Profil {name} sudah diimpor. Pilih "Pakai" untuk melanjutkan.',
+        'learners.importFailed': 'File tidak bisa diimpor: {error}',
+        'learners.importUnknown': 'File ini bukan profil EduVerse.',
+        'learners.replaceConfirm': 'Profil {name} sudah ada di komputer ini. Ganti dengan isi file?',
+        'export.label': 'Unduh atau cetak hasil ini',
+        'export.csv': 'Unduh CSV',
+        'export.json': 'Unduh JSON',
+        'export.print': 'Cetak Lembar Hasil',
+        'export.printLabel': 'Cetak lembar hasil {title}',
+        'export.historyCsv': 'Ekspor Riwayat (CSV)',
+        'export.historyJson': 'Ekspor Riwayat (JSON)',
+        'export.downloaded': '{file} sudah diunduh.',
+        'print.title': 'Lembar Hasil Latihan',
+        'print.statement': '{name} telah menyelesaikan {quiz}.',
+        'print.learner': 'Nama',
+        'print.quiz': 'Latihan',
+        'print.score': 'Nilai',
+        'print.date': 'Tanggal',
+        'print.duration': 'Waktu pengerjaan',
+        'print.mode': 'Mode',
+        'print.seed': 'Kode soal',
+        'print.timedOut': 'Waktu habis, jawaban dikumpulkan otomatis.',
+        'print.leftPage': 'Halaman ujian ditinggalkan {count} kali.',
+        'print.review': 'Tinjauan Jawaban',
+        'print.number': 'No.',
+        'print.question': 'Soal',
+        'print.answer': 'Jawaban',
+        'print.correctAnswer': 'Jawaban benar',
+        'print.result': 'Hasil',
+        'print.signature': 'Tanda tangan guru',
+        'print.generated': 'Dibuat dengan EduVerse pada {date}',
+        'latihan.questions': '{count} soal',
+        'latihan.estimate': '± {count} menit',
+        'shortcuts.title': 'Pintasan Keyboard',
+        'shortcuts.quiz.title': 'Kuis',
+        'shortcuts.quiz.select': 'Pilih jawaban',
+        'shortcuts.quiz.next': 'Soal berikutnya / selesai',
+        'shortcuts.quiz.previous': 'Soal sebelumnya',
+        'shortcuts.quiz.restart': 'Ulangi kuis (di layar hasil)',
+        'shortcuts.flashcards.title': 'Flashcards',
+        'shortcuts.flashcards.flip': 'Balik kartu',
+        'shortcuts.flashcards.grade': 'Nilai kartu (Lagi, Sulit, Bisa, Mudah)',
+        'shortcuts.page.title': 'Halaman',
+        'shortcuts.page.search': 'Cari di seluruh situs',
+        'shortcuts.page.menu': 'Buka menu (layar kecil)',
+        'shortcuts.page.top': 'Kembali ke atas',
+        'shortcuts.general.title': 'Umum',
+        'shortcuts.general.help': 'Tampilkan atau tutup daftar ini',
+        'shortcuts.general.close': 'Tutup jendela yang terbuka',
+        'shortcuts.general.tab': 'Pindah antar tombol',
+        'flashcards.again': 'Lagi',
+        'flashcards.hard': 'Sulit',
+        'flashcards.good': 'Bisa',
+        'flashcards.easy': 'Mudah',
+        'flashcards.oneDay': '1 hari',
+        'flashcards.days': '{count} hari',
+        'flashcards.months': '{count} bln',
+        'flashcards.start': 'Latihan Flashcards ({count} kartu hari ini)',
+        'flashcards.doneTitle': 'Selesai untuk hari ini!',
+        'flashcards.emptyTitle': 'Tidak ada kartu hari ini',
+        'flashcards.doneBody': 'Kamu mengulang {count} kartu. Kartu berikutnya akan muncul sesuai jadwal.',
+        'flashcards.emptyBody': 'Semua kartu sudah diulang. Kembali lagi besok untuk sesi berikutnya.',
+        'flashcards.progress': 'Kartu {current} dari {total}',
+        'flashcards.new': 'Baru',
+        'flashcards.flip': 'Balik kartu',
+        'flashcards.flipHint': 'Klik atau tekan Spasi untuk membalik',
+        'flashcards.deckTitle': 'Flashcards {title}',
+        'flashcards.learned': '{learned}/{total} kartu dipelajari',
+        'flashcards.dueToday': '{count} kartu hari ini',
+        'flashcards.doneToday': 'Selesai hari ini'
+    },
+    en: {
+        'meta.title': 'EduVerse - Your English Learning Solution',
+        'nav.home': 'Home',
+        'nav.materi': 'Lessons',
+        'nav.latihan': 'Practice',
+        'nav.progress': 'Progress',
+        'nav.about': 'About',
+        'nav.languageToggle': 'ID',
+        'nav.languageLabel': 'Ganti ke Bahasa Indonesia',
+        'hero.title': 'Boost Your <span class="highlight">English Skills</span> with EduVerse',
+        'hero.description': 'An English learning platform with interactive lessons and complete practice questions to help you improve.',
+        'hero.startLearning': 'Start Learning for Free',
+        'hero.startPractice': 'Free Practice Questions',
+        'features.title': 'Why Choose EduVerse?',
+        'features.content.title': 'Comprehensive Lessons',
+        'features.content.body': 'A complete curriculum from the basics to advanced, with explanations that are easy to follow',
+        'features.practice.title': 'Interactive Practice',
+        'features.practice.body': 'Thousands of practice questions with instant feedback to speed up your learning',
+        'features.progress.title': 'Progress Tracking',
+        'features.progress.body': 'Follow your learning progress with detailed tracking',
+        'features.access.title': 'Learn Anywhere',
+        'features.access.body': 'Study anytime and anywhere on a responsive platform',
+        'section.materi': 'Learning Materials',
+        'section.latihan': 'Practice Questions',
+        'section.progress': 'Learning Progress',
+        'about.title': 'About EduVerse',
+        'about.body': 'EduVerse is an English learning platform designed to tackle students\' low English skills. With an interactive and fun approach to learning, we help students improve their English effectively.',
+        'about.questions': 'Practice Questions',
+        'about.lessons': 'Lessons',
+        'about.satisfaction': 'Satisfaction Rate',
+        'about.join': 'Join thousands of students who have already improved their English skills',
+        'footer.tagline': 'The leading English learning platform for building students\' skills',
+        'footer.links': 'Quick Links',
+        'footer.contact': 'Contact',
+        'footer.rights': '© 2025 EduVerse. All rights reserved.',
+        'common.close': 'Close',
+        'common.scrollTop': 'Scroll to top',
+        'duration.hours': '{hours}h {minutes}m',
+        'duration.minutes': '{minutes}m {seconds}s',
+        'duration.seconds': '{seconds}s',
+        'loading.start': 'Loading...',
+        'loading.content': 'Preparing lessons...',
+        'loading.almost': 'Almost there...',
+        'loading.welcome': 'Welcome!',
+        'difficulty.easy': 'Easy',
+        'difficulty.medium': 'Medium',
+        'difficulty.hard': 'Hard',
+        'error.contentBody': 'This content could not be loaded. Try reloading the page, or contact your teacher if the problem persists.',
+        'error.details': 'Technical details',
+        'error.lessonsUnavailable': 'Lessons unavailable',
+        'error.lessonUnavailable': 'Lesson unavailable',
+        'error.quizUnavailable': 'Quiz unavailable',
+        'error.quizzesUnavailable': 'Practice questions unavailable',
+        'error.vocabularyUnavailable': 'Vocabulary list unavailable',
+        'error.tensesUnavailable': 'Tense reference unavailable',
+        'error.passagesUnavailable': 'Reading passages unavailable',
+        'error.badgesUnavailable': 'Badges unavailable',
+        'topic.new': 'New!',
+        'topic.comingSoon': 'Coming Soon...',
+        'topic.open': 'Learn',
+        'topic.emptyTab': 'No lessons in this category yet.',
+        'topic.preparing': 'The EduVerse team is preparing this lesson and it will be available soon.',
+        'topic.subscribe': 'Notify me when it is available',
+        'topic.unsubscribe': 'Cancel reminder',
+        'topic.subscribedHint': 'We will mark this lesson with a "New!" label once it is published.',
+        'audio.play': 'Play',
+        'audio.pause': 'Pause',
+        'audio.defaultTitle': 'Listen carefully',
+        'audio.speed': 'Playback speed',
+        'audio.transcript': 'Transcript',
+        'audio.showTranscript': 'Show transcript',
+        'audio.transcriptLocks': 'Once the transcript is open, your answer can no longer be changed.',
+        'audio.answerLocked': 'Your answer is locked because the transcript was opened.',
+        'audio.unavailable': 'Audio is not available in this browser',
+        'audio.noPlaysLeft': 'No plays left',
+        'audio.playLeft': '{count} play left',
+        'audio.playsLeft': '{count} plays left',
+        'audio.speech': 'Text-to-speech',
+        'quiz.hint.multiple': 'Select all answers that apply.',
+        'quiz.hint.fill': 'Type your answer',
+        'quiz.hint.order': 'Drag the pieces (or use the arrows) to build the correct sentence.',
+        'quiz.hint.match': 'Match each item on the left with its pair.',
+        'quiz.choose': 'Choose...',
+        'quiz.moveUp': 'Move up',
+        'quiz.moveDown': 'Move down',
+        'quiz.true': 'True',
+        'quiz.false': 'False',
+        'quiz.progress': 'Question {current} of {total}',
+        'quiz.previous': 'Previous',
+        'quiz.next': 'Next',
+        'quiz.finish': 'Finish',
+        'exam.start': 'Exam Mode',
+        'exam.timeLeft': 'Time left',
+        'exam.questionTimeLeft': 'Time left for this question',
+        'exam.timedOut': 'Time is up — your answers were submitted automatically.',
+        'exam.leftPage': 'You left the exam page {count} time(s).',
+        'exam.confirmClose': 'The exam is still running. Submit your answers now?',
+        'exam.minutes': '{count} min',
+        'exam.secondsPerQuestion': '{count} s/question',
+        'results.title': 'Quiz Results',
+        'results.examTitle': 'Exam Results',
+        'results.score': 'You scored {score} out of {total} questions correctly.',
+        'results.xp': '+{count} XP',
+        'results.excellent': 'Excellent! You have a great understanding of the material.',
+        'results.good': 'Good job! Keep practicing to improve further.',
+        'results.keepStudying': 'Keep studying! Review the materials and try again.',
+        'results.seed': 'Paper code:',
+        'results.review': 'Review Your Answers:',
+        'results.yourAnswer': 'Your answer:',
+        'results.notAnswered': 'Not answered',
+        'results.correctAnswer': 'Correct answer:',
+        'results.studyLesson': 'Study the lesson:',
+        'results.tryAgain': 'Try Again',
+        'results.correct': 'correct',
+        'results.incorrect': 'incorrect',
+        'results.announce': 'Your score is {percentage}%: {score} of {total} questions correct.',
+        'mistakes.title': 'Practice Mistakes',
+        'mistakes.description': 'Retry the questions you got wrong in every category',
+        'mistakes.practiceCount': 'Practice Mistakes ({count})',
+        'mistakes.categories': '{count} categories',
+        'mistakes.retireAfter': 'Done after {count} correct answers',
+        'mistakes.emptyTitle': 'No mistakes to practice',
+        'mistakes.emptyBody': 'You have answered every missed question correctly {count} times. Try another quiz to keep practicing!',
+        'progress.notTried': 'Not tried yet',
+        'progress.best': 'Best {score}%',
+        'progress.examTag': 'Exam',
+        'progress.replay': 'Retake the same paper (code {seed})',
+        'progress.quizzesDone': 'Quizzes Completed',
+        'progress.averageScore': 'Average Score',
+        'progress.lessonsOpened': 'Lessons Opened',
+        'progress.practiceTime': 'Practice Time',
+        'progress.byCategory': 'Score by Category',
+        'progress.history': 'Quiz History',
+        'progress.noQuizzes': 'No quizzes completed yet.',
+        'progress.lessonsRead': 'Lessons Read',
+        'progress.noLessons': 'No lessons opened yet.',
+        'progress.reset': 'Reset Progress',
+        'progress.resetConfirm': 'Delete your whole learning history?',
+        'offline.status': 'You are offline. Lessons and practice still work.',
+        'offline.pending': 'Quiz results waiting to be sent: {count}.',
+        'offline.resultQueued': 'You are offline. This result is saved on this device and will be sent as soon as you are back online.',
+        'offline.updateReady': 'A new version of EduVerse is available.',
+        'offline.updateAction': 'Reload',
+        'offline.dismiss': 'Later',
+        'authoring.open': 'Teacher Panel',
+        'authoring.title': 'Content Authoring',
+        'authoring.intro': 'Changes are kept as a draft in this browser. Export the files and save them in the content/ folder to publish them on the site.',
+        'authoring.quizzes': 'Quizzes',
+        'authoring.lessons': 'Lessons',
+        'authoring.import': 'Import File',
+        'authoring.export': 'Export {file}',
+        'authoring.exported': '{file} exported. Save it in the content/ folder to publish it.',
+        'authoring.exportConfirm': 'There are still {count} problems. The site skips broken entries. Export anyway?',
+        'authoring.imported': 'Imported {file} ({count} entries).',
+        'authoring.importFailed': 'The file could not be imported: {error}',
+        'authoring.importUnknown': 'This is not a lessons.json or quizzes.json file.',
+        'authoring.reset': 'Discard Draft',
+        'authoring.resetConfirm': 'Discard all draft changes and start again from the site content?',
+        'authoring.problems': '{count} problems',
+        'authoring.noProblems': 'No problems',
+        'authoring.untitled': '(untitled)',
+        'authoring.empty': 'Nothing here yet. Add one to get started.',
+        'authoring.none': '(none)',
+        'authoring.quizSelect': 'Quiz',
+        'authoring.addQuiz': 'New Quiz',
+        'authoring.deleteQuiz': 'Delete Quiz',
+        'authoring.deleteQuizConfirm': 'Delete the quiz "{name}" and all of its questions?',
+        'authoring.quizSettings': 'Quiz settings',
+        'authoring.quizKey': 'Quiz key',
+        'authoring.icon': 'Icon (Font Awesome class)',
+        'authoring.titleField': 'Title',
+        'authoring.descriptionField': 'Description',
+        'authoring.lessonLink': 'Related lesson',
+        'authoring.questions': 'Questions',
+        'authoring.passageQuestions': 'The questions of the passages {passages} come from passages.json and cannot be edited in this panel. Questions added here are asked before the passage questions.',
+        'authoring.questionNumber': 'Question {number}',
+        'authoring.addQuestion': 'Add Question',
+        'authoring.deleteQuestion': 'Delete Question',
+        'authoring.deleteQuestionConfirm': 'Delete question {number}?',
+        'authoring.type': 'Question type',
+        'authoring.type.single': 'Multiple choice (one answer)',
+        'authoring.type.multiple': 'Multiple choice (several answers)',
+        'authoring.type.truefalse': 'True / False',
+        'authoring.type.fill': 'Fill in the blank',
+        'authoring.type.order': 'Sentence order',
+        'authoring.type.match': 'Matching',
+        'authoring.questionText': 'Question',
+        'authoring.options': 'Answer options (mark the correct ones)',
+        'authoring.option': 'Option {letter}',
+        'authoring.correctOption': 'Option {letter} is correct',
+        'authoring.addOption': 'Add Option',
+        'authoring.removeOption': 'Remove option {letter}',
+        'authoring.correctAnswer': 'Correct answer',
+        'authoring.answers': 'Accepted answers (one per line)',
+        'authoring.caseSensitive': 'Case sensitive',
+        'authoring.items': 'Sentence parts in the correct order (one per line)',
+        'authoring.pairs': 'Pairs, one per line: left | right',
+        'authoring.explanation': 'Explanation',
+        'authoring.difficulty': 'Difficulty',
+        'authoring.tags': 'Tags (comma separated)',
+        'authoring.preview': 'Preview',
+        'authoring.previewBlocked': 'Fix the problems first to see a preview.',
+        'authoring.lessonId': 'Lesson id',
+        'authoring.body': 'Body (HTML)',
+        'authoring.addLesson': 'New Lesson',
+        'authoring.deleteLesson': 'Delete Lesson',
+        'authoring.deleteLessonConfirm': 'Delete the lesson "{name}"?',
+        'authoring.invalidId': 'Ids may only contain lowercase letters, digits and dashes (for example: past-tense).',
+        'authoring.duplicateId': 'The id "{id}" is already in use.',
+        'lesson.callout.tip': 'Tip',
+        'lesson.callout.note': 'Note',
+        'lesson.callout.formula': 'Formula',
+        'lesson.callout.example': 'Example',
+        'tenses.time.present': 'Present',
+        'tenses.time.past': 'Past',
+        'tenses.time.future': 'Future',
+        'tenses.form.affirmative': 'Affirmative (+)',
+        'tenses.form.negative': 'Negative (−)',
+        'tenses.form.interrogative': 'Question (?)',
+        'tenses.signalWords': 'Signal words:',
+        'tenses.irregular.title': 'Irregular verb table ({count} verbs)',
+        'tenses.explorer.title': 'Try It: Verb Conjugation',
+        'tenses.explorer.intro': 'Choose a subject, verb and tense to see the affirmative, negative and question forms.',
+        'tenses.explorer.subject': 'Subject',
+        'tenses.explorer.verb': 'Verb',
+        'tenses.explorer.tense': 'Tense',
+        'tenses.explorer.invalidVerb': 'Type one English verb in its base form, for example "eat".',
+        'tenses.explorer.forms': 'Verb forms (V1 · V2 · V3 · V-ing):',
+        'tenses.explorer.regular': 'regular',
+        'tenses.explorer.irregular': 'irregular',
+        'tenses.explorer.practice': 'Practise the {tense}',
+        'tenses.drill.title': '12 Tenses Drill',
+        'tenses.drill.titleOne': '{tense} Drill',
+        'tenses.drill.description': 'Random questions from the conjugation engine: complete and choose the right verb form',
+        'tenses.drill.choose': 'Choose the correct {tense} sentence, {form}: {words}',
+        'tenses.drill.fill': 'Complete with the {tense}, {form}: {sentence} ({verb})',
+        'tenses.drill.explanation': '{tense}, {form}: {formula}. Answer: {answer}',
+        'drills.more': 'Unlimited Practice',
+        'drills.tenseHint': '(use the {tense})',
+        'drills.tenseHintNegative': '(use the {tense}, negative)',
+        'drills.explain.tense': '{tense}: {formula}. Answer: {answer}.',
+        'drills.explain.irregularVerb': '"{verb}" is an irregular verb: {forms}.',
+        'drills.explain.comparative.short': 'The short adjective "{adjective}" takes -er: {answer}.',
+        'drills.explain.comparative.long': 'The long adjective "{adjective}" takes "more": {answer}.',
+        'drills.explain.comparative.irregular': '"{adjective}" is irregular; its comparative is {answer}.',
+        'drills.explain.superlative.short': 'The short adjective "{adjective}" takes -est: the {answer}.',
+        'drills.explain.superlative.long': 'The long adjective "{adjective}" takes "most": the {answer}.',
+        'drills.explain.superlative.irregular': '"{adjective}" is irregular; its superlative is the {answer}.',
+        'drills.explain.plural.s': 'Most nouns just add -s: {noun} → {answer}.',
+        'drills.explain.plural.es': 'Nouns ending in s, x, z, ch, sh or a consonant + o add -es: {noun} → {answer}.',
+        'drills.explain.plural.ies': 'A consonant + y becomes -ies: {noun} → {answer}.',
+        'drills.explain.plural.irregular': '"{noun}" has an irregular plural: {answer}.',
+        'reading.time': '~{count} min read',
+        'reading.words': '{count} words',
+        'reading.tapHint': 'Tap a word to see what it means.',
+        'reading.noEntry': 'This word is not in the glossary yet.',
+        'reading.start': 'Read & Answer',
+        'search.placeholder': 'Search lessons, words, questions...',
+        'search.label': 'Search EduVerse',
+        'search.noResults': 'No results for "{query}"',
+        'search.count': '{count} results found',
+        'search.kind.lesson': 'Lesson',
+        'search.kind.vocabulary': 'Vocabulary',
+        'search.kind.passage': 'Reading',
+        'search.kind.question': 'Question',
+        'placement.yourLevel': 'Your level: {level}',
+        'placement.levelScore': '{correct} of {asked} correct',
+        'placement.path': 'Recommended path',
+        'placement.invite': 'Not sure where to start?',
+        'placement.start': 'Take the Placement Test',
+        'placement.retake': 'Retake the test',
+        'placement.announce': 'Test finished. Your estimated level: {level}',
+        'profile.open': 'Learning profile: XP, streak and badges',
+        'profile.title': 'Learning Profile',
+        'profile.xp': 'Total XP',
+        'profile.streak': 'Daily streak',
+        'profile.bestStreak': 'Best streak',
+        'profile.level': 'CEFR level',
+        'profile.streakStart': 'Study today to start a streak.',
+        'profile.streakToday': 'You\'ve studied today. See you tomorrow!',
+        'profile.streakKeep': 'Study today to keep your streak going.',
+        'profile.streakGrace': 'You missed yesterday, so your grace day is used. Study today to keep the streak going.',
+        'profile.graceRule': 'Missing one day does not break a streak, at most once every {count} days.',
+        'profile.earned': 'Badges earned ({count})',
+        'profile.locked': 'Still locked ({count})',
+        'profile.noBadges': 'No badges yet. Finish a quiz, open a lesson or review flashcards to get started.',
+        'profile.earnedOn': 'Earned {date}',
+        'profile.progress': '{current} of {target}',
+        'badges.unlocked': 'New badge!',
+        'badges.announce': 'New badge: {title}',
+        'learners.switch': 'Active profile: {name}. Switch profile',
+        'learners.title': 'Learner Profiles',
+        'learners.intro': 'Every learner on this computer keeps their own quiz history, progress and settings. Export your profile to take it to another computer.',
+        'learners.lockedIntro': 'The last profile used on this computer is protected by a PIN. Enter it to continue, or choose another learner.',
+        'learners.defaultName': 'Learner',
+        'learners.active': 'In use',
+        'learners.locked': 'Protected by a PIN',
+        'learners.use': 'Use',
+        'learners.edit': 'Edit',
+        'learners.export': 'Export',
+        'learners.delete': 'Delete',
+        'learners.deleteLabel': 'Delete the profile {name}',
+        'learners.add': 'Add Profile',
+        'learners.import': 'Import Profile',
+        'learners.addTitle': 'New Profile',
+        'learners.editTitle': 'Edit Profile',
+        'learners.name': 'Name',
+        'learners.avatar': 'Avatar',
+        'learners.avatar.cat': 'Cat',
+        'learners.avatar.dog': 'Dog',
+        'learners.avatar.dove': 'Dove',
+        'learners.avatar.fish': 'Fish',
+        'learners.avatar.frog': 'Frog',
+        'learners.avatar.otter': 'Otter',
+        'learners.avatar.robot': 'Robot',
+        'learners.avatar.rocket': 'Rocket',
+        'learners.pin': '4-digit PIN (optional)',
+        'learners.pinHint': 'With a PIN, classmates cannot open your profile on this computer.',
+        'learners.pinKeep': 'Leave empty to keep the current PIN.',
+        'learners.removePin': 'Remove the PIN',
+        'learners.save': 'Save',
+        'learners.saved': 'The profile was saved.',
+        'learners.cancel': 'Cancel',
+        'learners.nameRequired': 'Enter a name first.',
+        'learners.pinInvalid': 'The PIN must be 4 digits.',
+        'learners.pinPrompt': 'PIN for {name}',
+        'learners.pinWrong': 'Wrong PIN.',
+        'learners.unlock': 'Unlock',
+        'learners.replace': 'Replace',
+        'learners.deleteConfirm': 'Delete the profile {name} with all its history and settings?',
+        'learners.deleted': 'The profile {name} was deleted.',
+        'learners.exported': '{file} was exported. Import it on another computer to carry on there.',
+        'learners.imported': 'The profile {name} was imported. Choose "Use" to carry on.',
+        'learners.importFailed': 'The file could not be imported: {error}',
+        'learners.importUnknown': 'This file is not an EduVerse profile.',
+        'learners.replaceConfirm': 'The profile {name} is already on this computer. Replace it with the file?',
+        'export.label': 'Download or print this result',
+        'export.csv': 'Download CSV',
+        'export.json': 'Download JSON',
+        'export.print': 'Print Result Sheet',
+        'export.printLabel': 'Print the result sheet for {title}',
+        'export.historyCsv': 'Export History (CSV)',
+        'export.historyJson': 'Export History (JSON)',
+        'export.downloaded': '{file} was downloaded.',
+        'print.title': 'Quiz Result Sheet',
+        'print.statement': '{name} has completed {quiz}.',
+        'print.learner': 'Name',
+        'print.quiz': 'Quiz',
+        'print.score': 'Score',
+        'print.date': 'Date',
+        'print.duration': 'Time taken',
+        'print.mode': 'Mode',
+        'print.seed': 'Paper code',
+        'print.timedOut': 'Time ran out; the answers were submitted automatically.',
+        'print.leftPage': 'The exam page was left {count} time(s).',
+        'print.review': 'Answer Review',
+        'print.number': 'No.',
+        'print.question': 'Question',
+        'print.answer': 'Answer',
+        'print.correctAnswer': 'Correct answer',
+        'print.result': 'Result',
+        'print.signature': 'Teacher\'s signature',
+        'print.generated': 'Generated with EduVerse on {date}',
+        'latihan.questions': '{count} questions',
+        'latihan.estimate': '± {count} min',
+        'shortcuts.title': 'Keyboard Shortcuts',
+        'shortcuts.quiz.title': 'Quiz',
+        'shortcuts.quiz.select': 'Choose an answer',
+        'shortcuts.quiz.next': 'Next question / finish',
+        'shortcuts.quiz.previous': 'Previous question',
+        'shortcuts.quiz.restart': 'Restart the quiz (on the results screen)',
+        'shortcuts.flashcards.title': 'Flashcards',
+        'shortcuts.flashcards.flip': 'Flip the card',
+        'shortcuts.flashcards.grade': 'Grade the card (Again, Hard, Good, Easy)',
+        'shortcuts.page.title': 'Page',
+        'shortcuts.page.search': 'Search the whole site',
+        'shortcuts.page.menu': 'Open the menu (small screens)',
+        'shortcuts.page.top': 'Scroll to top',
+        'shortcuts.general.title': 'General',
+        'shortcuts.general.help': 'Show or hide this list',
+        'shortcuts.general.close': 'Close the open window',
+        'shortcuts.general.tab': 'Move between buttons',
+        'flashcards.again': 'Again',
+        'flashcards.hard': 'Hard',
+        'flashcards.good': 'Good',
+        'flashcards.easy': 'Easy',
+        'flashcards.oneDay': '1 day',
+        'flashcards.days': '{count} days',
+        'flashcards.months': '{count} mo',
+        'flashcards.start': 'Practice Flashcards ({count} cards today)',
+        'flashcards.doneTitle': 'Done for today!',
+        'flashcards.emptyTitle': 'No cards today',
+        'flashcards.doneBody': 'You reviewed {count} cards. The next ones will show up on schedule.',
+        'flashcards.emptyBody': 'Every card has been reviewed. Come back tomorrow for the next session.',
+        'flashcards.progress': 'Card {current} of {total}',
+        'flashcards.new': 'New',
+        'flashcards.flip': 'Flip card',
+        'flashcards.flipHint': 'Click or press Space to flip',
+        'flashcards.deckTitle': '{title} Flashcards',
+        'flashcards.learned': '{learned}/{total} cards learned',
+        'flashcards.dueToday': '{count} cards today',
+        'flashcards.doneToday': 'Done for today'
+    }
+};
+
+const I18n = {
+    languages: ['id', 'en'],
+    fallback: 'id',
+    locales: { id: 'id-ID', en: 'en-GB' },
+    storageKey: 'language',
+    current: 'id',
+    
+    init() {
+        const saved = LocalStore.get(this.storageKey);
+        this.current = this.languages.includes(saved) ? saved : this.fallback;
+        this.applyStatic();
+    },
+    
+    t(key, params = {}) {
+        return this.translate(this.current, key, params);
+    },
+    
+    translate(lang, key, params = {}) {
+        const message = MESSAGES[lang][key] ?? MESSAGES[this.fallback][key];
+        if (message === undefined) {
+            console.warn(`Missing translation for "${key}"`);
+            return key;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+    
+    // Content fields may be a plain string or an object keyed by language
+    localize(value, lang = this.current) {
+        if (!isPlainObject(value)) return value;
+        return value[lang] ?? value[this.fallback] ?? Object.values(value)[0];
+    },
+    
+    // Every translation of one key, for values that outlive the current language (stored attempts)
+    all(key, params = {}) {
+        return Object.fromEntries(this.languages.map(lang => [lang, this.translate(lang, key, params)]));
+    },
+    
+    locale() {
+        return this.locales[this.current];
+    },
+    
+    setLanguage(lang) {
+        if (!this.languages.includes(lang) || lang === this.current) return;
+        
+        this.current = lang;
+        LocalStore.set(this.storageKey, lang);
+        this.applyStatic();
+        
+        // Generated sections are rebuilt; open modals cover the navbar, so none can be open here
+        if (ContentLoader.status === 'ready') {
+            renderMateriTabs();
+            renderQuizCategories();
+            renderProgressDashboard();
+        }
+        renderPlacementGreeting();
+        renderLearnerSwitcher();
+        OfflineSupport.updateStatus();
+    },
+    
+    // data-i18n sets text, data-i18n-html sets trusted catalog markup,
+    // data-i18n-attr="attr:key;attr:key" sets attributes
+    applyStatic(root = document) {
+        document.documentElement.lang = this.current;
+        document.title = this.t('meta.title');
+        
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'));
+        });
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.getAttribute('data-i18n-html'));
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.getAttribute('data-i18n-attr').split(';').forEach(pair => {
+                const [attr, key] = pair.split(':').map(part => part.trim());
+                if (attr && key) element.setAttribute(attr, this.t(key));
+            });
+        });
+    }
+};
+
+function t(key, params) {
+    return I18n.t(key, params);
+}
+
+function localize(value) {
+    return I18n.localize(value);
+}
+
+function initLanguageSwitch() {
+    const toggle = document.querySelector('[data-language-toggle]');
+    if (!toggle) return;
+    
+    toggle.addEventListener('click', () => {
+        const next = I18n.languages[(I18n.languages.indexOf(I18n.current) + 1) % I18n.languages.length];
+        I18n.setLanguage(next);
+    });
+}
+
 // ===============================
 // OPTIMIZED LOADING SCREEN
 // ===============================
@@ -83,7 +1125,7 @@ function initLoadingScreen() {
     if (!DOMCache.loadingScreen) return;
     
     let progress = 0;
-    const texts = ['Memuat...', 'Menyiapkan materi...', 'Hampir selesai...', 'Selamat datang!'];
+    const texts = [t('loading.start'), t('loading.content'), t('loading.almost'), t('loading.welcome')];
     let currentTextIndex = 0;
     
     const updateProgress = () => {
@@ -206,6 +1248,182 @@ function scrollToSection(sectionId) {
     }
 }
 
+// ===============================
+// HASH ROUTING
+// ===============================
+// Deep links such as #/materi/tenses, #/quiz/grammar/3 and #/materi?tab=reading.
+// Opening a modal pushes a history entry, so the browser Back button closes it again.
+const Router = {
+    applying: false,
+    pendingClose: null,
+    base: null,
+    lastSection: null,
+    open: { lesson: null, quiz: null, flashcards: null },
+    
+    init() {
+        window.addEventListener('hashchange', () => this.apply());
+        this.apply();
+    },
+    
+    parse(hash = window.location.hash) {
+        // Plain anchors (#materi) are left to the browser
+        if (!hash.startsWith('#/')) return { view: 'home' };
+        
+        const [path, query = ''] = hash.slice(2).split('?');
+        const params = new URLSearchParams(query);
+        const [section, id, question] = path.split('/');
+        
+        switch (section) {
+            case 'materi':
+                return id ? { view: 'lesson', id } : { view: 'section', section, tab: params.get('tab') };
+            case 'quiz':
+                if (!id) return { view: 'section', section: 'latihan' };
+                return {
+                    view: 'quiz',
+                    id,
+                    question: parseInt(question, 10) || null,
+                    mode: params.get('mode') === 'exam' ? 'exam' : 'practice',
+                    seed: params.get('seed')
+                };
+            case 'flashcards':
+                return id ? { view: 'flashcards', id } : { view: 'section', section: 'latihan' };
+            default:
+                return { view: 'section', section };
+        }
+    },
+    
+    // Bring the page in line with the current hash: close what it no longer names, open what it does
+    apply() {
+        const route = this.parse();
+        const names = (view, id) => route.view === view && route.id === id;
+        
+        this.applying = true;
+        try {
+            if (this.open.lesson && !names('lesson', this.open.lesson)) closeMateriModal();
+            if (this.open.flashcards && !names('flashcards', this.open.flashcards)) closeFlashcardModal();
+            // A lesson opened from the quiz review is stacked on top of the quiz, which stays open
+            if (this.open.quiz && route.view !== 'lesson' && !names('quiz', this.open.quiz)) closeQuizModal();
+            
+            switch (route.view) {
+                case 'lesson':
+                    if (route.id !== this.open.lesson) {
+                        if (this.open.quiz) openLessonOverQuiz(route.id);
+                        else openMateriModal(route.id);
+                    }
+                    break;
+                case 'quiz':
+                    this.applyQuiz(route);
+                    break;
+                case 'flashcards':
+                    if (route.id !== this.open.flashcards) openFlashcards(route.id);
+                    break;
+                case 'section':
+                    this.applySection(route);
+                    break;
+            }
+        } finally {
+            this.applying = false;
+        }
+        
+        // A running exam asks before it closes; if the learner stays, restore its entry
+        if (this.open.quiz && route.view !== 'lesson' && !names('quiz', this.open.quiz)) {
+            this.write(this.quizPath(), false);
+        }
+    },
+    
+    applyQuiz(route) {
+        if (route.id !== this.open.quiz) {
+            if (this.open.quiz) return;
+            startQuiz(route.id, route.mode, { seed: route.seed });
+        }
+        
+        // Exams and adaptive quizzes always run from the first question
+        const index = route.question - 1;
+        if (route.question && QuizState.currentQuiz && QuizState.mode !== 'exam' && !QuizState.currentQuiz.adaptive &&
+            index !== QuizState.currentQuestion && index < QuizState.currentQuiz.questions.length) {
+            QuizState.goTo(index);
+            showQuestion();
+        }
+    },
+    
+    applySection(route) {
+        const path = route.tab ? `/${route.section}?tab=${route.tab}` : `/${route.section}`;
+        this.base = path;
+        
+        if (route.tab) {
+            const button = [...(DOMCache.tabButtons || [])].find(btn => btn.getAttribute('data-tab') === route.tab);
+            if (button) switchTab(route.tab, button);
+        }
+        // Coming back from a modal should not yank the page to the top of the section
+        if (path !== this.lastSection) {
+            this.lastSection = path;
+            scrollToSection(route.section);
+        }
+    },
+    
+    // Modal open functions report here; the router pushes an entry unless it is the one opening them
+    opened(kind, id, path) {
+        const wasOpen = this.open[kind] !== null;
+        this.open[kind] = id;
+        if (this.applying) return;
+        
+        // Swapping one modal for another (lesson -> flashcards) reuses the closing modal's entry
+        const replace = wasOpen || this.pendingClose !== null;
+        this.pendingClose = null;
+        this.write(path, replace);
+    },
+    
+    closed(kind) {
+        if (this.open[kind] === null) return;
+        this.open[kind] = null;
+        if (this.applying) return;
+        
+        this.pendingClose = kind;
+        Promise.resolve().then(() => {
+            if (this.pendingClose !== kind) return;
+            this.pendingClose = null;
+            
+            // Step back over our own entry so Forward can reopen it; a deep link has nothing to go back to
+            if (history.state?.modal) {
+                history.back();
+            } else {
+                this.write(this.base, true);
+            }
+        });
+    },
+    
+    // Keep the address bar on the current question (and paper) without adding history entries
+    syncQuiz(question) {
+        if (this.open.quiz === null || this.open.quiz !== QuizState.category) return;
+        // An exam submitted because the hash moved away must not write itself back
+        if (this.applying && this.parse().view !== 'quiz') return;
+        this.write(this.quizPath(question), true);
+    },
+    
+    syncSection(path) {
+        this.base = path;
+        this.lastSection = path;
+        if (Object.values(this.open).every(id => id === null)) this.write(path, true);
+    },
+    
+    quizPath(question = QuizState.currentQuestion + 1) {
+        const path = `/quiz/${QuizState.category}`;
+        if (QuizState.mode === 'exam') return `${path}?mode=exam`;
+        
+        const numbered = question ? `${path}/${question}` : path;
+        return QuizState.seed ? `${numbered}?seed=${QuizState.seed}` : numbered;
+    },
+    
+    write(path, replace) {
+        const url = path ? `#${path}` : window.location.pathname + window.location.search;
+        if (replace) {
+            history.replaceState(history.state, '', url);
+        } else {
+            history.pushState({ modal: true }, '', url);
+        }
+    }
+};
+
 // ===============================
 // OPTIMIZED TABS FUNCTIONALITY
 // ===============================
@@ -220,6 +1438,7 @@ function initTabs() {
                 const targetTab = e.target.getAttribute('data-tab');
                 if (targetTab) {
                     switchTab(targetTab, e.target);
+                    Router.syncSection(`/materi?tab=${targetTab}`);
                 }
             }
         });
@@ -243,522 +1462,7417 @@ function switchTab(targetTab, clickedButton) {
 }
 
 // ===============================
-// OPTIMIZED MODAL FUNCTIONALITY
+// CONTENT LOADING & VALIDATION
 // ===============================
-const materiContent = {
-    'tenses': {
-        title: 'Tenses - 12 Bentuk Waktu dalam Bahasa Inggris',
-        content: `
-            <h3>Pengertian Tenses</h3>
-            <p>Tenses adalah bentuk kata kerja yang menunjukkan waktu terjadinya suatu peristiwa atau keadaan.</p>
-            
-            <div style="margin: 20px 0;">
-                <h4>1. Simple Present Tense</h4>
-                <p><strong>Formula:</strong> S + V1 + O</p>
-                <p><strong>Contoh:</strong> I study English every day.</p>
-                
-                <h4>2. Present Continuous Tense</h4>
-                <p><strong>Formula:</strong> S + am/is/are + V-ing + O</p>
-                <p><strong>Contoh:</strong> I am studying English now.</p>
-                
-                <h4>3. Present Perfect Tense</h4>
-                <p><strong>Formula:</strong> S + have/has + V3 + O</p>
-                <p><strong>Contoh:</strong> I have studied English for 2 years.</p>
-                
-                <h4>4. Present Perfect Continuous</h4>
-                <p><strong>Formula:</strong> S + have/has + been + V-ing + O</p>
-                <p><strong>Contoh:</strong> I have been studying English since morning.</p>
-            </div>
-            
-            <div style="background: rgba(96, 165, 250, 0.1); padding: 15px; border-radius: 10px; margin: 20px 0;">
-                <h4>Tips Belajar Tenses:</h4>
-                <ul style="margin-left: 20px;">
-                    <li>Pelajari satu tense dalam satu waktu</li>
-                    <li>Praktikkan dengan membuat kalimat sendiri</li>
-                    <li>Fokus pada signal words (kata keterangan waktu)</li>
-                    <li>Latihan soal secara rutin</li>
-                </ul>
-            </div>
-        `
-    },
-    'parts-of-speech': {
-        title: 'Parts of Speech - Jenis Kata dalam Bahasa Inggris',
-        content: `
-            <h3>8 Jenis Kata dalam Bahasa Inggris</h3>
-            
-            <div style="margin: 20px 0;">
-                <h4>1. Noun (Kata Benda)</h4>
-                <p>Kata yang menyatakan nama orang, tempat, benda, atau ide.</p>
-                <p><strong>Contoh:</strong> book, teacher, Jakarta, happiness</p>
-                
-                <h4>2. Pronoun (Kata Ganti)</h4>
-                <p>Kata yang menggantikan noun untuk menghindari pengulangan.</p>
-                <p><strong>Contoh:</strong> I, you, he, she, it, we, they</p>
-                
-                <h4>3. Verb (Kata Kerja)</h4>
-                <p>Kata yang menyatakan tindakan atau keadaan.</p>
-                <p><strong>Contoh:</strong> run, eat, is, have, become</p>
-                
-                <h4>4. Adjective (Kata Sifat)</h4>
-                <p>Kata yang menjelaskan atau menerangkan noun.</p>
-                <p><strong>Contoh:</strong> beautiful, big, smart, red</p>
-                
-                <h4>5. Adverb (Kata Keterangan)</h4>
-                <p>Kata yang menjelaskan verb, adjective, atau adverb lain.</p>
-                <p><strong>Contoh:</strong> quickly, very, well, yesterday</p>
-            </div>
-        `
-    },
-    'conjunctions': {
-        title: 'Conjunctions - Kata Hubung',
-        content: `
-            <h3>Jenis-jenis Conjunction</h3>
-            
-            <div style="margin: 20px 0;">
-                <h4>1. Coordinating Conjunctions</h4>
-                <p>Menghubungkan kata, frasa, atau klausa yang setara.</p>
-                <p><strong>FANBOYS:</strong> for, and, nor, but, or, yet, so</p>
-                <p><strong>Contoh:</strong> I like tea and coffee.</p>
-                
-                <h4>2. Subordinating Conjunctions</h4>
-                <p>Menghubungkan klausa utama dengan klausa bawahan.</p>
-                <p><strong>Contoh:</strong> because, although, when, if, since</p>
-                <p><strong>Contoh:</strong> I study hard because I want to pass the exam.</p>
-                
-                <h4>3. Correlative Conjunctions</h4>
-                <p>Kata hubung yang berpasangan.</p>
-                <p><strong>Contoh:</strong> both...and, either...or, neither...nor</p>
-                <p><strong>Contoh:</strong> Both John and Mary are coming.</p>
-            </div>
-        `
-    },
-    'conditional': {
-        title: 'Conditional Sentences - Kalimat Pengandaian',
-        content: `
-            <h3>3 Tipe Conditional Sentences</h3>
-            
-            <div style="margin: 20px 0;">
-                <h4>Type 1 - Real Condition (Kemungkinan Nyata)</h4>
-                <p><strong>Formula:</strong> If + Simple Present, Simple Future</p>
-                <p><strong>Contoh:</strong> If it rains, I will stay at home.</p>
-                
-                <h4>Type 2 - Unreal Condition (Tidak Nyata di Masa Sekarang)</h4>
-                <p><strong>Formula:</strong> If + Simple Past, would + V1</p>
-                <p><strong>Contoh:</strong> If I were rich, I would travel the world.</p>
-                
-                <h4>Type 3 - Unreal Condition (Tidak Nyata di Masa Lalu)</h4>
-                <p><strong>Formula:</strong> If + Past Perfect, would have + V3</p>
-                <p><strong>Contoh:</strong> If I had studied harder, I would have passed the exam.</p>
-            </div>
-            
-            <div style="background: rgba(96, 165, 250, 0.1); padding: 15px; border-radius: 10px; margin: 20px 0;">
-                <h4>Catatan Penting:</h4>
-                <p>Conditional sentences sangat berguna untuk mengekspresikan situasi hipotetis, memberikan saran, dan membicarakan kemungkinan.</p>
-            </div>
-        `
-    },
-    'daily-vocab': {
-        title: 'Daily Vocabulary - Kosakata Sehari-hari',
-        content: `
-            <h3>Kosakata yang Sering Digunakan</h3>
-            
-            <div style="margin: 20px 0;">
-                <h4>Family Members (Anggota Keluarga)</h4>
-                <p>Father, Mother, Brother, Sister, Uncle, Aunt, Cousin, Grandmother, Grandfather</p>
-                
-                <h4>Daily Activities (Kegiatan Sehari-hari)</h4>
-                <p>Wake up, Take a shower, Have breakfast, Go to work, Have lunch, Go home, Have dinner, Go to bed</p>
-                
-                <h4>Food & Drinks (Makanan & Minuman)</h4>
-                <p>Rice, Bread, Milk, Water, Coffee, Tea, Apple, Banana, Chicken, Fish</p>
-                
-                <h4>Common Verbs (Kata Kerja Umum)</h4>
-                <p>Go, Come, Take, Give, Make, Do, See, Look, Listen, Speak, Read, Write</p>
-            </div>
-            
-            <div style="background: rgba(34, 197, 94, 0.1); padding: 15px; border-radius: 10px; margin: 20px 0;">
-                <h4>Tips Menghafal Vocabulary:</h4>
-                <ul style="margin-left: 20px;">
-                    <li>Gunakan flashcards untuk mengulang</li>
-                    <li>Buat kalimat dengan kata baru</li>
-                    <li>Praktikkan dalam percakapan sehari-hari</li>
-                    <li>Kelompokkan kata berdasarkan tema</li>
-                </ul>
-            </div>
-        `
+// Lessons and quizzes live in content/*.json, see content/README.md for the schema
+const CONTENT_VERSION = 1;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+// Translatable fields are either a plain string or { id, en } with at least one language
+function isLocalizedText(value, isText = isNonEmptyString) {
+    if (isText(value)) return true;
+    if (!isPlainObject(value)) return false;
+    const entries = Object.entries(value);
+    return entries.length > 0 && entries.every(([lang, text]) => I18n.languages.includes(lang) && isText(text));
+}
+
+function checkContentVersion(data, errors) {
+    if (!isPlainObject(data)) {
+        errors.push('root must be a JSON object');
+        return false;
     }
-};
+    if (data.version !== CONTENT_VERSION) {
+        errors.push(`unsupported version ${JSON.stringify(data.version)} (expected ${CONTENT_VERSION})`);
+        return false;
+    }
+    return true;
+}
+
+function isLessonBody(body) {
+    return isNonEmptyString(body) || (Array.isArray(body) && body.every(line => typeof line === 'string'));
+}
 
-function openMateriModal(materiId) {
-    const content = materiContent[materiId];
-    if (!content || !DOMCache.materiModal || !DOMCache.materiModalBody) return;
+function joinLessonBody(body) {
+    return Array.isArray(body) ? body.join('\n') : body;
+}
+
+function validateLesson(lesson) {
+    const errors = [];
+    if (!isPlainObject(lesson)) return ['must be an object'];
     
-    // Use document fragment for better performance
-    const fragment = document.createDocumentFragment();
-    const wrapper = document.createElement('div');
-    wrapper.innerHTML = `
-        <h2 style="color: #60a5fa; margin-bottom: 20px;">${content.title}</h2>
-        ${content.content}
-    `;
+    if (!isLocalizedText(lesson.title)) {
+        errors.push('.title must be a non-empty string or an object keyed by language');
+    }
+    if (!isLocalizedText(lesson.body, isLessonBody)) {
+        errors.push('.body must be a string, an array of strings, or an object of those keyed by language');
+    }
+    if (lesson.audio !== undefined) {
+        if (!isPlainObject(lesson.audio)) {
+            errors.push('.audio must be an object keyed by clip id');
+        } else {
+            Object.entries(lesson.audio).forEach(([clipId, clip]) => {
+                validateAudioClip(clip).forEach(message => errors.push(`.audio["${clipId}"]${message}`));
+            });
+        }
+    }
+    return errors;
+}
+
+// Markup outside LESSON_MARKUP is stripped when the lesson is shown; report what would go
+function validateLessonMarkup(body) {
+    const bodies = isPlainObject(body) ? Object.entries(body) : [[null, body]];
+    return bodies.flatMap(([lang, value]) => {
+        const removed = [];
+        sanitizeHTML(joinLessonBody(value), removed);
+        return removed.length > 0
+            ? [`.body${lang ? `.${lang}` : ''} uses markup that is not allowed and is left out: ${[...new Set(removed)].join(', ')}`]
+            : [];
+    });
+}
+
+function validateQuestion(question) {
+    const errors = [];
+    if (!isPlainObject(question)) return ['must be an object'];
     
-    // Clear and append in one operation
-    DOMCache.materiModalBody.innerHTML = '';
-    DOMCache.materiModalBody.appendChild(wrapper);
+    if (!isNonEmptyString(question.question)) {
+        errors.push('.question must be a non-empty string');
+    }
+    if (!isLocalizedText(question.explanation)) {
+        errors.push('.explanation must be a non-empty string or an object keyed by language');
+    }
     
-    // Show modal with RAF for smooth animation
-    requestAnimationFrame(() => {
-        DOMCache.materiModal.style.display = 'block';
-        document.body.style.overflow = 'hidden';
-        
-        // Focus management for accessibility
-        const closeBtn = DOMCache.materiModal.querySelector('.close');
-        if (closeBtn) closeBtn.focus();
+    if (question.audio !== undefined) {
+        validateAudioClip(question.audio).forEach(message => errors.push(`.audio${message}`));
+    }
+    if (question.difficulty !== undefined && !(question.difficulty in DIFFICULTY_LABELS)) {
+        errors.push(`.difficulty must be one of ${Object.keys(DIFFICULTY_LABELS).join(', ')}`);
+    }
+    if (question.tags !== undefined && (!Array.isArray(question.tags) || !question.tags.every(isNonEmptyString))) {
+        errors.push('.tags must be an array of strings');
+    }
+    if (question.lesson !== undefined && !isNonEmptyString(question.lesson)) {
+        errors.push('.lesson must be a lesson id');
+    }
+    if (question.level !== undefined && !CEFR_LEVELS.includes(question.level)) {
+        errors.push(`.level must be one of ${CEFR_LEVELS.join(', ')}`);
+    }
+    
+    const type = question.type === undefined ? QuestionTypes.single : QuestionTypes[question.type];
+    if (!type) {
+        errors.push(`.type must be one of ${Object.keys(QuestionTypes).join(', ')}`);
+    } else {
+        type.validate(question, errors);
+    }
+    return errors;
+}
+
+const TOPIC_STATUSES = ['published', 'draft', 'coming-soon'];
+
+function validateTopic(topic) {
+    const errors = [];
+    if (!isPlainObject(topic)) return ['must be an object'];
+    
+    ['id', 'icon'].forEach(field => {
+        if (!isNonEmptyString(topic[field])) errors.push(`.${field} must be a non-empty string`);
+    });
+    ['title', 'description'].forEach(field => {
+        if (!isLocalizedText(topic[field])) errors.push(`.${field} must be a non-empty string or an object keyed by language`);
     });
+    if (!TOPIC_STATUSES.includes(topic.status)) {
+        errors.push(`.status must be one of ${TOPIC_STATUSES.join(', ')}`);
+    }
+    return errors;
 }
 
-function closeMateriModal() {
-    if (!DOMCache.materiModal) return;
+function validateLessonFile(data) {
+    const errors = [];
+    const entries = {};
+    if (!checkContentVersion(data, errors)) return { entries, errors };
+    if (!isPlainObject(data.lessons)) {
+        errors.push('"lessons" must be an object keyed by lesson id');
+        return { entries, errors };
+    }
     
-    requestAnimationFrame(() => {
-        DOMCache.materiModal.style.display = 'none';
-        document.body.style.overflow = 'auto';
+    Object.entries(data.lessons).forEach(([id, lesson]) => {
+        const lessonErrors = validateLesson(lesson);
+        if (lessonErrors.length > 0) {
+            lessonErrors.forEach(message => errors.push(`lessons["${id}"]${message}`));
+            return;
+        }
+        entries[id] = {
+            title: lesson.title,
+            content: isPlainObject(lesson.body)
+                ? Object.fromEntries(Object.entries(lesson.body).map(([lang, body]) => [lang, joinLessonBody(body)]))
+                : joinLessonBody(lesson.body),
+            audio: lesson.audio || {}
+        };
+        // Not fatal: the lesson still shows, just without the markup
+        validateLessonMarkup(lesson.body).forEach(message => errors.push(`lessons["${id}"]${message}`));
     });
+    
+    return { entries, errors };
 }
 
-// ===============================
-// OPTIMIZED QUIZ SYSTEM
-// ===============================
-const quizData = {
-    grammar: {
-        title: 'Grammar Quiz',
-        questions: [
-            {
-                question: 'What is the correct form of the verb in: "She _____ to school every day"?',
-                options: ['go', 'goes', 'going', 'gone'],
-                correct: 1,
-                explanation: 'Simple present tense untuk orang ketiga tunggal menggunakan "goes"'
-            },
-            {
-                question: 'Choose the correct sentence:',
-                options: [
-                    'I am eating breakfast now',
-                    'I eating breakfast now',
-                    'I eats breakfast now',
-                    'I eat breakfast now'
-                ],
-                correct: 0,
-                explanation: 'Present continuous tense menggunakan "am/is/are + V-ing"'
-            },
-            {
-                question: 'Which sentence uses past perfect tense correctly?',
-                options: [
-                    'I finished my homework before dinner',
-                    'I had finished my homework before dinner',
-                    'I have finished my homework before dinner',
-                    'I was finishing my homework before dinner'
-                ],
-                correct: 1,
-                explanation: 'Past perfect tense menggunakan "had + V3" untuk menunjukkan tindakan yang selesai sebelum tindakan lain di masa lalu'
-            },
-            {
-                question: 'What is the plural form of "child"?',
-                options: ['childs', 'childes', 'children', 'child'],
-                correct: 2,
-                explanation: '"Children" adalah bentuk jamak tidak beraturan dari "child"'
-            },
-            {
-                question: 'Choose the correct comparative form of "good":',
-                options: ['gooder', 'more good', 'better', 'best'],
-                correct: 2,
-                explanation: '"Better" adalah bentuk comparative dari "good"'
-            }
-        ]
-    },
-    vocabulary: {
-        title: 'Vocabulary Test',
-        questions: [
-            {
-                question: 'What does "gorgeous" mean?',
-                options: ['ugly', 'beautiful', 'average', 'strange'],
-                correct: 1,
-                explanation: '"Gorgeous" berarti sangat cantik atau indah'
-            },
-            {
-                question: 'Which word is a synonym for "happy"?',
-                options: ['sad', 'angry', 'joyful', 'tired'],
-                correct: 2,
-                explanation: '"Joyful" memiliki arti yang sama dengan "happy"'
-            },
-            {
-                question: 'What is the opposite of "expensive"?',
-                options: ['cheap', 'costly', 'valuable', 'priceless'],
-                correct: 0,
-                explanation: '"Cheap" adalah lawan kata dari "expensive"'
-            },
-            {
-                question: 'Which word means "very tired"?',
-                options: ['energetic', 'exhausted', 'excited', 'nervous'],
-                correct: 1,
-                explanation: '"Exhausted" berarti sangat lelah'
-            }
-        ]
-    },
-    reading: {
-        title: 'Reading Comprehension',
-        questions: [
-            {
-                question: 'Read the text: "Sarah loves reading books. She goes to the library every weekend to borrow new books. Her favorite genre is mystery novels." What does Sarah do every weekend?',
-                options: [
-                    'She reads at home',
-                    'She goes to the library',
-                    'She buys books',
-                    'She writes stories'
-                ],
-                correct: 1,
-                explanation: 'Teks menyebutkan "She goes to the library every weekend"'
-            },
-            {
-                question: 'Based on the text above, what is Sarah\'s favorite type of book?',
-                options: ['Romance novels', 'Mystery novels', 'Science fiction', 'Biography'],
-                correct: 1,
-                explanation: 'Teks menyebutkan "Her favorite genre is mystery novels"'
-            },
-            {
-                question: 'The word "borrow" in the text means:',
-                options: ['to buy', 'to take temporarily', 'to steal', 'to give'],
-                correct: 1,
-                explanation: '"Borrow" berarti meminjam atau mengambil sementara'
+// Values are message keys, see MESSAGES
+const DIFFICULTY_LABELS = {
+    easy: 'difficulty.easy',
+    medium: 'difficulty.medium',
+    hard: 'difficulty.hard'
+};
+
+// Common European Framework levels, lowest first
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1'];
+
+function validateSampleConfig(sample) {
+    if (!isPlainObject(sample)) return [' must be an object'];
+    
+    const errors = [];
+    if (sample.count !== undefined && !(Number.isInteger(sample.count) && sample.count > 0)) {
+        errors.push('.count must be a positive whole number');
+    }
+    if (sample.difficulty !== undefined &&
+        (!Array.isArray(sample.difficulty) || !sample.difficulty.every(level => level in DIFFICULTY_LABELS))) {
+        errors.push(`.difficulty must be an array of ${Object.keys(DIFFICULTY_LABELS).join(', ')}`);
+    }
+    if (sample.tags !== undefined && (!Array.isArray(sample.tags) || !sample.tags.every(isNonEmptyString))) {
+        errors.push('.tags must be an array of strings');
+    }
+    return errors;
+}
+
+// Exam limits are whole seconds; at least one of them is required
+function validateExamConfig(exam) {
+    if (!isPlainObject(exam)) return [' must be an object'];
+    
+    const errors = [];
+    ['timeLimit', 'questionTimeLimit'].forEach(field => {
+        if (exam[field] !== undefined && !(Number.isInteger(exam[field]) && exam[field] > 0)) {
+            errors.push(`.${field} must be a positive whole number of seconds`);
+        }
+    });
+    if (exam.timeLimit === undefined && exam.questionTimeLimit === undefined) {
+        errors.push(' needs "timeLimit" or "questionTimeLimit"');
+    }
+    if (exam.allowBack !== undefined && typeof exam.allowBack !== 'boolean') {
+        errors.push('.allowBack must be a boolean');
+    }
+    return errors;
+}
+
+function validateQuizFile(data) {
+    const errors = [];
+    const entries = {};
+    if (!checkContentVersion(data, errors)) return { entries, errors };
+    if (!isPlainObject(data.quizzes)) {
+        errors.push('"quizzes" must be an object keyed by quiz category');
+        return { entries, errors };
+    }
+    
+    Object.entries(data.quizzes).forEach(([category, quiz]) => {
+        const path = `quizzes["${category}"]`;
+        // Quizzes built from passages only may leave out their own questions
+        const passages = quiz?.passages;
+        const hasPassages = Array.isArray(passages) && passages.length > 0 && passages.every(isNonEmptyString);
+        if (isPlainObject(quiz) && quiz.questions === undefined && hasPassages) quiz = { ...quiz, questions: [] };
+        if (!isPlainObject(quiz) || !isLocalizedText(quiz.title) || !Array.isArray(quiz.questions)) {
+            errors.push(`${path} must have a "title" string and a "questions" array`);
+            return;
+        }
+        if (passages !== undefined && !hasPassages) {
+            errors.push(`${path}.passages must be an array of passage ids`);
+        }
+        if (quiz.transcript !== undefined && !['after-answer', 'never'].includes(quiz.transcript)) {
+            errors.push(`${path}.transcript must be "after-answer" or "never"`);
+        }
+        if (quiz.icon !== undefined && !isNonEmptyString(quiz.icon)) {
+            errors.push(`${path}.icon must be a non-empty string`);
+        }
+        if (quiz.description !== undefined && !isLocalizedText(quiz.description)) {
+            errors.push(`${path}.description must be a non-empty string or an object keyed by language`);
+        }
+        if (quiz.difficulty !== undefined &&
+            (!Array.isArray(quiz.difficulty) || !quiz.difficulty.every(level => level in DIFFICULTY_LABELS))) {
+            errors.push(`${path}.difficulty must be an array of ${Object.keys(DIFFICULTY_LABELS).join(', ')}`);
+        }
+        
+        // An invalid exam block only disables exam mode; practice still works
+        let exam = quiz.exam;
+        if (exam !== undefined) {
+            const examErrors = validateExamConfig(exam);
+            examErrors.forEach(message => errors.push(`${path}.exam${message}`));
+            if (examErrors.length > 0) exam = undefined;
+        }
+        if (quiz.lesson !== undefined && !isNonEmptyString(quiz.lesson)) {
+            errors.push(`${path}.lesson must be a lesson id`);
+        }
+        if (quiz.drill !== undefined && !isNonEmptyString(quiz.drill)) {
+            errors.push(`${path}.drill must be a drill id from drills.json`);
+        }
+        ['shuffleQuestions', 'shuffleOptions'].forEach(field => {
+            if (quiz[field] !== undefined && typeof quiz[field] !== 'boolean') {
+                errors.push(`${path}.${field} must be a boolean`);
             }
-        ]
-    },
-    listening: {
-        title: 'Listening Test',
-        questions: [
-            {
-                question: 'Listen to this conversation: "A: What time is it? B: It\'s quarter past three." What time is it?',
-                options: ['3:15', '3:45', '2:15', '4:15'],
-                correct: 0,
-                explanation: '"Quarter past three" berarti pukul 3:15'
-            },
-            {
-                question: 'In the phrase "half past six", what time is being referred to?',
-                options: ['6:30', '6:15', '6:45', '7:30'],
-                correct: 0,
-                explanation: '"Half past six" berarti pukul 6:30'
+        });
+        let sample = quiz.sample;
+        if (sample !== undefined) {
+            const sampleErrors = validateSampleConfig(sample);
+            sampleErrors.forEach(message => errors.push(`${path}.sample${message}`));
+            if (sampleErrors.length > 0) sample = undefined;
+        }
+        
+        // Skip broken questions but keep the rest of the quiz playable
+        const questions = quiz.questions.filter((question, index) => {
+            const questionErrors = validateQuestion(question);
+            questionErrors.forEach(message => errors.push(`${path}.questions[${index}]${message}`));
+            return questionErrors.length === 0;
+        });
+        
+        // Passage questions are added once passages.json has loaded, and checked then
+        if (hasPassages) {
+            entries[category] = { ...quiz, exam, sample, questions };
+            return;
+        }
+        if (questions.length === 0) {
+            errors.push(`${path} has no valid questions and was skipped`);
+            return;
+        }
+        // A sample that matches no question would leave the quiz empty; fall back to the whole pool
+        if (sample && getQuizPool({ questions, sample }).length === 0) {
+            errors.push(`${path}.sample matches no questions and was ignored`);
+            sample = undefined;
+        }
+        entries[category] = { ...quiz, exam, sample, questions };
+    });
+    
+    return { entries, errors };
+}
+
+function validateVocabularyCard(card) {
+    if (!isPlainObject(card)) return ['must be an object'];
+    
+    const errors = [];
+    ['id', 'word', 'partOfSpeech', 'example'].forEach(field => {
+        if (!isNonEmptyString(card[field])) errors.push(`.${field} must be a non-empty string`);
+    });
+    if (!isLocalizedText(card.meaning)) {
+        errors.push('.meaning must be a non-empty string or an object keyed by language');
+    }
+    if (card.group !== undefined && !isLocalizedText(card.group)) {
+        errors.push('.group must be a non-empty string or an object keyed by language');
+    }
+    return errors;
+}
+
+function validateVocabularyFile(data) {
+    const errors = [];
+    const entries = {};
+    if (!checkContentVersion(data, errors)) return { entries, errors };
+    if (!isPlainObject(data.decks)) {
+        errors.push('"decks" must be an object keyed by deck id');
+        return { entries, errors };
+    }
+    
+    Object.entries(data.decks).forEach(([deckId, deck]) => {
+        const path = `decks["${deckId}"]`;
+        if (!isPlainObject(deck) || !isLocalizedText(deck.title) || !Array.isArray(deck.cards)) {
+            errors.push(`${path} must have a "title" string and a "cards" array`);
+            return;
+        }
+        if (deck.newPerDay !== undefined && !(Number.isInteger(deck.newPerDay) && deck.newPerDay > 0)) {
+            errors.push(`${path}.newPerDay must be a positive whole number`);
+        }
+        
+        // Card ids key the review history, so duplicates would share one schedule
+        const seen = new Set();
+        const cards = deck.cards.filter((card, index) => {
+            const cardErrors = validateVocabularyCard(card);
+            if (cardErrors.length === 0 && seen.has(card.id)) {
+                cardErrors.push(`.id "${card.id}" is used twice`);
+            }
+            cardErrors.forEach(message => errors.push(`${path}.cards[${index}]${message}`));
+            if (cardErrors.length > 0) return false;
+            seen.add(card.id);
+            return true;
+        });
+        
+        if (cards.length === 0) {
+            errors.push(`${path} has no valid cards and was skipped`);
+            return;
+        }
+        entries[deckId] = {
+            ...deck,
+            newPerDay: Number.isInteger(deck.newPerDay) && deck.newPerDay > 0 ? deck.newPerDay : 10,
+            cards
+        };
+    });
+    
+    return { entries, errors };
+}
+
+function validatePassage(passage, path, errors) {
+    if (!isPlainObject(passage) || !isLocalizedText(passage.title)) {
+        errors.push(`${path} must have a "title" string`);
+        return null;
+    }
+    if (!Array.isArray(passage.paragraphs) || passage.paragraphs.length === 0 || !passage.paragraphs.every(isNonEmptyString)) {
+        errors.push(`${path}.paragraphs must be a non-empty array of strings`);
+        return null;
+    }
+    ['genre', 'level', 'lesson'].forEach(field => {
+        if (passage[field] !== undefined && !isNonEmptyString(passage[field])) errors.push(`${path}.${field} must be a non-empty string`);
+    });
+    if (passage.source !== undefined && !isLocalizedText(passage.source)) {
+        errors.push(`${path}.source must be a non-empty string or an object keyed by language`);
+    }
+    
+    // A broken glossary entry only loses its lookup
+    const glossary = {};
+    Object.entries(isPlainObject(passage.glossary) ? passage.glossary : {}).forEach(([word, entry]) => {
+        if (word === word.toLowerCase() && isPlainObject(entry) && isLocalizedText(entry.meaning) &&
+            (entry.partOfSpeech === undefined || isNonEmptyString(entry.partOfSpeech))) {
+            glossary[word] = entry;
+        } else {
+            errors.push(`${path}.glossary["${word}"] must be a lowercase word with a "meaning" and an optional "partOfSpeech"`);
+        }
+    });
+    if (passage.glossary !== undefined && !isPlainObject(passage.glossary)) errors.push(`${path}.glossary must be an object keyed by word`);
+    
+    if (!Array.isArray(passage.questionGroups)) {
+        errors.push(`${path}.questionGroups must be an array`);
+        return null;
+    }
+    const questionGroups = [];
+    passage.questionGroups.forEach((group, groupIndex) => {
+        const groupPath = `${path}.questionGroups[${groupIndex}]`;
+        if (!isPlainObject(group) || !Array.isArray(group.questions) ||
+            (group.instructions !== undefined && !isLocalizedText(group.instructions))) {
+            errors.push(`${groupPath} must have a "questions" array and optional "instructions" text`);
+            return;
+        }
+        const questions = group.questions.filter((question, index) => {
+            const questionErrors = validateQuestion(question);
+            questionErrors.forEach(message => errors.push(`${groupPath}.questions[${index}]${message}`));
+            return questionErrors.length === 0;
+        });
+        if (questions.length > 0) questionGroups.push({ ...group, questions });
+    });
+    if (questionGroups.length === 0) {
+        errors.push(`${path} has no valid questions and was skipped`);
+        return null;
+    }
+    return { ...passage, glossary, questionGroups };
+}
+
+function validatePassageFile(data) {
+    const errors = [];
+    const entries = {};
+    if (!checkContentVersion(data, errors)) return { entries, errors };
+    if (!isPlainObject(data.passages)) {
+        errors.push('"passages" must be an object keyed by passage id');
+        return { entries, errors };
+    }
+    
+    Object.entries(data.passages).forEach(([passageId, passage]) => {
+        const valid = validatePassage(passage, `passages["${passageId}"]`, errors);
+        if (valid) entries[passageId] = valid;
+    });
+    return { entries, errors };
+}
+
+function validatePlacementFile(data) {
+    const errors = [];
+    const entries = { test: null, levels: {}, questions: [] };
+    if (!checkContentVersion(data, errors)) return { entries, errors };
+    
+    const test = data.test;
+    if (!isPlainObject(test) || !isLocalizedText(test.title)) {
+        errors.push('"test" must be an object with a "title" string');
+        return { entries, errors };
+    }
+    if (test.description !== undefined && !isLocalizedText(test.description)) {
+        errors.push('test.description must be a non-empty string or an object keyed by language');
+    }
+    if (test.icon !== undefined && !isNonEmptyString(test.icon)) {
+        errors.push('test.icon must be a non-empty string');
+    }
+    // A bad setting falls back to its default, the test still runs
+    let { length = PLACEMENT_DEFAULTS.length, start = PLACEMENT_DEFAULTS.start } = test;
+    if (!(Number.isInteger(length) && length > 0)) {
+        errors.push(`test.length must be a positive whole number, using ${PLACEMENT_DEFAULTS.length}`);
+        length = PLACEMENT_DEFAULTS.length;
+    }
+    if (!CEFR_LEVELS.includes(start)) {
+        errors.push(`test.start must be one of ${CEFR_LEVELS.join(', ')}, using ${PLACEMENT_DEFAULTS.start}`);
+        start = PLACEMENT_DEFAULTS.start;
+    }
+    
+    if (!isPlainObject(data.levels)) {
+        errors.push('"levels" must be an object keyed by CEFR level');
+        return { entries, errors };
+    }
+    Object.entries(data.levels).forEach(([level, entry]) => {
+        const path = `levels["${level}"]`;
+        if (!CEFR_LEVELS.includes(level)) {
+            errors.push(`${path} is not one of ${CEFR_LEVELS.join(', ')} and was skipped`);
+            return;
+        }
+        if (!isPlainObject(entry) || !isLocalizedText(entry.title) ||
+            !Array.isArray(entry.path) || !entry.path.every(isNonEmptyString)) {
+            errors.push(`${path} must have a "title" string and a "path" array of lesson ids`);
+            return;
+        }
+        if (entry.description !== undefined && !isLocalizedText(entry.description)) {
+            errors.push(`${path}.description must be a non-empty string or an object keyed by language`);
+        }
+        entries.levels[level] = entry;
+    });
+    CEFR_LEVELS.filter(level => !entries.levels[level])
+        .forEach(level => errors.push(`levels["${level}"] is missing, learners placed there get no lesson path`));
+    
+    if (!Array.isArray(data.questions)) {
+        errors.push('"questions" must be an array');
+        return { entries, errors };
+    }
+    entries.questions = data.questions.filter((question, index) => {
+        const questionErrors = validateQuestion(question);
+        if (isPlainObject(question) && question.level === undefined) questionErrors.push('.level is required');
+        questionErrors.forEach(message => errors.push(`questions[${index}]${message}`));
+        return questionErrors.length === 0;
+    });
+    if (entries.questions.length === 0) {
+        errors.push('the test has no valid questions and was skipped');
+        return { entries, errors };
+    }
+    CEFR_LEVELS.filter(level => !entries.questions.some(question => question.level === level))
+        .forEach(level => errors.push(`no questions have level ${level}, the test moves past it`));
+    
+    entries.test = { ...test, length, start };
+    return { entries, errors };
+}
+
+function validateBadgeFile(data) {
+    const errors = [];
+    const entries = {};
+    if (!checkContentVersion(data, errors)) return { entries, errors };
+    if (!isPlainObject(data.badges)) {
+        errors.push('"badges" must be an object keyed by badge id');
+        return { entries, errors };
+    }
+    
+    Object.entries(data.badges).forEach(([badgeId, badge]) => {
+        const path = `badges["${badgeId}"]`;
+        if (!isPlainObject(badge) || !isLocalizedText(badge.title) || !isLocalizedText(badge.description)) {
+            errors.push(`${path} must have "title" and "description" text`);
+            return;
+        }
+        if (badge.icon !== undefined && !isNonEmptyString(badge.icon)) {
+            errors.push(`${path}.icon must be a non-empty string`);
+        }
+        const condition = badge.condition;
+        const type = isPlainObject(condition) ? BADGE_CONDITIONS[condition.type] : null;
+        if (!type) {
+            errors.push(`${path}.condition.type must be one of ${Object.keys(BADGE_CONDITIONS).join(', ')}`);
+            return;
+        }
+        const conditionErrors = type.validate(condition);
+        conditionErrors.forEach(message => errors.push(`${path}.condition${message}`));
+        if (conditionErrors.length === 0) entries[badgeId] = badge;
+    });
+    return { entries, errors };
+}
+
+function validateTense(tense) {
+    const errors = [];
+    if (!isPlainObject(tense)) return ['must be an object'];
+    
+    if (!isNonEmptyString(tense.name)) errors.push('.name must be a non-empty string');
+    if (!TENSE_TIMES.includes(tense.time)) errors.push(`.time must be one of ${TENSE_TIMES.join(', ')}`);
+    if (!TENSE_ASPECTS.includes(tense.aspect)) errors.push(`.aspect must be one of ${TENSE_ASPECTS.join(', ')}`);
+    if (!isLocalizedText(tense.usage)) errors.push('.usage must be a non-empty string or an object keyed by language');
+    if (!isPlainObject(tense.formula) || !SENTENCE_FORMS.every(form => isNonEmptyString(tense.formula[form]))) {
+        errors.push(`.formula must have a string for each of ${SENTENCE_FORMS.join(', ')}`);
+    }
+    if (!Array.isArray(tense.signalWords) || !tense.signalWords.every(isNonEmptyString)) {
+        errors.push('.signalWords must be an array of strings');
+    }
+    const example = tense.example;
+    if (!isPlainObject(example) || !(example.subject in TENSE_SUBJECTS) || !/^[a-z]+$/.test(example.verb ?? '')) {
+        errors.push(`.example must have a "subject" (one of ${Object.keys(TENSE_SUBJECTS).join(', ')}) and a lowercase "verb"`);
+    }
+    return errors;
+}
+
+function validateTenseFile(data) {
+    const errors = [];
+    const entries = { tenses: {}, verbs: [], irregularVerbs: {} };
+    if (!checkContentVersion(data, errors)) return { entries, errors };
+    
+    if (isPlainObject(data.irregularVerbs)) {
+        Object.entries(data.irregularVerbs).forEach(([verb, forms]) => {
+            if (Array.isArray(forms) && (forms.length === 2 || forms.length === 3) && forms.every(isNonEmptyString)) {
+                entries.irregularVerbs[verb] = forms;
+            } else {
+                errors.push(`irregularVerbs["${verb}"] must be [past, participle] or [past, participle, -ing form]`);
+            }
+        });
+    } else {
+        errors.push('"irregularVerbs" must be an object keyed by base form');
+    }
+    
+    if (Array.isArray(data.verbs)) {
+        data.verbs.forEach((entry, index) => {
+            if (isPlainObject(entry) && /^[a-z]+$/.test(entry.verb ?? '') &&
+                (entry.complement === undefined || typeof entry.complement === 'string')) {
+                entries.verbs.push(entry);
+            } else {
+                errors.push(`verbs[${index}] must have a lowercase "verb" and an optional "complement" string`);
+            }
+        });
+    } else {
+        errors.push('"verbs" must be an array');
+    }
+    
+    if (!isPlainObject(data.tenses)) {
+        errors.push('"tenses" must be an object keyed by tense id');
+        return { entries, errors };
+    }
+    // The engine finds a tense by time and aspect, so each pair may appear once
+    const seen = new Set();
+    Object.entries(data.tenses).forEach(([tenseId, tense]) => {
+        const tenseErrors = validateTense(tense);
+        const pair = `${tense?.time} ${tense?.aspect}`;
+        if (tenseErrors.length === 0 && seen.has(pair)) tenseErrors.push(`.time and .aspect repeat another tense (${pair})`);
+        tenseErrors.forEach(message => errors.push(`tenses["${tenseId}"]${message}`));
+        if (tenseErrors.length > 0) return;
+        seen.add(pair);
+        entries.tenses[tenseId] = tense;
+    });
+    
+    return { entries, errors };
+}
+
+// Word lists are optional; missing ones only mean fewer rules, e.g. no irregular plurals
+function validateDrillWords(words, errors) {
+    const result = { subjects: {}, times: {}, irregularAdjectives: {}, irregularNouns: {} };
+    if (!isPlainObject(words)) {
+        errors.push('"words" must be an object of word lists');
+        return result;
+    }
+    Object.entries(words.subjects || {}).forEach(([text, pronoun]) => {
+        if (pronoun in TENSE_SUBJECTS) result.subjects[text] = pronoun;
+        else errors.push(`words.subjects["${text}"] must be one of ${Object.keys(TENSE_SUBJECTS).join(', ')}`);
+    });
+    Object.entries(words.times || {}).forEach(([tenseId, times]) => {
+        if (Array.isArray(times) && times.length > 0 && times.every(isNonEmptyString)) result.times[tenseId] = times;
+        else errors.push(`words.times["${tenseId}"] must be a non-empty array of strings`);
+    });
+    Object.entries(words.irregularAdjectives || {}).forEach(([adjective, forms]) => {
+        if (Array.isArray(forms) && forms.length === 2 && forms.every(isNonEmptyString)) result.irregularAdjectives[adjective] = forms;
+        else errors.push(`words.irregularAdjectives["${adjective}"] must be [comparative, superlative]`);
+    });
+    Object.entries(words.irregularNouns || {}).forEach(([noun, plural]) => {
+        if (isNonEmptyString(plural)) result.irregularNouns[noun] = plural;
+        else errors.push(`words.irregularNouns["${noun}"] must be the plural form`);
+    });
+    if (Object.keys(result.subjects).length === 0) errors.push('words.subjects is empty, so tense templates cannot be used');
+    return result;
+}
+
+function validateDrillTemplate(template) {
+    if (!isPlainObject(template)) return ['must be an object'];
+    
+    const kind = DRILL_KINDS[template.kind];
+    if (!kind) return [`.kind must be one of ${Object.keys(DRILL_KINDS).join(', ')}`];
+    const errors = [];
+    if (!isNonEmptyString(template.text) || !template.text.includes('___') || !template.text.includes(`{${kind.slot}}`)) {
+        errors.push(`.text must contain "___" and {${kind.slot}}`);
+    }
+    const list = template[kind.list];
+    if (!Array.isArray(list) || list.length === 0 || !list.every(word => /^[a-z]+$/.test(word))) {
+        errors.push(`.${kind.list} must be a non-empty array of lowercase words`);
+    }
+    if (template.kind === 'tense') {
+        if (!isNonEmptyString(template.tense)) errors.push('.tense must be a tense id from tenses.json');
+        if (template.form !== undefined && !['affirmative', 'negative'].includes(template.form)) {
+            errors.push('.form must be "affirmative" or "negative"');
+        }
+        if (template.times !== undefined && !(Array.isArray(template.times) && template.times.every(isNonEmptyString))) {
+            errors.push('.times must be an array of strings');
+        }
+    }
+    if (template.types !== undefined &&
+        (!Array.isArray(template.types) || template.types.length === 0 || !template.types.every(type => ['single', 'fill'].includes(type)))) {
+        errors.push('.types must list "single" and/or "fill"');
+    }
+    if (template.lesson !== undefined && !isNonEmptyString(template.lesson)) errors.push('.lesson must be a lesson id');
+    return errors;
+}
+
+function validateDrillFile(data) {
+    const errors = [];
+    const entries = { drills: {}, templates: {}, words: drillContent.words };
+    if (!checkContentVersion(data, errors)) return { entries, errors };
+    
+    entries.words = validateDrillWords(data.words, errors);
+    if (!isPlainObject(data.templates)) {
+        errors.push('"templates" must be an object keyed by template id');
+        return { entries, errors };
+    }
+    Object.entries(data.templates).forEach(([templateId, template]) => {
+        const templateErrors = validateDrillTemplate(template);
+        templateErrors.forEach(message => errors.push(`templates["${templateId}"]${message}`));
+        if (templateErrors.length === 0) entries.templates[templateId] = template;
+    });
+    
+    if (!isPlainObject(data.drills)) {
+        errors.push('"drills" must be an object keyed by drill id');
+        return { entries, errors };
+    }
+    Object.entries(data.drills).forEach(([drillId, drill]) => {
+        const path = `drills["${drillId}"]`;
+        if (!isPlainObject(drill) || !isLocalizedText(drill.title) || !(Number.isInteger(drill.count) && drill.count > 0)) {
+            errors.push(`${path} must have a "title" string and a positive whole "count"`);
+            return;
+        }
+        if (quizData[drillId]) {
+            errors.push(`${path} has the same id as a quiz and was skipped`);
+            return;
+        }
+        let templates = drill.templates;
+        if (templates !== undefined) {
+            if (!Array.isArray(templates)) {
+                errors.push(`${path}.templates must be an array of template ids`);
+                templates = undefined;
+            } else {
+                templates.filter(id => !entries.templates[id])
+                    .forEach(id => errors.push(`${path}.templates: "${id}" is not a valid template`));
+                templates = templates.filter(id => entries.templates[id]);
+            }
+        }
+        entries.drills[drillId] = { ...drill, templates };
+    });
+    
+    return { entries, errors };
+}
+
+function validateTopicFile(data) {
+    const errors = [];
+    const entries = [];
+    if (!checkContentVersion(data, errors)) return { entries, errors };
+    if (!Array.isArray(data.tabs)) {
+        errors.push('"tabs" must be an array');
+        return { entries, errors };
+    }
+    
+    data.tabs.forEach((tab, tabIndex) => {
+        const path = `tabs[${tabIndex}]`;
+        if (!isPlainObject(tab) || !isNonEmptyString(tab.id) || !isLocalizedText(tab.label) || !Array.isArray(tab.topics)) {
+            errors.push(`${path} must have "id" and "label" strings and a "topics" array`);
+            return;
+        }
+        
+        const topics = tab.topics.filter((topic, index) => {
+            const topicErrors = validateTopic(topic);
+            topicErrors.forEach(message => errors.push(`${path}.topics[${index}]${message}`));
+            return topicErrors.length === 0;
+        });
+        entries.push({ id: tab.id, label: tab.label, topics });
+    });
+    
+    return { entries, errors };
+}
+
+const ContentLoader = {
+    sources: {
+        lessons: 'content/lessons.json',
+        quizzes: 'content/quizzes.json',
+        topics: 'content/topics.json',
+        vocabulary: 'content/vocabulary.json',
+        tenses: 'content/tenses.json',
+        drills: 'content/drills.json',
+        passages: 'content/passages.json',
+        placement: 'content/placement.json',
+        badges: 'content/badges.json'
+    },
+    status: 'idle',
+    errors: [],
+    // Files as fetched, before validation; the authoring panel edits copies of them
+    raw: {},
+    readyPromise: null,
+    
+    // Resolves once every source has been fetched and validated, never rejects
+    load() {
+        if (!this.readyPromise) {
+            this.status = 'loading';
+            this.readyPromise = Promise.all([
+                this.loadSource(this.sources.lessons, validateLessonFile, entries => Object.assign(materiContent, entries)),
+                this.loadSource(this.sources.quizzes, validateQuizFile, entries => Object.assign(quizData, entries)),
+                this.loadSource(this.sources.topics, validateTopicFile, entries => TopicRegistry.register(entries)),
+                this.loadSource(this.sources.vocabulary, validateVocabularyFile, entries => Object.assign(vocabularyDecks, entries)),
+                this.loadSource(this.sources.tenses, validateTenseFile, entries => Object.assign(tenseContent, entries)),
+                this.loadSource(this.sources.passages, validatePassageFile, entries => Object.assign(passageContent, entries)),
+                this.loadSource(this.sources.placement, validatePlacementFile, entries => Object.assign(placementContent, entries)),
+                this.loadSource(this.sources.badges, validateBadgeFile, entries => Object.assign(badgeContent, entries))
+            ]).then(() => {
+                attachPassageQuestions().forEach(message => this.errors.push(message));
+                // Drills need tenses.json and must not take a quiz id, so they load last
+                return this.loadSource(this.sources.drills, validateDrillFile, entries => Object.assign(drillContent, entries));
+            }).then(() => {
+                TopicRegistry.findMissingLessons().forEach(id => {
+                    this.errors.push(`${this.sources.topics}: topic "${id}" is published but has no lesson`);
+                });
+                findBrokenLessonLinks().forEach(path => {
+                    this.errors.push(`${this.sources.quizzes}: ${path} links to a lesson that does not exist`);
+                });
+                findDrillProblems().forEach(message => this.errors.push(message));
+                findBrokenPassageLessons().forEach(passageId => {
+                    this.errors.push(`${this.sources.passages}: passages["${passageId}"].lesson links to a lesson that does not exist`);
+                });
+                findBrokenPlacementLessons().forEach(path => {
+                    this.errors.push(`${this.sources.placement}: ${path} links to a lesson that does not exist`);
+                });
+                findBadgeProblems().forEach(message => this.errors.push(`${this.sources.badges}: ${message}`));
+                this.status = 'ready';
+                this.reportErrors();
+            });
+        }
+        return this.readyPromise;
+    },
+    
+    async loadSource(url, validate, apply) {
+        let data;
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            data = await response.json();
+        } catch (error) {
+            this.errors.push(`${url}: could not be loaded (${error.message})`);
+            return;
+        }
+        
+        this.raw[url] = data;
+        const { entries, errors } = validate(data);
+        errors.forEach(message => this.errors.push(`${url}: ${message}`));
+        apply(entries);
+    },
+    
+    reportErrors() {
+        if (this.errors.length === 0) return;
+        
+        console.group(`⚠️ EduVerse content: ${this.errors.length} problem(s) found`);
+        this.errors.forEach(message => console.error(message));
+        console.groupEnd();
+    }
+};
+
+// Quiz explanations link to lessons; list the links that point nowhere
+function findBrokenLessonLinks() {
+    const broken = [];
+    Object.entries(quizData).forEach(([category, quiz]) => {
+        if (quiz.lesson && !materiContent[quiz.lesson]) broken.push(`quizzes["${category}"].lesson`);
+        quiz.questions.forEach((question, index) => {
+            if (question.lesson && !materiContent[question.lesson]) {
+                broken.push(`quizzes["${category}"].questions[${index}].lesson`);
+            }
+        });
+    });
+    return broken;
+}
+
+function findBrokenPassageLessons() {
+    return Object.entries(passageContent)
+        .filter(([, passage]) => passage.lesson && !materiContent[passage.lesson])
+        .map(([passageId]) => passageId);
+}
+
+function findBrokenPlacementLessons() {
+    const broken = [];
+    Object.entries(placementContent.levels).forEach(([level, entry]) => {
+        entry.path.forEach((lessonId, index) => {
+            if (!materiContent[lessonId]) broken.push(`levels["${level}"].path[${index}]`);
+        });
+    });
+    placementContent.questions.forEach((question, index) => {
+        if (question.lesson && !materiContent[question.lesson]) broken.push(`questions[${index}].lesson`);
+    });
+    return broken;
+}
+
+// A badge for a quiz or lesson that does not exist could never be earned
+function findBadgeProblems() {
+    const problems = [];
+    Object.entries(badgeContent).forEach(([badgeId, badge]) => {
+        const { quiz, lessons = [] } = badge.condition;
+        if (quiz && !getQuizSource(quiz)) {
+            problems.push(`badges["${badgeId}"].condition.quiz "${quiz}" is not a quiz`);
+        }
+        lessons.filter(lessonId => !materiContent[lessonId]).forEach(lessonId => {
+            problems.push(`badges["${badgeId}"].condition.lessons: "${lessonId}" is not a lesson`);
+        });
+    });
+    return problems;
+}
+
+// Templates name tenses and lessons from other files, and quizzes name drills
+function findDrillProblems() {
+    const problems = [];
+    Object.entries(drillContent.templates).forEach(([templateId, template]) => {
+        if (template.kind === 'tense' && !getTense(template.tense)) {
+            problems.push(`${ContentLoader.sources.drills}: templates["${templateId}"].tense "${template.tense}" is not in tenses.json`);
+        }
+        if (template.lesson && !materiContent[template.lesson]) {
+            problems.push(`${ContentLoader.sources.drills}: templates["${templateId}"].lesson links to a lesson that does not exist`);
+        }
+    });
+    Object.entries(quizData).forEach(([category, quiz]) => {
+        if (quiz.drill && !isGeneratedDrill(quiz.drill)) {
+            problems.push(`${ContentLoader.sources.quizzes}: quizzes["${category}"].drill "${quiz.drill}" is not in drills.json`);
+        }
+    });
+    return problems;
+}
+
+// Fallback shown inside a modal when the requested content could not be loaded
+function renderContentError(title) {
+    return `
+        <div class="content-error">
+            <i class="fas fa-exclamation-triangle"></i>
+            <h2>${escapeHTML(title)}</h2>
+            <p>${t('error.contentBody')}</p>
+            ${ContentLoader.errors.length > 0 ? `
+                <details>
+                    <summary>${t('error.details')}</summary>
+                    <ul>${ContentLoader.errors.map(message => `<li>${escapeHTML(message)}</li>`).join('')}</ul>
+                </details>
+            ` : ''}
+        </div>
+    `;
+}
+
+// ===============================
+// SAFE CONTENT RENDERING
+// ===============================
+// Lesson bodies may use the markup allowed below and nothing else. Every other
+// content field (titles, questions, options, answers, explanations) is plain text
+// and always goes through escapeHTML.
+const LESSON_MARKUP = {
+    tags: [
+        'h3', 'h4', 'h5', 'p', 'br', 'hr', 'section', 'div', 'span', 'blockquote',
+        'strong', 'b', 'em', 'i', 'u', 'mark', 'small', 'sub', 'sup', 'code', 'kbd', 'a',
+        'ul', 'ol', 'li', 'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'
+    ],
+    attributes: {
+        '*': ['title', 'lang'],
+        a: ['href'],
+        div: ['data-callout', 'data-audio-clip', 'data-vocab-deck', 'data-tense-reference', 'data-conjugation-explorer', 'data-reading-list'],
+        ol: ['start'],
+        th: ['colspan', 'rowspan', 'scope'],
+        td: ['colspan', 'rowspan']
+    },
+    // Removed together with everything inside; other unknown tags only lose the tag itself
+    dropped: ['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'svg', 'math',
+        'form', 'input', 'button', 'select', 'textarea', 'link', 'meta', 'title']
+};
+
+// <div data-callout="tip"> boxes in lesson bodies; values are message keys, see MESSAGES
+const CALLOUT_TYPES = {
+    tip: { icon: 'fa-lightbulb', label: 'lesson.callout.tip' },
+    note: { icon: 'fa-info-circle', label: 'lesson.callout.note' },
+    formula: { icon: 'fa-square-root-alt', label: 'lesson.callout.formula' },
+    example: { icon: 'fa-quote-left', label: 'lesson.callout.example' }
+};
+
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Relative links, anchors, web and mail links; never javascript: or data: URLs.
+// The link is resolved the way the browser will follow it, which drops tabs, newlines
+// and control characters, so "java&#9;script:" cannot pass for a relative link.
+function isSafeLink(href) {
+    try {
+        return SAFE_LINK_PROTOCOLS.includes(new URL(href, window.location.href).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Parsing happens in an inert <template>, so nothing runs or loads while cleaning.
+// What was taken out is listed in `removed` so the loader can report it.
+function sanitizeHTML(html, removed = []) {
+    const template = document.createElement('template');
+    template.innerHTML = String(html ?? '');
+    sanitizeChildren(template.content, removed);
+    return template.innerHTML;
+}
+
+function sanitizeChildren(parent, removed) {
+    [...parent.childNodes].forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            node.remove();
+            return;
+        }
+        
+        const tag = node.localName;
+        if (!LESSON_MARKUP.tags.includes(tag)) {
+            removed.push(`<${tag}>`);
+            if (LESSON_MARKUP.dropped.includes(tag)) {
+                node.remove();
+            } else {
+                sanitizeChildren(node, removed);
+                node.replaceWith(...node.childNodes);
+            }
+            return;
+        }
+        
+        const allowed = [...LESSON_MARKUP.attributes['*'], ...(LESSON_MARKUP.attributes[tag] || [])];
+        [...node.attributes].forEach(({ name, value }) => {
+            const safe = allowed.includes(name) &&
+                (name !== 'href' || isSafeLink(value)) &&
+                (name !== 'data-callout' || value in CALLOUT_TYPES);
+            if (!safe) {
+                removed.push(`${name}="${value}"`);
+                node.removeAttribute(name);
+            }
+        });
+        if (tag === 'a' && /^https?:/i.test(node.getAttribute('href') || '')) {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+        sanitizeChildren(node, removed);
+    });
+}
+
+// Give each callout its icon and label; a heading at the top of the box becomes its title
+function renderCallouts(root) {
+    root.querySelectorAll('[data-callout]').forEach(box => {
+        const name = box.getAttribute('data-callout');
+        const type = CALLOUT_TYPES[name];
+        if (!type) return;
+        
+        box.classList.add('callout', `callout-${name}`);
+        box.setAttribute('role', 'note');
+        
+        const first = box.firstElementChild;
+        let title = first && /^h[3-5]$/.test(first.localName) &&
+            box.textContent.trim().startsWith(first.textContent.trim()) ? first : null;
+        if (!title) {
+            title = document.createElement('p');
+            title.textContent = t(type.label);
+            box.prepend(title);
+        }
+        title.classList.add('callout-title');
+        title.insertAdjacentHTML('afterbegin', `<i class="fas ${type.icon}" aria-hidden="true"></i> `);
+    });
+}
+
+// ===============================
+// TOPIC REGISTRY
+// ===============================
+// Drives the Materi tabs and cards from content/topics.json
+const TopicRegistry = {
+    tabs: [],
+    topics: {},
+    notifyKey: 'topic-notify',
+    
+    register(tabs) {
+        this.tabs = tabs;
+        this.topics = {};
+        tabs.forEach(tab => tab.topics.forEach(topic => {
+            this.topics[topic.id] = { ...topic, tab: tab.id };
+        }));
+    },
+    
+    get(topicId) {
+        return this.topics[topicId] || null;
+    },
+    
+    getStatus(topicId) {
+        return this.topics[topicId]?.status || null;
+    },
+    
+    findMissingLessons() {
+        return Object.values(this.topics)
+            .filter(topic => topic.status === 'published' && !materiContent[topic.id])
+            .map(topic => topic.id);
+    },
+    
+    // "Notify me" opt-ins are only stored locally, the card shows a badge once the topic is published
+    getSubscriptions() {
+        const saved = LocalStore.get(this.notifyKey, []);
+        return Array.isArray(saved) ? saved : [];
+    },
+    
+    isSubscribed(topicId) {
+        return this.getSubscriptions().includes(topicId);
+    },
+    
+    toggleSubscription(topicId) {
+        const subscriptions = this.getSubscriptions();
+        const subscribed = !subscriptions.includes(topicId);
+        LocalStore.set(this.notifyKey, subscribed
+            ? [...subscriptions, topicId]
+            : subscriptions.filter(id => id !== topicId));
+        return subscribed;
+    },
+    
+    clearSubscription(topicId) {
+        if (this.isSubscribed(topicId)) this.toggleSubscription(topicId);
+    }
+};
+
+function renderTopicCard(topic) {
+    const isComingSoon = topic.status === 'coming-soon';
+    const isNew = !isComingSoon && TopicRegistry.isSubscribed(topic.id);
+    
+    return `
+        <div class="materi-card${isComingSoon ? ' coming-soon' : ''}">
+            ${isNew ? `<span class="materi-badge">${t('topic.new')}</span>` : ''}
+            <div class="materi-icon">
+                <i class="fas ${escapeHTML(topic.icon)}"></i>
+            </div>
+            <h3>${escapeHTML(localize(topic.title))}</h3>
+            <p>${escapeHTML(localize(topic.description))}</p>
+            <button class="btn-materi" data-topic="${escapeHTML(topic.id)}">
+                ${isComingSoon ? t('topic.comingSoon') : t('topic.open')}
+            </button>
+        </div>
+    `;
+}
+
+function renderMateriTabs() {
+    const tabContainer = document.querySelector('.materi-tabs');
+    const paneContainer = document.querySelector('#materi .tab-content');
+    if (!tabContainer || !paneContainer) return;
+    
+    const tabs = TopicRegistry.tabs;
+    if (tabs.length === 0) {
+        tabContainer.innerHTML = '';
+        paneContainer.innerHTML = renderContentError(t('error.lessonsUnavailable'));
+        return;
+    }
+    
+    // Keep the learner on the same tab when the cards are re-rendered
+    const currentTab = tabContainer.querySelector('.tab-btn.active')?.getAttribute('data-tab');
+    const activeTab = tabs.some(tab => tab.id === currentTab) ? currentTab : tabs[0].id;
+    
+    tabContainer.innerHTML = tabs.map(tab => `
+        <button class="tab-btn${tab.id === activeTab ? ' active' : ''}" data-tab="${escapeHTML(tab.id)}">${escapeHTML(localize(tab.label))}</button>
+    `).join('');
+    
+    paneContainer.innerHTML = tabs.map(tab => {
+        // Drafts stay in the registry but are never shown to learners
+        const visibleTopics = tab.topics.filter(topic => topic.status !== 'draft');
+        return `
+            <div class="tab-pane${tab.id === activeTab ? ' active' : ''}" id="${escapeHTML(tab.id)}">
+                ${visibleTopics.length > 0
+                    ? `<div class="materi-grid">${visibleTopics.map(renderTopicCard).join('')}</div>`
+                    : `<p class="progress-empty">${t('topic.emptyTab')}</p>`}
+            </div>
+        `;
+    }).join('');
+    
+    DOMCache.tabButtons = tabContainer.querySelectorAll('.tab-btn');
+    DOMCache.tabPanes = paneContainer.querySelectorAll('.tab-pane');
+    AnimationController.observeElements(paneContainer);
+}
+
+function initTopicCards() {
+    const paneContainer = document.querySelector('#materi .tab-content');
+    if (!paneContainer) return;
+    
+    paneContainer.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-topic]');
+        if (button) {
+            openMateriModal(button.getAttribute('data-topic'));
+        }
+    });
+}
+
+function openComingSoonModal(topic) {
+    if (!DOMCache.materiModal || !DOMCache.materiModalBody) return;
+    
+    const render = () => {
+        const subscribed = TopicRegistry.isSubscribed(topic.id);
+        DOMCache.materiModalBody.innerHTML = `
+            <div class="coming-soon-placeholder">
+                <div class="materi-icon">
+                    <i class="fas ${escapeHTML(topic.icon)}"></i>
+                </div>
+                <h2>${escapeHTML(localize(topic.title))}</h2>
+                <p>${escapeHTML(localize(topic.description))}</p>
+                <p class="coming-soon-note">
+                    <i class="fas fa-tools"></i>
+                    ${t('topic.preparing')}
+                </p>
+                <button class="btn-materi" id="notify-topic-btn" aria-pressed="${subscribed}">
+                    <i class="fas ${subscribed ? 'fa-bell-slash' : 'fa-bell'}"></i>
+                    ${subscribed ? t('topic.unsubscribe') : t('topic.subscribe')}
+                </button>
+                ${subscribed ? `<p class="coming-soon-hint">${t('topic.subscribedHint')}</p>` : ''}
+            </div>
+        `;
+        
+        document.getElementById('notify-topic-btn')?.addEventListener('click', () => {
+            TopicRegistry.toggleSubscription(topic.id);
+            render();
+        });
+    };
+    
+    render();
+    
+    requestAnimationFrame(() => {
+        DOMCache.materiModal.style.display = 'block';
+        document.body.style.overflow = 'hidden';
+        Dialog.open(DOMCache.materiModal, '.close');
+    });
+}
+
+// ===============================
+// AUDIO PLAYER
+// ===============================
+// Clips reference a local file (`src`) and/or a `script`. Without a playable file
+// the script is read aloud with the Web Speech API.
+const AudioManager = {
+    rates: [0.75, 1, 1.25],
+    players: new Set(),
+    
+    get speechSupported() {
+        return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+    },
+    
+    register(player) {
+        this.players.add(player);
+    },
+    
+    stopAll() {
+        this.players.forEach(player => player.stop());
+        this.players.clear();
+    },
+    
+    // Alternate English voices (and pitch) per speaker so dialogues are easier to follow
+    voiceFor(speakerIndex) {
+        const voices = window.speechSynthesis.getVoices().filter(voice => voice.lang.startsWith('en'));
+        return voices.length > 0 ? voices[speakerIndex % voices.length] : null;
+    }
+};
+
+function validateAudioClip(clip) {
+    const errors = [];
+    if (!isPlainObject(clip)) return ['must be an object'];
+    
+    const hasScript = isNonEmptyString(clip.script) ||
+        (Array.isArray(clip.script) && clip.script.length > 0 && clip.script.every(isNonEmptyString));
+    if (!isNonEmptyString(clip.src) && !hasScript) {
+        errors.push(' needs a "src" audio file or a "script" to read aloud');
+    }
+    if (clip.script !== undefined && !hasScript) {
+        errors.push('.script must be a string or an array of strings');
+    }
+    if (clip.maxPlays !== undefined && (!Number.isInteger(clip.maxPlays) || clip.maxPlays < 1)) {
+        errors.push('.maxPlays must be a positive integer');
+    }
+    return errors;
+}
+
+// "A: Hello" lines become { speaker: 'A', text: 'Hello' }
+function parseAudioScript(script) {
+    const lines = Array.isArray(script) ? script : String(script || '').split(/\n+/);
+    return lines.map(line => line.trim()).filter(Boolean).map(line => {
+        const match = line.match(/^([A-Z][\w ]{0,20}):\s*(.+)$/);
+        return match ? { speaker: match[1], text: match[2] } : { speaker: null, text: line };
+    });
+}
+
+function renderTranscript(script) {
+    return parseAudioScript(script).map(segment => `
+        <p>${segment.speaker ? `<strong>${escapeHTML(segment.speaker)}:</strong> ` : ''}${escapeHTML(segment.text)}</p>
+    `).join('');
+}
+
+function createAudioPlayer(clip, { playsUsed = 0, onPlayStart = null, transcriptToggle = false } = {}) {
+    const maxPlays = clip.maxPlays || Infinity;
+    const segments = parseAudioScript(clip.script);
+    const state = {
+        mode: clip.src ? 'file' : 'speech',
+        plays: playsUsed,
+        status: 'idle',
+        rate: 1,
+        segment: 0,
+        run: 0
+    };
+    let audio = null;
+    
+    const element = document.createElement('div');
+    element.className = 'audio-player';
+    element.innerHTML = `
+        <button type="button" class="audio-play" aria-label="${t('audio.play')}">
+            <i class="fas fa-play"></i>
+        </button>
+        <div class="audio-info">
+            <span class="audio-title">${escapeHTML(clip.title || t('audio.defaultTitle'))}</span>
+            <div class="audio-progress"><div class="audio-progress-bar"></div></div>
+            <span class="audio-status"></span>
+        </div>
+        <div class="audio-speed" role="group" aria-label="${t('audio.speed')}">
+            ${AudioManager.rates.map(rate => `
+                <button type="button" data-rate="${rate}" class="${rate === 1 ? 'active' : ''}">${rate}x</button>
+            `).join('')}
+        </div>
+        ${transcriptToggle && segments.length > 0 ? `
+            <details class="audio-transcript">
+                <summary>${t('audio.transcript')}</summary>
+                ${renderTranscript(clip.script)}
+            </details>
+        ` : ''}
+    `;
+    
+    const playBtn = element.querySelector('.audio-play');
+    const progressBar = element.querySelector('.audio-progress-bar');
+    const statusText = element.querySelector('.audio-status');
+    
+    const update = () => {
+        const playing = state.status === 'playing';
+        const playsLeft = maxPlays - state.plays;
+        const exhausted = state.status !== 'paused' && !playing && playsLeft <= 0;
+        
+        playBtn.innerHTML = `<i class="fas ${playing ? 'fa-pause' : (state.plays > 0 && state.status !== 'paused' ? 'fa-redo' : 'fa-play')}"></i>`;
+        playBtn.setAttribute('aria-label', playing ? t('audio.pause') : t('audio.play'));
+        playBtn.disabled = exhausted || state.mode === 'unavailable';
+        
+        if (state.mode === 'unavailable') {
+            statusText.textContent = t('audio.unavailable');
+        } else if (maxPlays !== Infinity) {
+            statusText.textContent = exhausted
+                ? t('audio.noPlaysLeft')
+                : t(playsLeft === 1 ? 'audio.playLeft' : 'audio.playsLeft', { count: playsLeft });
+        } else {
+            statusText.textContent = state.mode === 'speech' ? t('audio.speech') : '';
+        }
+    };
+    
+    const setProgress = (ratio) => {
+        progressBar.style.width = `${Math.min(100, Math.max(0, ratio * 100))}%`;
+    };
+    
+    const finish = () => {
+        state.status = 'idle';
+        state.segment = 0;
+        setProgress(1);
+        update();
+    };
+    
+    const speakSegment = (run) => {
+        if (run !== state.run) return;
+        if (state.segment >= segments.length) {
+            finish();
+            return;
+        }
+        
+        const segment = segments[state.segment];
+        const speakers = [...new Set(segments.map(item => item.speaker))];
+        const speakerIndex = Math.max(0, speakers.indexOf(segment.speaker));
+        const utterance = new SpeechSynthesisUtterance(segment.text);
+        utterance.lang = 'en-US';
+        utterance.rate = state.rate;
+        utterance.pitch = speakerIndex % 2 === 0 ? 1 : 1.25;
+        utterance.voice = AudioManager.voiceFor(speakerIndex);
+        utterance.onend = () => {
+            if (run !== state.run) return;
+            state.segment++;
+            setProgress(state.segment / segments.length);
+            speakSegment(run);
+        };
+        window.speechSynthesis.speak(utterance);
+    };
+    
+    const startPlayback = () => {
+        if (state.plays >= maxPlays) return;
+        state.plays++;
+        state.status = 'playing';
+        state.segment = 0;
+        state.run++;
+        setProgress(0);
+        if (onPlayStart) onPlayStart(state.plays);
+        
+        if (state.mode === 'file') {
+            audio.currentTime = 0;
+            audio.playbackRate = state.rate;
+            audio.play().catch(() => useSpeechFallback());
+        } else {
+            window.speechSynthesis.cancel();
+            speakSegment(state.run);
+        }
+        update();
+    };
+    
+    const useSpeechFallback = () => {
+        if (state.mode !== 'file') return;
+        state.mode = segments.length > 0 && AudioManager.speechSupported ? 'speech' : 'unavailable';
+        
+        // A failed file load should not cost the learner a play
+        if (state.status === 'playing') {
+            state.plays = Math.max(0, state.plays - 1);
+            state.status = 'idle';
+            if (state.mode === 'speech') startPlayback();
+        }
+        update();
+    };
+    
+    const toggle = () => {
+        if (state.status === 'playing') {
+            state.status = 'paused';
+            if (state.mode === 'file') audio.pause();
+            else window.speechSynthesis.pause();
+        } else if (state.status === 'paused') {
+            state.status = 'playing';
+            if (state.mode === 'file') audio.play().catch(useSpeechFallback);
+            else window.speechSynthesis.resume();
+        } else {
+            startPlayback();
+            return;
+        }
+        update();
+    };
+    
+    if (state.mode === 'file') {
+        audio = new Audio(clip.src);
+        audio.preload = 'metadata';
+        audio.addEventListener('timeupdate', () => {
+            if (audio.duration) setProgress(audio.currentTime / audio.duration);
+        });
+        audio.addEventListener('ended', finish);
+        audio.addEventListener('error', useSpeechFallback);
+    } else if (!AudioManager.speechSupported) {
+        state.mode = 'unavailable';
+    }
+    
+    playBtn.addEventListener('click', toggle);
+    element.querySelector('.audio-speed').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-rate]');
+        if (!button) return;
+        
+        state.rate = parseFloat(button.getAttribute('data-rate'));
+        element.querySelectorAll('[data-rate]').forEach(item => item.classList.toggle('active', item === button));
+        
+        // Speech cannot change rate mid-utterance, so the current line restarts at the new speed
+        if (state.mode === 'file') {
+            audio.playbackRate = state.rate;
+        } else if (state.status === 'playing') {
+            state.run++;
+            window.speechSynthesis.cancel();
+            speakSegment(state.run);
+        }
+    });
+    
+    const player = {
+        element,
+        stop() {
+            state.run++;
+            if (audio) {
+                audio.pause();
+            } else if (state.mode === 'speech' && state.status !== 'idle') {
+                window.speechSynthesis.cancel();
+            }
+            state.status = 'idle';
+        }
+    };
+    
+    update();
+    AudioManager.register(player);
+    return player;
+}
+
+// Replace <div data-audio-clip="id"></div> placeholders in lesson bodies with players
+function mountLessonAudio(container, clips = {}) {
+    container.querySelectorAll('[data-audio-clip]').forEach(placeholder => {
+        const clip = clips[placeholder.getAttribute('data-audio-clip')];
+        if (!clip) return;
+        placeholder.replaceWith(createAudioPlayer(clip, { transcriptToggle: true }).element);
+    });
+}
+
+// ===============================
+// DIALOGS
+// ===============================
+// Shared behaviour for every modal: dialog semantics, focus trap, focus restore and an inert page behind
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'summary',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+const Dialog = {
+    // Open dialogs, topmost last, each with the element to return focus to
+    stack: [],
+    inerted: new Set(),
+    
+    // Call once the modal is visible; `initialFocus` is a selector inside it
+    open(modal, initialFocus = null) {
+        if (!this.stack.some(entry => entry.modal === modal)) {
+            const trigger = document.activeElement;
+            this.stack.push({ modal, trigger: trigger && trigger !== document.body ? trigger : null });
+            this.updateInert();
+        }
+        this.label(modal);
+        this.focus(modal, initialFocus);
+    },
+    
+    close(modal) {
+        const index = this.stack.findIndex(entry => entry.modal === modal);
+        if (index === -1) return;
+        
+        const [{ trigger }] = this.stack.splice(index, 1);
+        this.updateInert();
+        
+        // Hand focus back only when this was the top dialog and the trigger can still take it
+        if (index === this.stack.length && trigger?.isConnected && !trigger.closest('[inert]')) {
+            trigger.focus();
+        }
+    },
+    
+    top() {
+        return this.stack[this.stack.length - 1]?.modal || null;
+    },
+    
+    // Modal bodies are re-rendered, so the title id is re-attached to whatever heading comes first
+    label(modal) {
+        const content = modal.querySelector('.modal-content');
+        const heading = content?.querySelector('h2');
+        if (!heading) {
+            content?.removeAttribute('aria-labelledby');
+            return;
+        }
+        if (!heading.id) heading.id = `${modal.id}-title`;
+        content.setAttribute('aria-labelledby', heading.id);
+    },
+    
+    focus(modal, selector = null) {
+        const target = (selector && modal.querySelector(selector)) || modal.querySelector('.modal-content');
+        target?.focus();
+    },
+    
+    // Everything but the top dialog is inert, including a dialog stacked underneath it
+    updateInert() {
+        this.inerted.forEach(element => element.removeAttribute('inert'));
+        this.inerted.clear();
+        
+        const top = this.top();
+        if (!top) return;
+        [...document.body.children].forEach(element => {
+            if (element === top || element.id === 'live-region' || element === Toasts.container || element.tagName === 'SCRIPT') return;
+            if (element.hasAttribute('inert')) return;
+            element.setAttribute('inert', '');
+            this.inerted.add(element);
+        });
+    },
+    
+    // Tab and Shift+Tab wrap around inside the top dialog
+    handleKey(e) {
+        const modal = this.top();
+        if (!modal || e.key !== 'Tab') return;
+        
+        const focusable = [...modal.querySelectorAll(FOCUSABLE_SELECTOR)].filter(element => !element.closest('[hidden]'));
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const outside = !modal.contains(document.activeElement);
+        if (e.shiftKey && (document.activeElement === first || outside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || outside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+};
+
+// Screen-reader announcement through the page's polite live region
+function announce(message) {
+    const region = document.getElementById('live-region');
+    if (!region) return;
+    
+    // Clearing first makes a repeated message be read again
+    region.textContent = '';
+    setTimeout(() => { region.textContent = message; }, 50);
+}
+
+// Short notices in the corner that go away by themselves; screen readers get them through announce()
+const Toasts = {
+    container: null,
+    duration: 5000,
+    
+    init() {
+        this.container = document.createElement('div');
+        this.container.className = 'toast-stack';
+        this.container.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(this.container);
+        
+        this.container.addEventListener('click', (e) => {
+            const toast = e.target.closest('.toast');
+            if (toast) this.dismiss(toast);
+        });
+    },
+    
+    show({ icon, title, body }) {
+        if (!this.container) return;
+        
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.innerHTML = `
+            <span class="toast-icon"><i class="fas ${escapeHTML(icon || 'fa-award')}"></i></span>
+            <span class="toast-text">
+                <strong>${escapeHTML(title)}</strong>
+                ${body ? `<span>${escapeHTML(body)}</span>` : ''}
+            </span>
+        `;
+        this.container.appendChild(toast);
+        setTimeout(() => this.dismiss(toast), this.duration);
+    },
+    
+    dismiss(toast) {
+        if (!toast.isConnected || toast.classList.contains('leaving')) return;
+        toast.classList.add('leaving');
+        toast.addEventListener('animationend', () => toast.remove());
+        // Without animations (reduced motion) there is no animationend
+        setTimeout(() => toast.remove(), 400);
+    }
+};
+
+// ===============================
+// OPTIMIZED MODAL FUNCTIONALITY
+// ===============================
+// Lessons are loaded from content/lessons.json by ContentLoader
+const materiContent = {};
+
+// `preview` is an unsaved lesson from the authoring panel; it is shown without a link or progress
+function openMateriModal(materiId, preview = null) {
+    if (ContentLoader.status !== 'ready') {
+        ContentLoader.load().then(() => openMateriModal(materiId, preview));
+        return;
+    }
+    
+    const topic = preview ? null : TopicRegistry.get(materiId);
+    if (topic?.status === 'coming-soon') {
+        Router.opened('lesson', materiId, `/materi/${materiId}`);
+        openComingSoonModal(topic);
+        return;
+    }
+    
+    const content = preview || materiContent[materiId];
+    if (!DOMCache.materiModal || !DOMCache.materiModalBody) return;
+    if (!content && ContentLoader.errors.length === 0) return;
+    if (!preview) Router.opened('lesson', materiId, `/materi/${materiId}`);
+    
+    // Use document fragment for better performance
+    const fragment = document.createDocumentFragment();
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = content ? `
+        <h2 class="lesson-title">${escapeHTML(localize(content.title))}</h2>
+        <div class="lesson-body">${sanitizeHTML(localize(content.content))}</div>
+    ` : renderContentError(t('error.lessonUnavailable'));
+    
+    if (content) {
+        mountTenseReference(wrapper);
+        renderCallouts(wrapper);
+        mountLessonAudio(wrapper, content.audio);
+        mountVocabularyDecks(wrapper);
+        mountConjugationExplorers(wrapper);
+        mountReadingLists(wrapper);
+    }
+    
+    // Clear and append in one operation
+    AudioManager.stopAll();
+    DOMCache.materiModalBody.innerHTML = '';
+    DOMCache.materiModalBody.appendChild(wrapper);
+    
+    if (content && !preview) {
+        ProgressStore.recordTopicView(materiId);
+        GameStore.recordLesson(materiId);
+        TenseReadingTracker.watch(wrapper);
+        
+        // The "Baru!" badge has done its job once the learner opens the topic
+        if (TopicRegistry.isSubscribed(materiId)) {
+            TopicRegistry.clearSubscription(materiId);
+            renderMateriTabs();
+        }
+    }
+    
+    // Show modal with RAF for smooth animation
+    requestAnimationFrame(() => {
+        DOMCache.materiModal.style.display = 'block';
+        document.body.style.overflow = 'hidden';
+        Dialog.open(DOMCache.materiModal, '.close');
+    });
+}
+
+function closeMateriModal() {
+    if (!DOMCache.materiModal) return;
+    
+    AudioManager.stopAll();
+    Router.closed('lesson');
+    requestAnimationFrame(() => {
+        DOMCache.materiModal.style.display = 'none';
+        DOMCache.materiModal.classList.remove('modal-stacked');
+        releaseBodyScroll();
+        Dialog.close(DOMCache.materiModal);
+    });
+}
+
+// A lesson opened from the quiz review sits on top of the quiz modal
+function openLessonOverQuiz(materiId) {
+    DOMCache.materiModal?.classList.add('modal-stacked');
+    openMateriModal(materiId);
+}
+
+// Only give the page its scrollbar back once no other modal is still open
+function releaseBodyScroll() {
+    const anyOpen = [...document.querySelectorAll('.modal')].some(modal => modal.style.display === 'block');
+    if (!anyOpen) document.body.style.overflow = 'auto';
+}
+
+// ===============================
+// QUESTION TYPES
+// ===============================
+// One answer is a radio group with a roving tabindex; several answers are a group of checkboxes
+function renderOptionList(options, isSelected, multiple = false) {
+    const selected = options.map((option, index) => isSelected(index));
+    const tabStop = Math.max(0, selected.indexOf(true));
+    return `
+        <div class="quiz-options${multiple ? ' multi-select' : ''}" role="${multiple ? 'group' : 'radiogroup'}" aria-labelledby="quiz-question-text">
+            ${options.map((option, index) => `
+                <div class="quiz-option${selected[index] ? ' selected' : ''}" data-option="${index}"
+                    role="${multiple ? 'checkbox' : 'radio'}" aria-checked="${selected[index]}"
+                    tabindex="${multiple || index === tabStop ? 0 : -1}">
+                    ${String.fromCharCode(65 + index)}. ${escapeHTML(option)}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function validateOptionList(question, errors) {
+    const options = question.options;
+    if (!Array.isArray(options) || options.length < 2 || !options.every(isNonEmptyString)) {
+        errors.push('.options must be an array of at least 2 non-empty strings');
+        return false;
+    }
+    
+    // Two options that read the same make the answer key ambiguous
+    const seen = new Set();
+    options.forEach(option => {
+        const key = normalizeTypedAnswer(option);
+        if (seen.has(key)) errors.push(`.options lists "${option.trim()}" more than once`);
+        seen.add(key);
+    });
+    return true;
+}
+
+function isOptionIndex(question, value) {
+    return Number.isInteger(value) && value >= 0 && value < question.options.length;
+}
+
+// Reorder the options of a question; `order[newIndex]` is the original index
+function permuteOptions(question, random) {
+    const order = shuffleArray(question.options.map((option, index) => index), random);
+    return {
+        order,
+        options: order.map(index => question.options[index])
+    };
+}
+
+// Case-insensitive, whitespace-collapsed comparison for typed answers
+function normalizeTypedAnswer(value, caseSensitive = false) {
+    const normalized = String(value ?? '')
+        .normalize('NFKC')
+        .replace(/[‘’]/g, '\'')
+        .trim()
+        .replace(/\s+/g, ' ')
+        .replace(/[.!?]+$/, '');
+    return caseSensitive ? normalized : normalized.toLowerCase();
+}
+
+// Seeded random numbers (mulberry32), so the same seed always builds the same quiz paper
+function createRandom(seed) {
+    let state = 2166136261;
+    for (const char of String(seed)) {
+        state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+    }
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Short code a teacher can read off the results screen
+function generateSeed() {
+    return Math.random().toString(36).slice(2, 8).toUpperCase().padEnd(6, '0');
+}
+
+function shuffleArray(items, random = Math.random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// Every quiz question has a `type` (default "single"). A type knows how to validate,
+// render, capture, score and describe its answers, so the quiz flow stays generic.
+const QuestionTypes = {
+    single: {
+        estimatedSeconds: 30,
+        validate(question, errors) {
+            if (validateOptionList(question, errors) && !isOptionIndex(question, question.correct)) {
+                errors.push(`.correct must be an option index between 0 and ${question.options.length - 1}`);
+            }
+        },
+        shuffleOptions(question, random) {
+            const { order, options } = permuteOptions(question, random);
+            return { ...question, options, correct: order.indexOf(question.correct) };
+        },
+        render(question, answer) {
+            return renderOptionList(question.options, index => answer === index);
+        },
+        select(answer, optionIndex) {
+            return optionIndex;
+        },
+        isSelected(answer, optionIndex) {
+            return answer === optionIndex;
+        },
+        isAnswered(answer) {
+            return Number.isInteger(answer);
+        },
+        isCorrect(question, answer) {
+            return answer === question.correct;
+        },
+        formatAnswer(question, answer) {
+            return question.options[answer];
+        },
+        formatCorrect(question) {
+            return question.options[question.correct];
+        }
+    },
+    
+    multiple: {
+        estimatedSeconds: 45,
+        validate(question, errors) {
+            if (!validateOptionList(question, errors)) return;
+            const correct = question.correct;
+            if (!Array.isArray(correct) || correct.length === 0 || !correct.every(value => isOptionIndex(question, value))) {
+                errors.push(`.correct must be a non-empty array of option indexes between 0 and ${question.options.length - 1}`);
+            } else if (new Set(correct).size !== correct.length) {
+                errors.push('.correct must not repeat an option index');
+            }
+        },
+        shuffleOptions(question, random) {
+            const { order, options } = permuteOptions(question, random);
+            const correct = question.correct.map(index => order.indexOf(index)).sort((a, b) => a - b);
+            return { ...question, options, correct };
+        },
+        render(question, answer = []) {
+            return `
+                <p class="quiz-hint">${t('quiz.hint.multiple')}</p>
+                ${renderOptionList(question.options, index => answer.includes(index), true)}
+            `;
+        },
+        select(answer = [], optionIndex) {
+            return answer.includes(optionIndex)
+                ? answer.filter(index => index !== optionIndex)
+                : [...answer, optionIndex].sort((a, b) => a - b);
+        },
+        isSelected(answer = [], optionIndex) {
+            return answer.includes(optionIndex);
+        },
+        isAnswered(answer) {
+            return Array.isArray(answer) && answer.length > 0;
+        },
+        isCorrect(question, answer) {
+            if (!Array.isArray(answer) || answer.length !== question.correct.length) return false;
+            return question.correct.every(index => answer.includes(index));
+        },
+        formatAnswer(question, answer) {
+            return answer.map(index => question.options[index]).join(', ');
+        },
+        formatCorrect(question) {
+            return question.correct.map(index => question.options[index]).join(', ');
+        }
+    },
+    
+    truefalse: {
+        get labels() {
+            return [t('quiz.true'), t('quiz.false')];
+        },
+        estimatedSeconds: 20,
+        validate(question, errors) {
+            if (typeof question.correct !== 'boolean') {
+                errors.push('.correct must be true or false');
+            }
+        },
+        render(question, answer) {
+            return renderOptionList(this.labels, index => answer === index);
+        },
+        select(answer, optionIndex) {
+            return optionIndex;
+        },
+        isSelected(answer, optionIndex) {
+            return answer === optionIndex;
+        },
+        isAnswered(answer) {
+            return answer === 0 || answer === 1;
+        },
+        isCorrect(question, answer) {
+            return this.isAnswered(answer) && (answer === 0) === question.correct;
+        },
+        formatAnswer(question, answer) {
+            return this.labels[answer];
+        },
+        formatCorrect(question) {
+            return this.labels[question.correct ? 0 : 1];
+        }
+    },
+    
+    fill: {
+        estimatedSeconds: 40,
+        validate(question, errors) {
+            if (!Array.isArray(question.answers) || question.answers.length === 0 || !question.answers.every(isNonEmptyString)) {
+                errors.push('.answers must be an array of accepted answer strings');
+            }
+        },
+        render(question, answer = '') {
+            return `
+                <div class="quiz-fill">
+                    <input type="text" class="quiz-input" id="fill-answer" autocomplete="off" spellcheck="false"
+                        placeholder="${t('quiz.hint.fill')}" value="${escapeHTML(answer)}">
+                </div>
+            `;
+        },
+        bind(container, question, setAnswer) {
+            container.querySelector('#fill-answer')?.addEventListener('input', (e) => {
+                setAnswer(e.target.value);
+            });
+        },
+        isAnswered(answer) {
+            return typeof answer === 'string' && answer.trim() !== '';
+        },
+        isCorrect(question, answer) {
+            if (!this.isAnswered(answer)) return false;
+            const given = normalizeTypedAnswer(answer, question.caseSensitive);
+            return question.answers.some(accepted => normalizeTypedAnswer(accepted, question.caseSensitive) === given);
+        },
+        formatAnswer(question, answer) {
+            return answer.trim();
+        },
+        formatCorrect(question) {
+            return question.answers.join(' / ');
+        }
+    },
+    
+    order: {
+        estimatedSeconds: 60,
+        validate(question, errors) {
+            if (!Array.isArray(question.items) || question.items.length < 2 || !question.items.every(isNonEmptyString)) {
+                errors.push('.items must be an array of at least 2 strings in the correct order');
+            }
+        },
+        // The learner starts from a shuffled copy that is never already correct
+        initialAnswer(question, random = Math.random) {
+            const indexes = question.items.map((item, index) => index);
+            let order = shuffleArray(indexes, random);
+            if (order.every((value, index) => value === index)) {
+                order = [...order.slice(1), order[0]];
+            }
+            return order;
+        },
+        render(question, answer) {
+            return `
+                <p class="quiz-hint">${t('quiz.hint.order')}</p>
+                <ol class="quiz-order-list">
+                    ${answer.map((itemIndex, position) => `
+                        <li class="quiz-order-item" draggable="true" data-position="${position}">
+                            <span class="quiz-order-grip"><i class="fas fa-grip-vertical"></i></span>
+                            <span class="quiz-order-text">${escapeHTML(question.items[itemIndex])}</span>
+                            <button type="button" class="quiz-order-move" data-move="-1" aria-label="${t('quiz.moveUp')}" ${position === 0 ? 'disabled' : ''}>
+                                <i class="fas fa-arrow-up"></i>
+                            </button>
+                            <button type="button" class="quiz-order-move" data-move="1" aria-label="${t('quiz.moveDown')}" ${position === answer.length - 1 ? 'disabled' : ''}>
+                                <i class="fas fa-arrow-down"></i>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ol>
+            `;
+        },
+        bind(container, question, setAnswer, getAnswer) {
+            const list = container.querySelector('.quiz-order-list');
+            if (!list) return;
+            let dragFrom = null;
+            
+            const move = (from, to) => {
+                const order = [...getAnswer()];
+                if (to < 0 || to >= order.length || from === to) return;
+                const [item] = order.splice(from, 1);
+                order.splice(to, 0, item);
+                setAnswer(order, true);
+            };
+            
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('.quiz-order-move');
+                if (!button) return;
+                const position = parseInt(button.closest('.quiz-order-item').getAttribute('data-position'));
+                const direction = button.getAttribute('data-move');
+                move(position, position + parseInt(direction));
+                
+                // The list was redrawn; keep keyboard focus on the piece that moved
+                const moved = container.querySelector(`.quiz-order-item[data-position="${position + parseInt(direction)}"]`);
+                (moved?.querySelector(`[data-move="${direction}"]:not([disabled])`) || moved?.querySelector('.quiz-order-move:not([disabled])'))?.focus();
+            });
+            
+            list.addEventListener('dragstart', (e) => {
+                const item = e.target.closest('.quiz-order-item');
+                if (!item) return;
+                dragFrom = parseInt(item.getAttribute('data-position'));
+                item.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(dragFrom));
+            });
+            
+            list.addEventListener('dragover', (e) => {
+                if (dragFrom !== null) e.preventDefault();
+            });
+            
+            list.addEventListener('drop', (e) => {
+                const target = e.target.closest('.quiz-order-item');
+                if (dragFrom === null || !target) return;
+                e.preventDefault();
+                move(dragFrom, parseInt(target.getAttribute('data-position')));
+                dragFrom = null;
+            });
+            
+            list.addEventListener('dragend', () => {
+                dragFrom = null;
+                list.querySelectorAll('.dragging').forEach(item => item.classList.remove('dragging'));
+            });
+        },
+        isAnswered(answer) {
+            return Array.isArray(answer);
+        },
+        // Pieces can repeat ("the ... the"), so the sentence is compared rather than the piece order
+        isCorrect(question, answer) {
+            return Array.isArray(answer) && this.formatAnswer(question, answer) === this.formatCorrect(question);
+        },
+        formatAnswer(question, answer) {
+            return answer.map(index => question.items[index]).join(' ');
+        },
+        formatCorrect(question) {
+            return question.items.join(' ');
+        }
+    },
+    
+    match: {
+        estimatedSeconds: 60,
+        validate(question, errors) {
+            const pairs = question.pairs;
+            if (!Array.isArray(pairs) || pairs.length < 2 || !pairs.every(pair => isPlainObject(pair) && isNonEmptyString(pair.left) && isNonEmptyString(pair.right))) {
+                errors.push('.pairs must be an array of at least 2 { "left", "right" } string pairs');
+            }
+        },
+        // Right-hand choices are listed alphabetically so their order gives nothing away
+        choices(question) {
+            return question.pairs
+                .map((pair, index) => ({ index, text: pair.right }))
+                .sort((a, b) => a.text.localeCompare(b.text));
+        },
+        render(question, answer = []) {
+            const choices = this.choices(question);
+            return `
+                <p class="quiz-hint">${t('quiz.hint.match')}</p>
+                <div class="quiz-match">
+                    ${question.pairs.map((pair, leftIndex) => `
+                        <div class="quiz-match-row">
+                            <span class="quiz-match-left">${escapeHTML(pair.left)}</span>
+                            <select class="quiz-match-select" data-left="${leftIndex}">
+                                <option value="">${t('quiz.choose')}</option>
+                                ${choices.map(choice => `
+                                    <option value="${choice.index}" ${answer[leftIndex] === choice.index ? 'selected' : ''}>${escapeHTML(choice.text)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        },
+        bind(container, question, setAnswer, getAnswer) {
+            container.querySelector('.quiz-match')?.addEventListener('change', (e) => {
+                if (!e.target.classList.contains('quiz-match-select')) return;
+                const answer = [...(getAnswer() || question.pairs.map(() => null))];
+                const value = e.target.value;
+                answer[parseInt(e.target.getAttribute('data-left'))] = value === '' ? null : parseInt(value);
+                setAnswer(answer);
+            });
+        },
+        isAnswered(answer) {
+            return Array.isArray(answer) && answer.every(Number.isInteger);
+        },
+        isCorrect(question, answer) {
+            return this.isAnswered(answer) && answer.every((rightIndex, leftIndex) => rightIndex === leftIndex);
+        },
+        formatAnswer(question, answer) {
+            return question.pairs
+                .map((pair, leftIndex) => `${pair.left} → ${question.pairs[answer[leftIndex]]?.right ?? '?'}`)
+                .join('; ');
+        },
+        formatCorrect(question) {
+            return question.pairs.map(pair => `${pair.left} → ${pair.right}`).join('; ');
+        }
+    }
+};
+
+function getQuestionType(question) {
+    return QuestionTypes[question.type || 'single'];
+}
+
+function isQuizRandomized(quiz) {
+    return Boolean(quiz.shuffleQuestions || quiz.shuffleOptions || quiz.sample);
+}
+
+// Questions a quiz can draw from, narrowed by the difficulty/tags of its `sample`
+function getQuizPool(quiz) {
+    const sample = quiz.sample;
+    if (!sample) return quiz.questions;
+    
+    return quiz.questions.filter(question => {
+        if (sample.difficulty && !sample.difficulty.includes(question.difficulty)) return false;
+        if (sample.tags && !sample.tags.some(tag => question.tags?.includes(tag))) return false;
+        return true;
+    });
+}
+
+function getQuizLength(quiz) {
+    if (quiz.adaptive) return quiz.adaptive.length;
+    const pool = getQuizPool(quiz);
+    return quiz.sample?.count ? Math.min(quiz.sample.count, pool.length) : pool.length;
+}
+
+// Build the paper for one attempt. Every presented question remembers its
+// position in the content file (`sourceIndex`) so attempts stay comparable.
+function buildQuizPaper(quiz, seed = null) {
+    const random = seed === null ? null : createRandom(seed);
+    // Generated drills write a new set of questions for every seed
+    if (quiz.generate && random) quiz = { ...quiz, questions: quiz.generate(random) };
+    // Adaptive quizzes start with one question and pick the rest as they are answered
+    if (quiz.adaptive) {
+        const paper = { ...quiz, pool: quiz.questions, questions: [] };
+        addAdaptiveQuestion(paper, [], seed);
+        return paper;
+    }
+    
+    let questions = getQuizPool(quiz).map(question => ({
+        ...question,
+        sourceIndex: quiz.questions.indexOf(question)
+    }));
+    if (random === null) return { ...quiz, questions };
+    
+    if (quiz.sample?.count && quiz.sample.count < questions.length) {
+        const picked = new Set(shuffleArray(questions, random).slice(0, quiz.sample.count));
+        questions = questions.filter(question => picked.has(question));
+    }
+    if (quiz.shuffleQuestions) {
+        questions = keepPassagesTogether(shuffleArray(questions, random));
+    }
+    questions = questions.map(question => presentQuestion(quiz, question, random));
+    
+    return { ...quiz, questions };
+}
+
+function presentQuestion(quiz, question, random) {
+    const type = getQuestionType(question);
+    let presented = question;
+    if (quiz.shuffleOptions && type.shuffleOptions) {
+        presented = type.shuffleOptions(presented, random);
+    }
+    // Prepared answers (sentence ordering) come from the seed as well
+    if (type.initialAnswer) {
+        presented = { ...presented, startAnswer: type.initialAnswer(presented, random) };
+    }
+    return presented;
+}
+
+// `adaptive.next` chooses the next question from the answers so far. Every pick has its own
+// random stream, so the same seed and the same answers rebuild the same paper.
+function addAdaptiveQuestion(paper, answers, seed) {
+    if (paper.questions.length >= paper.adaptive.length) return false;
+    
+    const random = createRandom(`${seed}-${paper.questions.length}`);
+    const question = paper.adaptive.next(paper.questions, answers, random);
+    if (!question) return false;
+    
+    const numbered = { ...question, sourceIndex: paper.pool.indexOf(question) };
+    paper.questions.push(presentQuestion(paper, numbered, random));
+    return true;
+}
+
+// Rough time needed for a quiz, listening clips add time for playing them
+function estimateQuizMinutes(quiz) {
+    const pool = getQuizPool(quiz);
+    const poolSeconds = pool.reduce((total, question) => {
+        return total + getQuestionType(question).estimatedSeconds + (question.audio ? 30 : 0);
+    }, 0);
+    // Sampled quizzes only ask part of the pool, scale by the average question
+    const seconds = pool.length ? poolSeconds / pool.length * getQuizLength(quiz) : 0;
+    return Math.max(1, Math.round(seconds / 60));
+}
+
+function isAnswerCorrect(question, answer) {
+    return answer !== undefined && answer !== null && getQuestionType(question).isCorrect(question, answer);
+}
+
+function formatUserAnswer(question, answer) {
+    const type = getQuestionType(question);
+    return type.isAnswered(answer) ? type.formatAnswer(question, answer) : null;
+}
+
+function formatCorrectAnswer(question) {
+    return getQuestionType(question).formatCorrect(question);
+}
+
+// ===============================
+// OPTIMIZED QUIZ SYSTEM
+// ===============================
+// Quizzes are loaded from content/quizzes.json by ContentLoader
+const quizData = {};
+
+// Quiz state management
+const QuizState = {
+    category: null,
+    currentQuiz: null,
+    currentQuestion: 0,
+    userAnswers: [],
+    audioPlays: [],
+    // Prepared answers shown before the learner changes them (sentence ordering)
+    startAnswers: [],
+    // Questions whose transcript was opened; their answer can no longer change
+    transcriptsOpened: [],
+    questionTimes: [],
+    questionEnteredAt: null,
+    score: 0,
+    startedAt: null,
+    mode: 'practice',
+    exam: null,
+    seed: null,
+    // The finished attempt as saved, and the XP it earned
+    attempt: null,
+    xp: 0,
+    
+    reset() {
+        this.category = null;
+        this.currentQuiz = null;
+        this.currentQuestion = 0;
+        this.userAnswers = [];
+        this.audioPlays = [];
+        this.startAnswers = [];
+        this.transcriptsOpened = [];
+        this.questionTimes = [];
+        this.questionEnteredAt = null;
+        this.score = 0;
+        this.startedAt = null;
+        this.mode = 'practice';
+        this.exam = null;
+        this.seed = null;
+        this.attempt = null;
+        this.xp = 0;
+    },
+    
+    init(category, mode = 'practice', seed = null) {
+        this.reset();
+        this.category = category;
+        const quiz = getQuizSource(category);
+        if (!quiz || quiz.questions.length === 0) return false;
+        
+        // Exam mode needs an `exam` block in the quiz content, otherwise it is plain practice
+        this.mode = mode === 'exam' && quiz.exam ? 'exam' : 'practice';
+        this.begin(seed, quiz);
+        return true;
+    },
+    
+    // Build a fresh paper and (re)start the clock; used for the first attempt and for "Try Again".
+    // Randomized quizzes get a new seed unless one is given to reproduce an earlier paper.
+    begin(seed = null, quiz = getQuizSource(this.category)) {
+        this.seed = isQuizRandomized(quiz) ? String(seed || generateSeed()).toUpperCase() : null;
+        this.currentQuiz = buildQuizPaper(quiz, this.seed);
+        
+        const now = Date.now();
+        this.currentQuestion = 0;
+        this.userAnswers = [];
+        this.audioPlays = [];
+        this.startAnswers = [];
+        this.transcriptsOpened = [];
+        this.questionTimes = [];
+        this.score = 0;
+        this.attempt = null;
+        this.xp = 0;
+        this.startedAt = now;
+        this.questionEnteredAt = now;
+        
+        if (this.mode === 'exam') {
+            const config = this.currentQuiz.exam;
+            this.exam = {
+                timeLimit: config.timeLimit || null,
+                questionTimeLimit: config.questionTimeLimit || null,
+                // Per-question limits only make sense when learners cannot go back
+                allowBack: config.questionTimeLimit ? false : config.allowBack !== false,
+                deadline: config.timeLimit ? now + config.timeLimit * 1000 : null,
+                questionDeadline: config.questionTimeLimit ? now + config.questionTimeLimit * 1000 : null,
+                hiddenCount: 0,
+                timedOut: false,
+                finished: false
+            };
+        }
+    },
+    
+    isExamRunning() {
+        return this.mode === 'exam' && this.exam !== null && !this.exam.finished;
+    },
+    
+    // Add the time spent on the current question since it was last entered
+    trackQuestionTime() {
+        const now = Date.now();
+        if (this.questionEnteredAt !== null) {
+            this.questionTimes[this.currentQuestion] = (this.questionTimes[this.currentQuestion] || 0) + (now - this.questionEnteredAt);
+        }
+        this.questionEnteredAt = now;
+    },
+    
+    goTo(index) {
+        this.trackQuestionTime();
+        this.currentQuestion = index;
+        if (this.exam?.questionTimeLimit) {
+            this.exam.questionDeadline = Date.now() + this.exam.questionTimeLimit * 1000;
+        }
+    }
+};
+
+// ===============================
+// EXAM TIMER
+// ===============================
+// Deadlines are absolute timestamps, so throttled or hidden tabs cannot pause the clock
+const ExamTimer = {
+    intervalId: null,
+    
+    start() {
+        this.stop();
+        this.intervalId = setInterval(() => this.tick(), 250);
+        this.tick();
+    },
+    
+    stop() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+    },
+    
+    remaining() {
+        const exam = QuizState.exam;
+        const now = Date.now();
+        return {
+            quiz: exam.deadline ? exam.deadline - now : Infinity,
+            question: exam.questionDeadline ? exam.questionDeadline - now : Infinity
+        };
+    },
+    
+    tick() {
+        if (!QuizState.isExamRunning()) {
+            this.stop();
+            return;
+        }
+        
+        const { quiz, question } = this.remaining();
+        if (quiz <= 0) {
+            QuizState.exam.timedOut = true;
+            finishQuiz();
+            return;
+        }
+        if (question <= 0) {
+            // Out of time for this question: lock the answer as it is and move on
+            if (QuizState.currentQuestion < QuizState.currentQuiz.questions.length - 1) {
+                QuizState.goTo(QuizState.currentQuestion + 1);
+                showQuestion();
+            } else {
+                QuizState.exam.timedOut = true;
+                finishQuiz();
+            }
+            return;
+        }
+        
+        this.render(Math.min(quiz, question));
+    },
+    
+    render(msLeft) {
+        const timer = document.getElementById('quiz-timer');
+        if (!timer) return;
+        
+        const totalSeconds = Math.ceil(msLeft / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        timer.querySelector('.quiz-timer-value').textContent = `${minutes}:${String(seconds).padStart(2, '0')}`;
+        timer.classList.toggle('warning', totalSeconds <= 60);
+        timer.classList.toggle('critical', totalSeconds <= 10);
+    },
+    
+    // Leaving the tab does not stop the clock; count it so teachers can see it
+    handleVisibilityChange(hidden) {
+        if (!QuizState.isExamRunning()) return;
+        if (hidden) {
+            QuizState.exam.hiddenCount++;
+        } else {
+            this.tick();
+        }
+    }
+};
+
+// The mistakes session is put together from the learner's history, tense drills come
+// from the conjugation engine, generated drills from drills.json, single passages from
+// passages.json and previews from the authoring draft, instead of quizzes.json
+function getQuizSource(category) {
+    if (category === MISTAKES_CATEGORY) return buildMistakesQuiz();
+    if (category === PREVIEW_CATEGORY) return Authoring.previewQuiz;
+    if (isTenseDrill(category)) return buildTenseDrill(category);
+    if (isGeneratedDrill(category)) return buildGeneratedDrill(category);
+    if (isPassageQuiz(category)) return buildPassageQuiz(category);
+    if (isPlacementTest(category)) return buildPlacementTest();
+    return quizData[category];
+}
+
+// `options.seed` rebuilds the exact paper of an earlier randomized attempt
+function startQuiz(category, mode = 'practice', options = {}) {
+    if (ContentLoader.status !== 'ready') {
+        ContentLoader.load().then(() => startQuiz(category, mode, options));
+        return;
+    }
+    if (!DOMCache.quizModal) return;
+    
+    if (QuizState.init(category, mode, options.seed)) {
+        showQuestion();
+        if (QuizState.mode === 'exam') ExamTimer.start();
+    } else if (category === MISTAKES_CATEGORY) {
+        showNoMistakes();
+    } else if (ContentLoader.errors.length > 0) {
+        DOMCache.quizBody.innerHTML = renderContentError(t('error.quizUnavailable'));
+    } else {
+        return;
+    }
+    if (category !== PREVIEW_CATEGORY) Router.opened('quiz', category, Router.quizPath());
+    
+    requestAnimationFrame(() => {
+        DOMCache.quizModal.style.display = 'block';
+        document.body.style.overflow = 'hidden';
+        Dialog.open(DOMCache.quizModal, '.quiz-question');
+    });
+}
+
+function showQuestion() {
+    if (!QuizState.currentQuiz || !DOMCache.quizBody) return;
+    Router.syncQuiz();
+    
+    const question = QuizState.currentQuiz.questions[QuizState.currentQuestion];
+    const type = getQuestionType(question);
+    // Adaptive papers grow while they are answered
+    const totalQuestions = QuizState.currentQuiz.adaptive?.length ?? QuizState.currentQuiz.questions.length;
+    const progress = ((QuizState.currentQuestion + 1) / totalQuestions) * 100;
+    
+    const answer = QuizState.userAnswers[QuizState.currentQuestion];
+    const exam = QuizState.mode === 'exam' ? QuizState.exam : null;
+    // Later questions of an adaptive quiz depend on the earlier answers, so those stay as given
+    const adaptive = Boolean(QuizState.currentQuiz.adaptive);
+    const canGoBack = QuizState.currentQuestion > 0 && (!exam || exam.allowBack) && !adaptive;
+    // Exams hide anything that could give the answer away until the results screen
+    const showTranscript = question.audio?.script && QuizState.currentQuiz.transcript !== 'never' && !exam;
+    const answerLocked = isAnswerLocked();
+    const passage = getPassage(question.passage) ? question.passage : null;
+    const instructions = passage ? getPassage(passage).questionGroups[question.passageGroup]?.instructions : null;
+    
+    const questionPart = `
+            ${question.audio ? '<div class="quiz-audio"></div>' : ''}
+            
+            ${instructions ? `<p class="reading-instructions">${escapeHTML(localize(instructions))}</p>` : ''}
+            
+            <div class="quiz-question" id="quiz-question-text" tabindex="-1">
+                ${escapeHTML(question.question)}
+            </div>
+            
+            <div class="quiz-answer" data-type="${question.type || 'single'}" ${answerLocked ? 'inert' : ''}>
+                ${type.render(question, getShownAnswer())}
+            </div>
+            
+            ${showTranscript ? `
+                <details class="audio-transcript quiz-transcript" ${type.isAnswered(answer) ? '' : 'hidden'} ${answerLocked ? 'open' : ''}>
+                    <summary>${t('audio.showTranscript')}</summary>
+                    <p class="quiz-transcript-note">${t(answerLocked ? 'audio.answerLocked' : 'audio.transcriptLocks')}</p>
+                    ${renderTranscript(question.audio.script)}
+                </details>
+            ` : ''}
+    `;
+    
+    // Use template literal with minimal DOM manipulation
+    const questionHTML = `
+        <div class="quiz-container">
+            <div class="quiz-header">
+                <h2>${escapeHTML(localize(QuizState.currentQuiz.title))}</h2>
+                ${exam ? `
+                    <div class="quiz-timer" id="quiz-timer" role="timer" aria-live="off">
+                        <i class="fas fa-stopwatch"></i>
+                        <span class="quiz-timer-label">${exam.questionTimeLimit ? t('exam.questionTimeLeft') : t('exam.timeLeft')}</span>
+                        <span class="quiz-timer-value"></span>
+                    </div>
+                ` : ''}
+                <div class="quiz-progress">
+                    <div class="quiz-progress-bar" style="width: ${progress}%"></div>
+                </div>
+                <p>${t('quiz.progress', { current: QuizState.currentQuestion + 1, total: totalQuestions })}</p>
+            </div>
+            
+            ${passage ? `
+                <div class="reading-split">
+                    ${renderPassage(passage, { interactive: !exam })}
+                    <div class="reading-questions">${questionPart}</div>
+                </div>
+            ` : questionPart}
+            
+            <div class="quiz-navigation">
+                <button class="quiz-btn" id="prev-btn" ${canGoBack ? '' : 'disabled'} ${(exam && !exam.allowBack) || adaptive ? 'hidden' : ''}>
+                    ${t('quiz.previous')}
+                </button>
+                <button class="quiz-btn" id="next-btn" ${type.isAnswered(answer) || exam ? '' : 'disabled'}>
+                    ${QuizState.currentQuestion === totalQuestions - 1 ? t('quiz.finish') : t('quiz.next')}
+                </button>
+            </div>
+            
+            <button type="button" class="quiz-shortcuts-btn" data-shortcuts>
+                <kbd>?</kbd> ${t('shortcuts.title')}
+            </button>
+        </div>
+    `;
+    
+    // Navigation buttons are redrawn with the question, so keyboard focus moves to the new question
+    const hadFocus = DOMCache.quizBody.contains(document.activeElement);
+    // The passage keeps its scroll position while its questions are answered
+    const previousPassage = DOMCache.quizBody.querySelector('.reading-passage');
+    const passageScroll = previousPassage?.getAttribute('data-passage-id') === passage ? previousPassage.scrollTop : 0;
+    AudioManager.stopAll();
+    DOMCache.quizBody.innerHTML = questionHTML;
+    setReadingMode(Boolean(passage));
+    const passageElement = DOMCache.quizBody.querySelector('.reading-passage');
+    if (passageElement) passageElement.scrollTop = passageScroll;
+    Dialog.label(DOMCache.quizModal);
+    
+    // Replay limits count across navigation, so plays are kept per question
+    if (question.audio) {
+        const questionIndex = QuizState.currentQuestion;
+        const player = createAudioPlayer(question.audio, {
+            playsUsed: QuizState.audioPlays[questionIndex] || 0,
+            onPlayStart: plays => { QuizState.audioPlays[questionIndex] = plays; }
+        });
+        DOMCache.quizBody.querySelector('.quiz-audio')?.appendChild(player.element);
+    }
+    
+    // Add event listeners using event delegation
+    setupQuizEventListeners();
+    if (hadFocus) DOMCache.quizBody.querySelector('.quiz-question')?.focus();
+    
+    if (exam) ExamTimer.tick();
+}
+
+// Passage questions widen the quiz modal for the split view
+function setReadingMode(enabled) {
+    DOMCache.quizModal?.querySelector('.quiz-modal')?.classList.toggle('reading-mode', enabled);
+}
+
+function setupQuizEventListeners() {
+    const optionsContainer = DOMCache.quizBody.querySelector('.quiz-options');
+    const prevBtn = document.getElementById('prev-btn');
+    const nextBtn = document.getElementById('next-btn');
+    
+    // Event delegation for quiz options
+    if (optionsContainer) {
+        optionsContainer.addEventListener('click', (e) => {
+            const option = e.target.closest('.quiz-option');
+            if (option) {
+                const optionIndex = parseInt(option.getAttribute('data-option'));
+                selectAnswer(optionIndex);
+            }
+        });
+        optionsContainer.addEventListener('keydown', handleOptionKeydown);
+    }
+    
+    // Types with their own inputs (typing, dragging, matching) wire them up here
+    const question = QuizState.currentQuiz.questions[QuizState.currentQuestion];
+    const type = getQuestionType(question);
+    if (type.bind) {
+        type.bind(DOMCache.quizBody, question, setCurrentAnswer, () => getShownAnswer());
+    }
+    
+    // Opening the transcript commits the learner to the answer they gave
+    const transcript = DOMCache.quizBody.querySelector('.quiz-transcript');
+    transcript?.addEventListener('toggle', () => {
+        if (!transcript.open || isAnswerLocked()) return;
+        QuizState.transcriptsOpened[QuizState.currentQuestion] = true;
+        DOMCache.quizBody.querySelector('.quiz-answer')?.setAttribute('inert', '');
+        transcript.querySelector('.quiz-transcript-note').textContent = t('audio.answerLocked');
+    });
+    
+    // Navigation buttons
+    if (prevBtn) prevBtn.addEventListener('click', previousQuestion);
+    if (nextBtn) nextBtn.addEventListener('click', nextQuestion);
+}
+
+// Some types (sentence ordering) start from a prepared answer. It is only shown: until the
+// learner changes it the question counts as unanswered.
+function getShownAnswer(index = QuizState.currentQuestion) {
+    const answer = QuizState.userAnswers[index];
+    const question = QuizState.currentQuiz.questions[index];
+    const type = getQuestionType(question);
+    if (answer !== undefined || !type.initialAnswer) return answer;
+    
+    if (!QuizState.startAnswers[index]) {
+        QuizState.startAnswers[index] = question.startAnswer || type.initialAnswer(question);
+    }
+    return [...QuizState.startAnswers[index]];
+}
+
+function isAnswerLocked(index = QuizState.currentQuestion) {
+    return Boolean(QuizState.transcriptsOpened[index]);
+}
+
+// Store the answer for the current question; `rerender` redraws it (e.g. after reordering)
+function setCurrentAnswer(answer, rerender = false) {
+    if (isAnswerLocked()) return;
+    const question = QuizState.currentQuiz.questions[QuizState.currentQuestion];
+    QuizState.userAnswers[QuizState.currentQuestion] = answer;
+    
+    if (rerender) {
+        showQuestion();
+        return;
+    }
+    
+    // Exams allow skipping, so Next stays enabled there
+    const answered = getQuestionType(question).isAnswered(answer);
+    const nextBtn = document.getElementById('next-btn');
+    if (nextBtn) nextBtn.disabled = !answered && QuizState.mode !== 'exam';
+    
+    // The transcript is revealed once there is an answer; opening it locks that answer
+    const transcript = DOMCache.quizBody.querySelector('.quiz-transcript');
+    if (transcript) transcript.hidden = !answered;
+}
+
+// Up/Down move through the options (and pick them in a radio group), Space picks or toggles.
+// Left/Right are left to the quiz shortcuts for changing question.
+function handleOptionKeydown(e) {
+    const option = e.target.closest('.quiz-option');
+    if (!option) return;
+    
+    const options = [...e.currentTarget.querySelectorAll('.quiz-option')];
+    const index = options.indexOf(option);
+    const steps = { ArrowDown: 1, ArrowUp: -1 };
+    
+    if (e.key in steps) {
+        e.preventDefault();
+        const next = (index + steps[e.key] + options.length) % options.length;
+        options[next].focus();
+        if (option.getAttribute('role') === 'radio') selectAnswer(next);
+    } else if (e.key === ' ') {
+        e.preventDefault();
+        selectAnswer(index);
+    }
+}
+
+// Quiz shortcuts while the quiz is the top dialog: 1-4 / A-D pick, Enter / → next, ← back, R restart
+function handleQuizKey(e) {
+    if (Dialog.top() !== DOMCache.quizModal || e.ctrlKey || e.altKey || e.metaKey) return false;
+    if (e.target.closest?.('input, textarea, select')) return false;
+    
+    const key = e.key.toLowerCase();
+    if (DOMCache.quizBody.querySelector('.quiz-results')) {
+        if (key !== 'r') return false;
+        e.preventDefault();
+        restartQuiz();
+        return true;
+    }
+    
+    const options = DOMCache.quizBody.querySelectorAll('.quiz-option');
+    const optionIndex = /^[1-4]$/.test(key) ? Number(key) - 1 : /^[a-d]$/.test(key) ? key.charCodeAt(0) - 97 : -1;
+    if (optionIndex >= 0 && optionIndex < options.length) {
+        e.preventDefault();
+        selectAnswer(optionIndex);
+        options[optionIndex].focus();
+        return true;
+    }
+    
+    // Enter on a focused button or link keeps its usual meaning
+    if ((e.key === 'Enter' && !e.target.closest?.('button, a, summary')) || e.key === 'ArrowRight') {
+        const nextBtn = document.getElementById('next-btn');
+        if (!nextBtn || nextBtn.disabled) return false;
+        e.preventDefault();
+        nextQuestion();
+        return true;
+    }
+    if (e.key === 'ArrowLeft') {
+        const prevBtn = document.getElementById('prev-btn');
+        if (!prevBtn || prevBtn.disabled || prevBtn.hidden) return false;
+        e.preventDefault();
+        previousQuestion();
+        return true;
+    }
+    return false;
+}
+
+function selectAnswer(optionIndex) {
+    const question = QuizState.currentQuiz?.questions[QuizState.currentQuestion];
+    const type = question && getQuestionType(question);
+    if (!type?.select || isAnswerLocked()) return;
+    
+    const options = DOMCache.quizBody.querySelectorAll('.quiz-option');
+    const answer = type.select(QuizState.userAnswers[QuizState.currentQuestion], optionIndex);
+    
+    // Batch DOM updates
+    requestAnimationFrame(() => {
+        options.forEach((option, index) => {
+            const selected = type.isSelected(answer, index);
+            option.classList.toggle('selected', selected);
+            option.setAttribute('aria-checked', selected);
+            if (option.getAttribute('role') === 'radio') option.tabIndex = selected ? 0 : -1;
+        });
+        setCurrentAnswer(answer);
+    });
+}
+
+function nextQuestion() {
+    const paper = QuizState.currentQuiz;
+    if (QuizState.currentQuestion < paper.questions.length - 1 ||
+        (paper.adaptive && addAdaptiveQuestion(paper, QuizState.userAnswers, QuizState.seed))) {
+        QuizState.goTo(QuizState.currentQuestion + 1);
+        showQuestion();
+    } else {
+        finishQuiz();
+    }
+}
+
+function previousQuestion() {
+    if (QuizState.mode === 'exam' && !QuizState.exam.allowBack) return;
+    if (QuizState.currentQuiz.adaptive) return;
+    
+    if (QuizState.currentQuestion > 0) {
+        QuizState.goTo(QuizState.currentQuestion - 1);
+        showQuestion();
+    }
+}
+
+// Score, save and show the results; also the auto-submit target when an exam runs out of time
+function finishQuiz() {
+    QuizState.trackQuestionTime();
+    if (QuizState.exam) QuizState.exam.finished = true;
+    ExamTimer.stop();
+    
+    calculateScore();
+    // A teacher previewing a draft is not a learner's attempt
+    if (QuizState.category !== PREVIEW_CATEGORY) {
+        const attempt = ProgressStore.recordAttempt(buildAttemptRecord());
+        MistakeStore.recordAttempt(attempt);
+        ResultOutbox.enqueue({ ...attempt, learner: LearnerProfiles.summary() });
+        QuizState.attempt = attempt;
+        QuizState.xp = GameStore.recordQuiz(attempt);
+    }
+    if (QuizState.category === PLACEMENT_CATEGORY) PlacementStore.save(buildPlacementResult());
+    showResults();
+}
+
+function calculateScore() {
+    QuizState.score = QuizState.currentQuiz.questions.reduce((score, question, index) => {
+        return isAnswerCorrect(question, QuizState.userAnswers[index]) ? score + 1 : score;
+    }, 0);
+}
+
+// Snapshot of the finished attempt for the progress history
+function buildAttemptRecord() {
+    const questions = QuizState.currentQuiz.questions;
+    const finishedAt = Date.now();
+    
+    return {
+        id: `${QuizState.category}-${finishedAt}`,
+        category: QuizState.category,
+        title: QuizState.currentQuiz.title,
+        score: QuizState.score,
+        total: questions.length,
+        percentage: Math.round((QuizState.score / questions.length) * 100),
+        startedAt: QuizState.startedAt,
+        finishedAt,
+        duration: finishedAt - QuizState.startedAt,
+        mode: QuizState.mode,
+        seed: QuizState.seed,
+        timedOut: QuizState.exam?.timedOut || false,
+        tabSwitches: QuizState.exam?.hiddenCount || 0,
+        answers: questions.map((question, index) => {
+            const selected = QuizState.userAnswers[index];
+            return {
+                // Mistakes sessions mix categories, so each answer keeps its own
+                category: question.origin?.category,
+                questionIndex: question.origin?.index ?? question.sourceIndex,
+                question: question.question,
+                type: question.type || 'single',
+                selected: selected === undefined ? null : selected,
+                answer: formatUserAnswer(question, selected),
+                correct: question.correct ?? null,
+                correctAnswer: formatCorrectAnswer(question),
+                isCorrect: isAnswerCorrect(question, selected),
+                timeSpent: QuizState.questionTimes[index] || 0
+            };
+        })
+    };
+}
+
+function showResults() {
+    Router.syncQuiz(null);
+    const totalQuestions = QuizState.currentQuiz.questions.length;
+    const percentage = Math.round((QuizState.score / totalQuestions) * 100);
+    
+    let feedback = '';
+    if (percentage >= 80) {
+        feedback = t('results.excellent');
+    } else if (percentage >= 60) {
+        feedback = t('results.good');
+    } else {
+        feedback = t('results.keepStudying');
+    }
+    
+    const exam = QuizState.mode === 'exam' ? QuizState.exam : null;
+    const mistakeCount = MistakeStore.getActive().length;
+    // Adaptive questions get harder as the learner does well, so the level says more than a percentage
+    const placement = QuizState.category === PLACEMENT_CATEGORY ? PlacementStore.get() : null;
+    
+    const resultsHTML = `
+        <div class="quiz-results">
+            <h2 tabindex="-1">${exam ? t('results.examTitle') : t('results.title')}</h2>
+            ${placement ? renderPlacementResult(placement) : `<div class="quiz-score">${percentage}%</div>`}
+            <p>${t('results.score', { score: QuizState.score, total: totalQuestions })}</p>
+            ${QuizState.xp > 0 ? `<p class="quiz-xp"><i class="fas fa-star"></i> ${t('results.xp', { count: QuizState.xp })}</p>` : ''}
+            ${exam?.timedOut ? `
+                <div class="quiz-timeout-notice">
+                    <i class="fas fa-hourglass-end"></i> ${t('exam.timedOut')}
+                </div>
+            ` : ''}
+            ${exam?.hiddenCount ? `
+                <p class="quiz-exam-note">${t('exam.leftPage', { count: exam.hiddenCount })}</p>
+            ` : ''}
+            ${placement ? '' : `<div class="quiz-feedback">${feedback}</div>`}
+            ${!navigator.onLine && ResultOutbox.waiting() ? `
+                <p class="quiz-offline-note"><i class="fas fa-cloud-upload-alt"></i> ${t('offline.resultQueued')}</p>
+            ` : ''}
+            ${QuizState.seed ? `
+                <p class="quiz-seed">${t('results.seed')} <strong>${QuizState.seed}</strong></p>
+            ` : ''}
+            
+            <div class="quiz-review">
+                <h3>${t('results.review')}</h3>
+                ${QuizState.currentQuiz.questions.map((question, index) => {
+                    const isCorrect = isAnswerCorrect(question, QuizState.userAnswers[index]);
+                    const lessonId = getQuestionLesson(question);
+                    return `
+                        <div class="quiz-review-item">
+                            <p><strong>Q${index + 1}:</strong> ${escapeHTML(question.question)}</p>
+                            ${exam ? `
+                                <p class="quiz-time-spent"><i class="fas fa-stopwatch"></i> ${formatDuration(QuizState.questionTimes[index] || 0)}</p>
+                            ` : ''}
+                            <p class="quiz-review-answer ${isCorrect ? 'correct' : 'incorrect'}">
+                                ${t('results.yourAnswer')} ${escapeHTML(formatUserAnswer(question, QuizState.userAnswers[index]) ?? t('results.notAnswered'))}
+                                <span aria-hidden="true">${isCorrect ? ' ✓' : ' ✗'}</span>
+                                <span class="sr-only">(${isCorrect ? t('results.correct') : t('results.incorrect')})</span>
+                            </p>
+                            ${!isCorrect ? `<p class="quiz-review-answer correct">${t('results.correctAnswer')} ${escapeHTML(formatCorrectAnswer(question))}</p>` : ''}
+                            <p class="quiz-review-explanation">${escapeHTML(localize(question.explanation))}</p>
+                            ${lessonId ? `
+                                <button class="quiz-lesson-link" data-lesson="${escapeHTML(lessonId)}">
+                                    <i class="fas fa-book-open"></i> ${t('results.studyLesson')} ${escapeHTML(localize(materiContent[lessonId].title))}
+                                </button>
+                            ` : ''}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+            
+            ${QuizState.attempt ? `
+                <div class="quiz-export" role="group" aria-label="${t('export.label')}">
+                    <button type="button" class="quiz-export-btn" data-export="csv">
+                        <i class="fas fa-file-csv"></i> ${t('export.csv')}
+                    </button>
+                    <button type="button" class="quiz-export-btn" data-export="json">
+                        <i class="fas fa-file-code"></i> ${t('export.json')}
+                    </button>
+                    <button type="button" class="quiz-export-btn" data-export="print">
+                        <i class="fas fa-print"></i> ${t('export.print')}
+                    </button>
+                </div>
+            ` : ''}
+            
+            <div class="quiz-results-actions">
+                <button class="quiz-btn" id="close-quiz-btn">${t('common.close')}</button>
+                <button class="quiz-btn" id="restart-quiz-btn">${t('results.tryAgain')}</button>
+                ${isGeneratedDrill(quizData[QuizState.category]?.drill) ? `
+                    <button class="quiz-btn" id="start-drill-btn">${t('drills.more')}</button>
+                ` : ''}
+                ${mistakeCount > 0 ? `
+                    <button class="quiz-btn" id="practice-mistakes-btn">
+                        ${t('mistakes.practiceCount', { count: mistakeCount })}
+                    </button>
+                ` : ''}
+            </div>
+        </div>
+    `;
+    
+    const hadFocus = DOMCache.quizBody.contains(document.activeElement);
+    AudioManager.stopAll();
+    DOMCache.quizBody.innerHTML = resultsHTML;
+    setReadingMode(false);
+    Dialog.label(DOMCache.quizModal);
+    if (hadFocus) DOMCache.quizBody.querySelector('h2')?.focus();
+    announce(placement
+        ? t('placement.announce', { level: placement.level })
+        : t('results.announce', { percentage, score: QuizState.score, total: totalQuestions }));
+    
+    // Add event listeners for results buttons
+    document.getElementById('close-quiz-btn')?.addEventListener('click', closeQuizModal);
+    document.getElementById('restart-quiz-btn')?.addEventListener('click', restartQuiz);
+    document.getElementById('practice-mistakes-btn')?.addEventListener('click', () => startQuiz(MISTAKES_CATEGORY));
+    document.getElementById('start-drill-btn')?.addEventListener('click', () => startQuiz(quizData[QuizState.category].drill));
+    DOMCache.quizBody.querySelector('.quiz-results')?.addEventListener('click', (e) => {
+        const link = e.target.closest('[data-lesson]');
+        if (link) openLessonOverQuiz(link.getAttribute('data-lesson'));
+        
+        const exportButton = e.target.closest('[data-export]');
+        if (exportButton) exportAttempt(QuizState.attempt, exportButton.getAttribute('data-export'));
+    });
+}
+
+// Lesson for a question's explanation: its own `lesson`, else the quiz's
+function getQuestionLesson(question) {
+    const quiz = quizData[question.origin?.category || QuizState.category];
+    const lessonId = question.lesson || quiz?.lesson;
+    return lessonId && materiContent[lessonId] ? lessonId : null;
+}
+
+function showNoMistakes() {
+    DOMCache.quizBody.innerHTML = `
+        <div class="quiz-results">
+            <h2>${t('mistakes.emptyTitle')}</h2>
+            <div class="quiz-feedback">
+                ${t('mistakes.emptyBody', { count: MISTAKE_RETIRE_AFTER })}
+            </div>
+            <div class="quiz-results-actions">
+                <button class="quiz-btn" id="close-quiz-btn">${t('common.close')}</button>
+            </div>
+        </div>
+    `;
+    Dialog.label(DOMCache.quizModal);
+    document.getElementById('close-quiz-btn')?.addEventListener('click', closeQuizModal);
+}
+
+function restartQuiz() {
+    // A new mistakes session reflects what was retired in the last one
+    if (QuizState.category === MISTAKES_CATEGORY) {
+        startQuiz(MISTAKES_CATEGORY);
+        return;
+    }
+    QuizState.begin();
+    showQuestion();
+    if (QuizState.mode === 'exam') ExamTimer.start();
+}
+
+function closeQuizModal() {
+    if (!DOMCache.quizModal) return;
+    
+    // Closing a running exam submits it, so the attempt is not silently lost
+    if (QuizState.isExamRunning()) {
+        if (!confirm(t('exam.confirmClose'))) return;
+        finishQuiz();
+    }
+    
+    ExamTimer.stop();
+    AudioManager.stopAll();
+    Router.closed('quiz');
+    requestAnimationFrame(() => {
+        DOMCache.quizModal.style.display = 'none';
+        releaseBodyScroll();
+        Dialog.close(DOMCache.quizModal);
+    });
+}
+
+// ===============================
+// PROGRESS TRACKING
+// ===============================
+const ProgressStore = {
+    storageKey: 'progress',
+    maxAttempts: 200,
+    data: null,
+    
+    load() {
+        const saved = LocalStore.get(this.storageKey, {}) || {};
+        this.data = {
+            attempts: Array.isArray(saved.attempts) ? saved.attempts : [],
+            topics: saved.topics && typeof saved.topics === 'object' ? saved.topics : {}
+        };
+        return this.data;
+    },
+    
+    save() {
+        LocalStore.set(this.storageKey, this.data);
+        renderProgressDashboard();
+        renderQuizCategories();
+    },
+    
+    ensureLoaded() {
+        return this.data || this.load();
+    },
+    
+    recordAttempt(attempt) {
+        const data = this.ensureLoaded();
+        data.attempts.push(attempt);
+        
+        // Keep storage bounded, oldest attempts go first
+        if (data.attempts.length > this.maxAttempts) {
+            data.attempts.splice(0, data.attempts.length - this.maxAttempts);
+        }
+        
+        this.save();
+        return attempt;
+    },
+    
+    recordTopicView(topicId) {
+        const data = this.ensureLoaded();
+        const now = Date.now();
+        const topic = data.topics[topicId] || { count: 0, firstOpened: now };
+        
+        topic.count++;
+        topic.lastOpened = now;
+        data.topics[topicId] = topic;
+        
+        this.save();
+    },
+    
+    getAttempts(category = null) {
+        const { attempts } = this.ensureLoaded();
+        return attempts
+            .filter(attempt => !category || attempt.category === category)
+            .sort((a, b) => b.finishedAt - a.finishedAt);
+    },
+    
+    getBestScore(category) {
+        const attempts = this.getAttempts(category);
+        if (attempts.length === 0) return null;
+        return Math.max(...attempts.map(attempt => attempt.percentage));
+    },
+    
+    getSummary() {
+        const { attempts, topics } = this.ensureLoaded();
+        const totalPercentage = attempts.reduce((sum, attempt) => sum + attempt.percentage, 0);
+        
+        return {
+            attemptCount: attempts.length,
+            averageScore: attempts.length ? Math.round(totalPercentage / attempts.length) : 0,
+            topicCount: Object.keys(topics).length,
+            totalTime: attempts.reduce((sum, attempt) => sum + (attempt.duration || 0), 0)
+        };
+    },
+    
+    clear() {
+        this.data = { attempts: [], topics: {} };
+        this.save();
+    }
+};
+
+// Questions answered wrong, across all attempts and categories. A question is
+// retired once it has been answered correctly MISTAKE_RETIRE_AFTER times in a row.
+const MISTAKES_CATEGORY = 'mistakes';
+const MISTAKE_RETIRE_AFTER = 2;
+const MISTAKES_SESSION_SIZE = 10;
+
+const MistakeStore = {
+    storageKey: 'mistakes',
+    data: null,
+    
+    load() {
+        const saved = LocalStore.get(this.storageKey, null);
+        if (saved && isPlainObject(saved.questions)) {
+            this.data = { questions: saved.questions };
+        } else {
+            // First run: rebuild from the attempts recorded so far, oldest first
+            this.data = { questions: {} };
+            ProgressStore.getAttempts().reverse().forEach(attempt => this.applyAttempt(attempt));
+            LocalStore.set(this.storageKey, this.data);
+        }
+        return this.data;
+    },
+    
+    save() {
+        LocalStore.set(this.storageKey, this.data);
+        renderQuizCategories();
+    },
+    
+    ensureLoaded() {
+        return this.data || this.load();
+    },
+    
+    // Older attempts only stored the question text, so fall back to looking it up
+    findQuestionIndex(category, answer) {
+        const questions = quizData[category]?.questions;
+        if (!questions) return -1;
+        if (Number.isInteger(answer.questionIndex) && questions[answer.questionIndex]?.question === answer.question) {
+            return answer.questionIndex;
+        }
+        return questions.findIndex(question => question.question === answer.question);
+    },
+    
+    applyAttempt(attempt) {
+        const questions = this.data.questions;
+        (attempt.answers || []).forEach(answer => {
+            const category = answer.category || attempt.category;
+            const index = this.findQuestionIndex(category, answer);
+            if (index === -1) return;
+            
+            const key = `${category}#${index}`;
+            const entry = questions[key];
+            if (!answer.isCorrect) {
+                questions[key] = {
+                    category,
+                    index,
+                    question: answer.question,
+                    misses: (entry?.misses || 0) + 1,
+                    streak: 0,
+                    lastMissed: attempt.finishedAt
+                };
+            } else if (entry) {
+                entry.streak++;
+                if (entry.streak >= MISTAKE_RETIRE_AFTER) delete questions[key];
+            }
+        });
+    },
+    
+    recordAttempt(attempt) {
+        this.ensureLoaded();
+        this.applyAttempt(attempt);
+        this.save();
+    },
+    
+    // Open mistakes whose question still exists, most missed first
+    getActive() {
+        return Object.values(this.ensureLoaded().questions)
+            .map(entry => {
+                const index = this.findQuestionIndex(entry.category, { questionIndex: entry.index, question: entry.question });
+                return index === -1 ? null : { ...entry, index, source: quizData[entry.category].questions[index] };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.misses - a.misses || b.lastMissed - a.lastMissed);
+    },
+    
+    clear() {
+        this.data = { questions: {} };
+        this.save();
+    }
+};
+
+function buildMistakesQuiz() {
+    const questions = MistakeStore.getActive()
+        .slice(0, MISTAKES_SESSION_SIZE)
+        .map(entry => ({ ...entry.source, origin: { category: entry.category, index: entry.index } }));
+    
+    return {
+        title: I18n.all('mistakes.title'),
+        shuffleQuestions: true,
+        shuffleOptions: true,
+        questions
+    };
+}
+
+function renderProgressDashboard() {
+    if (!DOMCache.progressDashboard) return;
+    
+    const summary = ProgressStore.getSummary();
+    const recentAttempts = ProgressStore.getAttempts().slice(0, 10);
+    const topics = Object.entries(ProgressStore.ensureLoaded().topics)
+        .sort(([, a], [, b]) => b.lastOpened - a.lastOpened);
+    
+    const categoryRows = Object.entries(quizData).map(([category, quiz]) => {
+        const attempts = ProgressStore.getAttempts(category);
+        const best = ProgressStore.getBestScore(category);
+        return `
+            <li>
+                <span>${escapeHTML(localize(quiz.title))}</span>
+                <span class="progress-meta">${best === null ? t('progress.notTried') : `${t('progress.best', { score: best })} &middot; ${attempts.length}x`}</span>
+            </li>
+        `;
+    }).join('');
+    
+    const attemptRows = recentAttempts.map(attempt => `
+        <li>
+            <span>
+                ${escapeHTML(localize(attempt.title))}
+                ${attempt.mode === 'exam' ? `<span class="progress-tag">${t('progress.examTag')}</span>` : ''}
+                <small>${formatDate(attempt.finishedAt)} &middot; ${formatDuration(attempt.duration)}</small>
+            </span>
+            <span class="progress-score">
+                ${attempt.score}/${attempt.total} (${attempt.percentage}%)
+                ${attempt.seed && (quizData[attempt.category] || isTenseDrill(attempt.category) || isGeneratedDrill(attempt.category) || isPassageQuiz(attempt.category)) ? `
+                    <button class="progress-replay" data-replay="${escapeHTML(attempt.id)}" title="${t('progress.replay', { seed: escapeHTML(attempt.seed) })}">
+                        <i class="fas fa-redo"></i>
+                    </button>
+                ` : ''}
+                <button class="progress-replay" data-print-attempt="${escapeHTML(attempt.id)}" title="${t('export.printLabel', { title: escapeHTML(localize(attempt.title)) })}">
+                    <i class="fas fa-print"></i>
+                </button>
+            </span>
+        </li>
+    `).join('');
+    
+    const topicRows = topics.map(([topicId, topic]) => `
+        <li>
+            <span>${escapeHTML(localize(materiContent[topicId]?.title) || topicId)}</span>
+            <span class="progress-meta">${topic.count}x &middot; ${formatDate(topic.lastOpened)}</span>
+        </li>
+    `).join('');
+    
+    DOMCache.progressDashboard.innerHTML = `
+        <div class="progress-stats">
+            <div class="stat">
+                <h3>${summary.attemptCount}</h3>
+                <p>${t('progress.quizzesDone')}</p>
+            </div>
+            <div class="stat">
+                <h3>${summary.averageScore}%</h3>
+                <p>${t('progress.averageScore')}</p>
+            </div>
+            <div class="stat">
+                <h3>${summary.topicCount}</h3>
+                <p>${t('progress.lessonsOpened')}</p>
+            </div>
+            <div class="stat">
+                <h3>${formatDuration(summary.totalTime)}</h3>
+                <p>${t('progress.practiceTime')}</p>
+            </div>
+        </div>
+        
+        <div class="progress-panels">
+            <div class="progress-card">
+                <h3><i class="fas fa-trophy"></i> ${t('progress.byCategory')}</h3>
+                <ul class="progress-list">${categoryRows}</ul>
+            </div>
+            <div class="progress-card">
+                <h3><i class="fas fa-history"></i> ${t('progress.history')}</h3>
+                ${attemptRows
+                    ? `<ul class="progress-list">${attemptRows}</ul>`
+                    : `<p class="progress-empty">${t('progress.noQuizzes')}</p>`}
+            </div>
+            <div class="progress-card">
+                <h3><i class="fas fa-book-reader"></i> ${t('progress.lessonsRead')}</h3>
+                ${topicRows
+                    ? `<ul class="progress-list">${topicRows}</ul>`
+                    : `<p class="progress-empty">${t('progress.noLessons')}</p>`}
+            </div>
+        </div>
+        
+        ${summary.attemptCount || summary.topicCount ? `
+            <div class="progress-actions">
+                ${summary.attemptCount ? `
+                    <button class="btn-secondary" data-export-history="csv">
+                        <i class="fas fa-file-csv"></i>
+                        ${t('export.historyCsv')}
+                    </button>
+                    <button class="btn-secondary" data-export-history="json">
+                        <i class="fas fa-file-code"></i>
+                        ${t('export.historyJson')}
+                    </button>
+                ` : ''}
+                <button class="btn-secondary" id="reset-progress-btn">
+                    <i class="fas fa-trash-alt"></i>
+                    ${t('progress.reset')}
+                </button>
+            </div>
+        ` : ''}
+    `;
+}
+
+function initProgressDashboard() {
+    ProgressStore.load();
+    renderProgressDashboard();
+    
+    DOMCache.progressDashboard?.addEventListener('click', (e) => {
+        if (e.target.closest('#reset-progress-btn') && confirm(t('progress.resetConfirm'))) {
+            ProgressStore.clear();
+            MistakeStore.clear();
+            GameStore.clear();
+            return;
+        }
+        
+        // Replay the same paper (same seed and mode) as an earlier attempt
+        const replay = e.target.closest('[data-replay]');
+        if (replay) {
+            const attempt = ProgressStore.getAttempts().find(item => item.id === replay.getAttribute('data-replay'));
+            if (attempt) startQuiz(attempt.category, attempt.mode, { seed: attempt.seed });
+            return;
+        }
+        
+        const print = e.target.closest('[data-print-attempt]');
+        if (print) {
+            exportAttempt(ProgressStore.getAttempts().find(item => item.id === print.getAttribute('data-print-attempt')), 'print');
+            return;
+        }
+        
+        // The whole saved history, not only the rows shown
+        const exportButton = e.target.closest('[data-export-history]');
+        if (exportButton) downloadAttempts(ProgressStore.getAttempts(), exportButton.getAttribute('data-export-history'), 'history');
+    });
+}
+
+// ===============================
+// RESULT EXPORTS
+// ===============================
+// Evidence of completion for teachers: attempts download as CSV (one row per answer,
+// for spreadsheets) or JSON (the records as saved), or print as a result sheet.
+const RESULTS_FILE_FORMAT = 'eduverse-attempts';
+const RESULTS_FILE_VERSION = 1;
+
+function toISODate(timestamp) {
+    return Number.isFinite(timestamp) ? new Date(timestamp).toISOString() : '';
+}
+
+// CSV columns by header; the attempt columns repeat on every answer row
+const ATTEMPT_CSV_COLUMNS = {
+    learner: (attempt, learner) => learner,
+    attempt_id: attempt => attempt.id,
+    quiz: attempt => localize(attempt.title),
+    category: attempt => attempt.category,
+    mode: attempt => attempt.mode,
+    seed: attempt => attempt.seed,
+    started_at: attempt => toISODate(attempt.startedAt),
+    finished_at: attempt => toISODate(attempt.finishedAt),
+    duration_seconds: attempt => Math.round((attempt.duration || 0) / 1000),
+    score: attempt => attempt.score,
+    total: attempt => attempt.total,
+    percentage: attempt => attempt.percentage,
+    timed_out: attempt => Boolean(attempt.timedOut),
+    tab_switches: attempt => attempt.tabSwitches || 0
+};
+
+const ANSWER_CSV_COLUMNS = {
+    question_number: (answer, index) => index + 1,
+    question: answer => localize(answer.question),
+    question_type: answer => answer.type,
+    answer: answer => localize(answer.answer),
+    correct_answer: answer => localize(answer.correctAnswer),
+    is_correct: answer => Boolean(answer.isCorrect),
+    time_seconds: answer => Math.round((answer.timeSpent || 0) / 1000)
+};
+
+// Quoted where needed (RFC 4180); text starting with =, +, - or @ would run as a spreadsheet formula
+function toCSVField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildAttemptsCSV(attempts, learner) {
+    const answerColumns = Object.values(ANSWER_CSV_COLUMNS);
+    const rows = [[...Object.keys(ATTEMPT_CSV_COLUMNS), ...Object.keys(ANSWER_CSV_COLUMNS)]];
+    
+    attempts.forEach(attempt => {
+        const attemptFields = Object.values(ATTEMPT_CSV_COLUMNS).map(column => column(attempt, learner));
+        const answers = Array.isArray(attempt.answers) ? attempt.answers : [];
+        if (answers.length === 0) rows.push([...attemptFields, ...answerColumns.map(() => '')]);
+        answers.forEach((answer, index) => {
+            rows.push([...attemptFields, ...answerColumns.map(column => column(answer, index))]);
+        });
+    });
+    
+    // The byte order mark makes spreadsheet programs read the file as UTF-8
+    return '\uFEFF' + rows.map(row => row.map(toCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+function downloadAttempts(attempts, format, name) {
+    const learner = LearnerProfiles.displayName();
+    const file = `eduverse-${toFileSlug(learner) || 'learner'}-${toFileSlug(name)}.${format}`;
+    
+    if (format === 'csv') {
+        downloadFile(file, buildAttemptsCSV(attempts, learner), 'text/csv;charset=utf-8');
+    } else {
+        const data = {
+            format: RESULTS_FILE_FORMAT,
+            version: RESULTS_FILE_VERSION,
+            exportedAt: Date.now(),
+            learner: LearnerProfiles.summary(),
+            attempts
+        };
+        downloadFile(file, JSON.stringify(data, null, 4) + '\n', 'application/json');
+    }
+    announce(t('export.downloaded', { file }));
+}
+
+// `format` is "csv", "json" or "print"
+function exportAttempt(attempt, format) {
+    if (!attempt) return;
+    if (format === 'print') {
+        printResultSheet(attempt);
+    } else {
+        downloadAttempts([attempt], format, `${attempt.category} ${toISODate(attempt.finishedAt).slice(0, 10)}`);
+    }
+}
+
+function renderResultSheet(attempt) {
+    const learner = escapeHTML(LearnerProfiles.displayName());
+    const title = escapeHTML(localize(attempt.title));
+    const answers = Array.isArray(attempt.answers) ? attempt.answers : [];
+    const facts = [
+        [t('print.learner'), learner],
+        [t('print.quiz'), title],
+        [t('print.score'), `${attempt.score}/${attempt.total} (${attempt.percentage}%)`],
+        [t('print.date'), formatDate(attempt.finishedAt)],
+        [t('print.duration'), formatDuration(attempt.duration)],
+        ...(attempt.mode === 'exam' ? [[t('print.mode'), t('progress.examTag')]] : []),
+        ...(attempt.seed ? [[t('print.seed'), escapeHTML(attempt.seed)]] : [])
+    ];
+    
+    return `
+        <header class="result-sheet-header">
+            <p class="result-sheet-brand"><i class="fas fa-graduation-cap"></i> EduVerse</p>
+            <h1>${t('print.title')}</h1>
+            <p>${t('print.statement', { name: `<strong>${learner}</strong>`, quiz: `<strong>${title}</strong>` })}</p>
+        </header>
+        <dl class="result-sheet-facts">
+            ${facts.map(([label, value]) => `
+                <div>
+                    <dt>${label}</dt>
+                    <dd>${value}</dd>
+                </div>
+            `).join('')}
+        </dl>
+        ${attempt.timedOut ? `<p class="result-sheet-note">${t('print.timedOut')}</p>` : ''}
+        ${attempt.tabSwitches ? `<p class="result-sheet-note">${t('print.leftPage', { count: attempt.tabSwitches })}</p>` : ''}
+        
+        <h2>${t('print.review')}</h2>
+        <table class="result-sheet-review">
+            <thead>
+                <tr>
+                    <th scope="col">${t('print.number')}</th>
+                    <th scope="col">${t('print.question')}</th>
+                    <th scope="col">${t('print.answer')}</th>
+                    <th scope="col">${t('print.correctAnswer')}</th>
+                    <th scope="col">${t('print.result')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${answers.map((answer, index) => `
+                    <tr class="${answer.isCorrect ? 'correct' : 'incorrect'}">
+                        <td>${index + 1}</td>
+                        <td>${escapeHTML(localize(answer.question))}</td>
+                        <td>${escapeHTML(localize(answer.answer) ?? t('results.notAnswered'))}</td>
+                        <td>${escapeHTML(localize(answer.correctAnswer))}</td>
+                        <td>${answer.isCorrect ? '✓' : '✗'} ${t(answer.isCorrect ? 'results.correct' : 'results.incorrect')}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        
+        <footer class="result-sheet-footer">
+            <span class="result-sheet-signature">${t('print.signature')}</span>
+            <small>${t('print.generated', { date: formatDate(Date.now()) })}</small>
+        </footer>
+    `;
+}
+
+// The print styles show only the sheet while the body has .printing-result,
+// so printing the page any other way is unaffected
+function printResultSheet(attempt) {
+    const sheet = document.getElementById('result-sheet');
+    if (!sheet) return;
+    
+    sheet.innerHTML = renderResultSheet(attempt);
+    document.body.classList.add('printing-result');
+    window.addEventListener('afterprint', () => document.body.classList.remove('printing-result'), { once: true });
+    window.print();
+}
+
+// ===============================
+// OFFLINE SUPPORT
+// ===============================
+// sw.js precaches the site with all lessons and quizzes; this side registers it,
+// offers new versions and holds on to quiz results until they can be sent.
+
+// Attempts are always saved on the device by ProgressStore, and queued in this outbox
+// with the learner's profile id and name. The outbox is POSTed to
+// <meta name="eduverse-results-endpoint"> whenever that is set and the browser is
+// online, so attempts finished offline or before an endpoint was set are sent later.
+const ResultOutbox = {
+    storageKey: 'outbox',
+    sending: false,
+    
+    endpoint() {
+        return document.querySelector('meta[name="eduverse-results-endpoint"]')?.content.trim() || '';
+    },
+    
+    pending() {
+        const queued = LocalStore.get(this.storageKey, []);
+        return Array.isArray(queued) ? queued : [];
+    },
+    
+    // Only worth telling the learner about once there is somewhere to send them
+    waiting() {
+        return this.endpoint() ? this.pending().length : 0;
+    },
+    
+    enqueue(attempt) {
+        LocalStore.set(this.storageKey, [...this.pending(), attempt]);
+        OfflineSupport.updateStatus();
+        this.flush();
+    },
+    
+    async flush() {
+        const endpoint = this.endpoint();
+        if (!endpoint || this.sending || !navigator.onLine) return;
+        
+        this.sending = true;
+        try {
+            // Oldest first; attempts queued while sending are picked up by the same loop
+            let attempt;
+            while ((attempt = this.pending()[0])) {
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(attempt)
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                
+                const remaining = this.pending().filter(item => item.id !== attempt.id);
+                if (!LocalStore.set(this.storageKey, remaining)) break;
+            }
+        } catch (error) {
+            console.warn('Quiz results will be sent again later:', error);
+        } finally {
+            this.sending = false;
+            OfflineSupport.updateStatus();
+        }
+    }
+};
+
+const OfflineSupport = {
+    banner: null,
+    waitingWorker: null,
+    updateAccepted: false,
+    
+    init() {
+        this.banner = document.createElement('div');
+        this.banner.className = 'app-banner';
+        this.banner.setAttribute('role', 'status');
+        this.banner.hidden = true;
+        document.body.appendChild(this.banner);
+        
+        this.banner.addEventListener('click', (e) => {
+            if (e.target.closest('[data-update-accept]')) {
+                this.applyUpdate();
+            } else if (e.target.closest('[data-update-dismiss]')) {
+                this.waitingWorker = null;
+                this.updateStatus();
+            }
+        });
+        
+        window.addEventListener('online', () => {
+            this.updateStatus();
+            ResultOutbox.flush();
+        });
+        window.addEventListener('offline', () => this.updateStatus());
+        
+        this.registerWorker();
+        this.updateStatus();
+        ResultOutbox.flush();
+    },
+    
+    // Service workers need http(s); opening index.html from disk simply runs without one
+    registerWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+        
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.offerUpdate(registration.waiting);
+            }
+            
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    // The very first install has nothing to replace
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.offerUpdate(worker);
+                    }
+                });
+            });
+        }).catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+        
+        // The first install also claims the page; only reload when the learner asked for it
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateAccepted) window.location.reload();
+        });
+    },
+    
+    offerUpdate(worker) {
+        this.waitingWorker = worker;
+        this.updateStatus();
+    },
+    
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+        
+        this.updateAccepted = true;
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    },
+    
+    // One banner at a time: a waiting update wins over the offline notice
+    updateStatus() {
+        if (!this.banner) return;
+        
+        let html = '';
+        if (this.waitingWorker) {
+            html = `
+                <i class="fas fa-sync-alt"></i>
+                <span>${t('offline.updateReady')}</span>
+                <button type="button" class="app-banner-btn" data-update-accept>${t('offline.updateAction')}</button>
+                <button type="button" class="app-banner-btn app-banner-btn-secondary" data-update-dismiss>${t('offline.dismiss')}</button>
+            `;
+        } else if (!navigator.onLine) {
+            const pending = ResultOutbox.waiting();
+            html = `
+                <i class="fas fa-wifi"></i>
+                <span>${t('offline.status')}${pending ? ` ${t('offline.pending', { count: pending })}` : ''}</span>
+            `;
+        }
+        
+        this.banner.innerHTML = html;
+        this.banner.hidden = !html;
+    }
+};
+
+// ===============================
+// FLASHCARDS
+// ===============================
+// Vocabulary decks come from content/vocabulary.json. Reviews follow SM-2: each
+// answer grade updates the card's ease factor and interval, and a card comes back
+// once its due day is reached. Days are counted in local time.
+const vocabularyDecks = {};
+
+const FLASHCARD_GRADES = [
+    { id: 'again', label: 'flashcards.again', key: '1', quality: 1 },
+    { id: 'hard', label: 'flashcards.hard', key: '2', quality: 3 },
+    { id: 'good', label: 'flashcards.good', key: '3', quality: 4 },
+    { id: 'easy', label: 'flashcards.easy', key: '4', quality: 5 }
+];
+
+function getDayNumber(timestamp = Date.now()) {
+    const date = new Date(timestamp);
+    return Math.floor((timestamp - date.getTimezoneOffset() * 60000) / 86400000);
+}
+
+const FlashcardStore = {
+    storageKey: 'flashcards',
+    data: null,
+    
+    load() {
+        const saved = LocalStore.get(this.storageKey, {}) || {};
+        this.data = {
+            cards: isPlainObject(saved.cards) ? saved.cards : {}
+        };
+        return this.data;
+    },
+    
+    save() {
+        LocalStore.set(this.storageKey, this.data);
+        renderQuizCategories();
+    },
+    
+    ensureLoaded() {
+        return this.data || this.load();
+    },
+    
+    getState(deckId, cardId) {
+        return this.ensureLoaded().cards[`${deckId}/${cardId}`] || null;
+    },
+    
+    // SM-2: failed cards restart at one day, passed cards grow by the ease factor
+    schedule(state, quality, today = getDayNumber()) {
+        const previous = state || { repetitions: 0, interval: 0, ease: 2.5, lapses: 0, introducedOn: today };
+        const next = { ...previous, lastReviewed: today };
+        
+        if (quality < 3) {
+            next.repetitions = 0;
+            next.interval = 1;
+            next.lapses = previous.lapses + 1;
+        } else {
+            next.repetitions = previous.repetitions + 1;
+            if (next.repetitions === 1) {
+                next.interval = 1;
+            } else if (next.repetitions === 2) {
+                next.interval = 6;
+            } else {
+                next.interval = Math.round(previous.interval * previous.ease);
+            }
+        }
+        next.ease = Math.max(1.3, previous.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        next.due = today + next.interval;
+        return next;
+    },
+    
+    review(deckId, cardId, quality) {
+        const data = this.ensureLoaded();
+        const key = `${deckId}/${cardId}`;
+        data.cards[key] = this.schedule(data.cards[key], quality);
+        this.save();
+        return data.cards[key];
+    },
+    
+    // Cards due today (oldest first), then new cards up to the deck's daily limit
+    getDueQueue(deckId) {
+        const deck = vocabularyDecks[deckId];
+        if (!deck) return [];
+        
+        const today = getDayNumber();
+        const due = [];
+        const fresh = [];
+        let introducedToday = 0;
+        
+        deck.cards.forEach(card => {
+            const state = this.getState(deckId, card.id);
+            if (!state) {
+                fresh.push(card);
+                return;
+            }
+            if (state.introducedOn === today) introducedToday++;
+            if (state.due <= today) due.push({ card, due: state.due });
+        });
+        
+        due.sort((a, b) => a.due - b.due);
+        const newCards = fresh.slice(0, Math.max(0, deck.newPerDay - introducedToday));
+        return [...due.map(item => item.card), ...newCards];
+    },
+    
+    getDeckSummary(deckId) {
+        const deck = vocabularyDecks[deckId];
+        const learned = deck.cards.filter(card => this.getState(deckId, card.id)).length;
+        return {
+            total: deck.cards.length,
+            learned,
+            due: this.getDueQueue(deckId).length
+        };
+    }
+};
+
+function formatInterval(days) {
+    if (days <= 1) return t('flashcards.oneDay');
+    if (days < 30) return t('flashcards.days', { count: days });
+    return t('flashcards.months', { count: Math.round(days / 30) });
+}
+
+// Word list of a deck inside a lesson, grouped like the original lesson text
+function renderVocabularyDeck(deckId) {
+    const deck = vocabularyDecks[deckId];
+    if (!deck) return renderContentError(t('error.vocabularyUnavailable'));
+    
+    const groups = new Map();
+    deck.cards.forEach(card => {
+        const group = localize(card.group || deck.title);
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(card);
+    });
+    const summary = FlashcardStore.getDeckSummary(deckId);
+    
+    return `
+        <div class="vocab-deck">
+            ${[...groups].map(([group, cards]) => `
+                <h4>${escapeHTML(group)}</h4>
+                <ul class="vocab-list">
+                    ${cards.map(card => `
+                        <li title="${escapeHTML(card.example)}" data-card="${escapeHTML(card.id)}">
+                            <strong>${escapeHTML(card.word)}</strong>
+                            <span>${escapeHTML(localize(card.meaning))}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `).join('')}
+            <button class="btn-flashcards" data-flashcards="${escapeHTML(deckId)}">
+                <i class="fas fa-clone"></i>
+                ${t('flashcards.start', { count: summary.due })}
+            </button>
+        </div>
+    `;
+}
+
+function mountVocabularyDecks(container) {
+    container.querySelectorAll('[data-vocab-deck]').forEach(placeholder => {
+        placeholder.innerHTML = renderVocabularyDeck(placeholder.getAttribute('data-vocab-deck'));
+    });
+}
+
+const FlashcardSession = {
+    deckId: null,
+    queue: [],
+    position: 0,
+    flipped: false,
+    reviewed: 0,
+    
+    start(deckId) {
+        this.deckId = deckId;
+        this.queue = FlashcardStore.getDueQueue(deckId);
+        this.position = 0;
+        this.flipped = false;
+        this.reviewed = 0;
+    },
+    
+    current() {
+        return this.queue[this.position] || null;
+    },
+    
+    isOpen() {
+        return Dialog.top() === DOMCache.flashcardModal;
+    },
+    
+    flip() {
+        if (!this.current()) return;
+        this.flipped = !this.flipped;
+        const card = DOMCache.flashcardBody.querySelector('.flashcard');
+        card?.classList.toggle('flipped', this.flipped);
+        card?.setAttribute('aria-pressed', String(this.flipped));
+        DOMCache.flashcardBody.querySelectorAll('.flashcard-grade').forEach(button => {
+            button.disabled = !this.flipped;
+        });
+    },
+    
+    grade(gradeId) {
+        const card = this.current();
+        const grade = FLASHCARD_GRADES.find(item => item.id === gradeId);
+        if (!card || !grade || !this.flipped) return;
+        
+        FlashcardStore.review(this.deckId, card.id, grade.quality);
+        GameStore.recordFlashcardReview();
+        this.reviewed++;
+        // Forgotten cards come back at the end of today's session
+        if (grade.quality < 3) this.queue.push(card);
+        
+        this.position++;
+        this.flipped = false;
+        renderFlashcardSession();
+    },
+    
+    // Space/Enter flip, 1-4 grade; only while the flashcard modal is open
+    handleKey(e) {
+        if (!this.isOpen() || e.ctrlKey || e.altKey || e.metaKey) return false;
+        if (e.target.closest?.('input, textarea, select')) return false;
+        
+        if (e.key === ' ' || e.key === 'Enter') {
+            if (e.target.closest?.('button:not(.flashcard)')) return false;
+            e.preventDefault();
+            this.flip();
+            return true;
+        }
+        const grade = FLASHCARD_GRADES.find(item => item.key === e.key);
+        if (grade) {
+            e.preventDefault();
+            this.grade(grade.id);
+            return true;
+        }
+        return false;
+    }
+};
+
+function renderFlashcardSession() {
+    const deck = vocabularyDecks[FlashcardSession.deckId];
+    const card = FlashcardSession.current();
+    const total = FlashcardSession.queue.length;
+    // Grading redraws the card, so keyboard focus follows it to the next one
+    const hadFocus = DOMCache.flashcardBody.contains(document.activeElement);
+    
+    if (!card) {
+        DOMCache.flashcardBody.innerHTML = `
+            <div class="flashcard-done">
+                <i class="fas fa-check-circle"></i>
+                <h2>${FlashcardSession.reviewed > 0 ? t('flashcards.doneTitle') : t('flashcards.emptyTitle')}</h2>
+                <p>${FlashcardSession.reviewed > 0
+                    ? t('flashcards.doneBody', { count: FlashcardSession.reviewed })
+                    : t('flashcards.emptyBody')}</p>
+                <button class="quiz-btn" id="close-flashcards-btn">${t('common.close')}</button>
+            </div>
+        `;
+        Dialog.label(DOMCache.flashcardModal);
+        document.getElementById('close-flashcards-btn')?.addEventListener('click', closeFlashcardModal);
+        if (hadFocus) document.getElementById('close-flashcards-btn')?.focus();
+        return;
+    }
+    
+    const state = FlashcardStore.getState(FlashcardSession.deckId, card.id);
+    DOMCache.flashcardBody.innerHTML = `
+        <div class="flashcard-session">
+            <div class="quiz-header">
+                <h2>${escapeHTML(localize(deck.title))}</h2>
+                <div class="quiz-progress">
+                    <div class="quiz-progress-bar" style="width: ${(FlashcardSession.position / total) * 100}%"></div>
+                </div>
+                <p>${t('flashcards.progress', { current: FlashcardSession.position + 1, total })}${state ? '' : ` &middot; <span class="flashcard-new">${t('flashcards.new')}</span>`}</p>
+            </div>
+            
+            <button type="button" class="flashcard" aria-pressed="false" aria-label="${t('flashcards.flip')}">
+                <span class="flashcard-inner">
+                    <span class="flashcard-face flashcard-front">
+                        <span class="flashcard-pos">${escapeHTML(card.partOfSpeech)}</span>
+                        <span class="flashcard-word">${escapeHTML(card.word)}</span>
+                        <span class="flashcard-hint">${t('flashcards.flipHint')}</span>
+                    </span>
+                    <span class="flashcard-face flashcard-back">
+                        <span class="flashcard-word">${escapeHTML(localize(card.meaning))}</span>
+                        <span class="flashcard-example">"${escapeHTML(card.example)}"</span>
+                    </span>
+                </span>
+            </button>
+            
+            <div class="flashcard-grades">
+                ${FLASHCARD_GRADES.map(grade => {
+                    const preview = FlashcardStore.schedule(state, grade.quality);
+                    return `
+                        <button class="flashcard-grade ${grade.id}" data-grade="${grade.id}" disabled>
+                            <kbd>${grade.key}</kbd> ${t(grade.label)}
+                            <small>${formatInterval(preview.interval)}</small>
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+        </div>
+    `;
+    
+    const body = DOMCache.flashcardBody;
+    Dialog.label(DOMCache.flashcardModal);
+    if (hadFocus) body.querySelector('.flashcard').focus();
+    body.querySelector('.flashcard').addEventListener('click', () => FlashcardSession.flip());
+    body.querySelector('.flashcard-grades').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-grade]');
+        if (button) FlashcardSession.grade(button.getAttribute('data-grade'));
+    });
+}
+
+function openFlashcards(deckId) {
+    if (ContentLoader.status !== 'ready') {
+        ContentLoader.load().then(() => openFlashcards(deckId));
+        return;
+    }
+    if (!DOMCache.flashcardModal || !vocabularyDecks[deckId]) return;
+    
+    // Opened from the lesson: the flashcards take its place
+    closeMateriModal();
+    Router.opened('flashcards', deckId, `/flashcards/${deckId}`);
+    FlashcardSession.start(deckId);
+    renderFlashcardSession();
+    
+    requestAnimationFrame(() => {
+        DOMCache.flashcardModal.style.display = 'block';
+        document.body.style.overflow = 'hidden';
+        Dialog.open(DOMCache.flashcardModal, '.flashcard');
+    });
+}
+
+function closeFlashcardModal() {
+    if (!DOMCache.flashcardModal) return;
+    
+    Router.closed('flashcards');
+    requestAnimationFrame(() => {
+        DOMCache.flashcardModal.style.display = 'none';
+        releaseBodyScroll();
+        Dialog.close(DOMCache.flashcardModal);
+    });
+}
+
+// ===============================
+// TENSES & CONJUGATION
+// ===============================
+// The tense reference, explorer and drills share one conjugation engine. Tense
+// definitions, practice verbs and the irregular verb table come from content/tenses.json.
+const tenseContent = { tenses: {}, verbs: [], irregularVerbs: {} };
+
+const TENSE_TIMES = ['present', 'past', 'future'];
+const TENSE_ASPECTS = ['simple', 'continuous', 'perfect', 'perfect-continuous'];
+const SENTENCE_FORMS = ['affirmative', 'negative', 'interrogative'];
+
+// `be` and `third` (he/she/it take -s) drive agreement; the order is the explorer's
+const TENSE_SUBJECTS = {
+    I: { be: 'am', pastBe: 'was', third: false },
+    you: { be: 'are', pastBe: 'were', third: false },
+    he: { be: 'is', pastBe: 'was', third: true },
+    she: { be: 'is', pastBe: 'was', third: true },
+    it: { be: 'is', pastBe: 'was', third: true },
+    we: { be: 'are', pastBe: 'were', third: false },
+    they: { be: 'are', pastBe: 'were', third: false }
+};
+
+const NEGATIVE_CONTRACTIONS = {
+    is: 'isn\'t', are: 'aren\'t', was: 'wasn\'t', were: 'weren\'t',
+    do: 'don\'t', does: 'doesn\'t', did: 'didn\'t',
+    have: 'haven\'t', has: 'hasn\'t', had: 'hadn\'t', will: 'won\'t'
+};
+
+const TENSE_DRILL_CATEGORY = 'tense-drill';
+const TENSE_DRILL_SIZE = 10;
+
+// Stop, plan, swim: one vowel between consonants in a one-syllable verb doubles the last letter
+function doublesFinalConsonant(verb) {
+    return (verb.match(/[aeiouy]+/g) || []).length === 1 && /[^aeiou][aeiou][^aeiouwxy]$/.test(verb);
+}
+
+function getVerbForms(verb) {
+    const base = verb.trim().toLowerCase();
+    const irregular = tenseContent.irregularVerbs[base];
+    
+    let third;
+    if (base === 'have') third = 'has';
+    else if (/(s|x|z|ch|sh|o)$/.test(base)) third = `${base}es`;
+    else if (/[^aeiou]y$/.test(base)) third = `${base.slice(0, -1)}ies`;
+    else third = `${base}s`;
+    
+    let ing;
+    if (irregular?.[2]) ing = irregular[2];
+    else if (/ie$/.test(base)) ing = `${base.slice(0, -2)}ying`;
+    else if (/[^aeioy]e$/.test(base) && base !== 'be') ing = `${base.slice(0, -1)}ing`;
+    else if (doublesFinalConsonant(base)) ing = `${base}${base.slice(-1)}ing`;
+    else ing = `${base}ing`;
+    
+    const past = regularPastForm(base);
+    return {
+        base,
+        third,
+        ing,
+        past: irregular ? irregular[0] : past,
+        participle: irregular ? irregular[1] : past,
+        irregular: Boolean(irregular)
+    };
+}
+
+// The -ed form, also used to build "goed"-style distractors for irregular verbs
+function regularPastForm(base) {
+    if (/e$/.test(base)) return `${base}d`;
+    if (/[^aeiou]y$/.test(base)) return `${base.slice(0, -1)}ied`;
+    if (doublesFinalConsonant(base)) return `${base}${base.slice(-1)}ed`;
+    return `${base}ed`;
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Build one sentence. The verb phrase is a chain of words ("has been studying");
+// negatives put "not" after the first word, questions move it before the subject.
+function conjugate({ subject, verb, tense, form, complement = '', time = '' }) {
+    const agreement = TENSE_SUBJECTS[subject];
+    const forms = getVerbForms(verb);
+    const { time: when, aspect } = tense;
+    const isBe = forms.base === 'be';
+    
+    let chain;
+    if (aspect === 'simple') {
+        if (when === 'future') {
+            chain = ['will', forms.base];
+        } else if (isBe) {
+            chain = [when === 'past' ? agreement.pastBe : agreement.be];
+        } else if (form === 'affirmative') {
+            chain = [when === 'past' ? forms.past : (agreement.third ? forms.third : forms.base)];
+        } else {
+            // Negatives and questions need do/does/did
+            chain = [when === 'past' ? 'did' : (agreement.third ? 'does' : 'do'), forms.base];
+        }
+    } else {
+        const have = { present: agreement.third ? 'has' : 'have', past: 'had', future: 'will have' }[when];
+        const be = { present: agreement.be, past: agreement.pastBe, future: 'will be' }[when];
+        chain = {
+            continuous: [be, forms.ing],
+            perfect: [have, forms.participle],
+            'perfect-continuous': [have, 'been', forms.ing]
+        }[aspect].join(' ').split(' ');
+    }
+    
+    const [first, ...rest] = chain;
+    const tail = [complement, time].filter(Boolean).join(' ');
+    if (form === 'interrogative') {
+        const words = [first, subject, ...rest, tail].filter(Boolean).join(' ');
+        return { sentence: `${capitalize(words)}?`, phrase: null, contracted: null };
+    }
+    
+    const phrase = form === 'negative' ? [first, 'not', ...rest].join(' ') : chain.join(' ');
+    const contracted = form === 'negative' && NEGATIVE_CONTRACTIONS[first]
+        ? [NEGATIVE_CONTRACTIONS[first], ...rest].join(' ')
+        : null;
+    const build = verbPhrase => `${capitalize([subject, verbPhrase, tail].filter(Boolean).join(' '))}.`;
+    return {
+        sentence: build(phrase),
+        phrase,
+        contracted,
+        contractedSentence: contracted ? build(contracted) : null
+    };
+}
+
+function getTense(tenseId) {
+    return tenseContent.tenses[tenseId] || null;
+}
+
+function renderSignalWords(tense) {
+    return `
+        <p class="tense-signals">
+            <strong>${t('tenses.signalWords')}</strong>
+            ${tense.signalWords.map(word => `<span class="tense-chip">${escapeHTML(word)}</span>`).join('')}
+        </p>
+    `;
+}
+
+// <div data-tense-reference></div>: every tense grouped by time, with formulas, examples and signal words
+function renderTenseReference() {
+    const entries = Object.entries(tenseContent.tenses);
+    if (entries.length === 0) return renderContentError(t('error.tensesUnavailable'));
+    
+    let number = 0;
+    return TENSE_TIMES.map(when => {
+        const group = entries.filter(([, tense]) => tense.time === when);
+        if (group.length === 0) return '';
+        return `
+            <section class="tense-group">
+                <h3>${t(`tenses.time.${when}`)}</h3>
+                ${group.map(([tenseId, tense]) => {
+                    number++;
+                    return `
+                        <div class="tense-card" id="tense-${escapeHTML(tenseId)}">
+                            <h4>${number}. ${escapeHTML(tense.name)}</h4>
+                            <p>${escapeHTML(localize(tense.usage))}</p>
+                            <div data-callout="formula">
+                                ${SENTENCE_FORMS.map(form => `
+                                    <span class="tense-line"><span class="tense-form">${t(`tenses.form.${form}`)}</span> ${escapeHTML(tense.formula[form])}</span>
+                                `).join('')}
+                            </div>
+                            <div data-callout="example">
+                                ${SENTENCE_FORMS.map(form => `
+                                    <span class="tense-line">${escapeHTML(conjugate({ ...tense.example, tense, form }).sentence)}</span>
+                                `).join('')}
+                            </div>
+                            ${renderSignalWords(tense)}
+                        </div>
+                    `;
+                }).join('')}
+            </section>
+        `;
+    }).join('');
+}
+
+function renderIrregularVerbTable() {
+    const verbs = Object.entries(tenseContent.irregularVerbs);
+    return `
+        <details class="tense-irregular">
+            <summary>${t('tenses.irregular.title', { count: verbs.length })}</summary>
+            <table>
+                <thead><tr><th scope="col">V1</th><th scope="col">V2</th><th scope="col">V3</th></tr></thead>
+                <tbody>
+                    ${verbs.map(([base, forms]) => `
+                        <tr><td>${escapeHTML(base)}</td><td>${escapeHTML(forms[0])}</td><td>${escapeHTML(forms[1])}</td></tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </details>
+    `;
+}
+
+// <div data-conjugation-explorer></div>: pick a subject, verb and tense and see all three forms
+function renderConjugationExplorer() {
+    const tenses = Object.entries(tenseContent.tenses);
+    if (tenses.length === 0) return renderContentError(t('error.tensesUnavailable'));
+    
+    const verbs = [...new Set([...tenseContent.verbs.map(entry => entry.verb), ...Object.keys(tenseContent.irregularVerbs)])];
+    return `
+        <div class="tense-explorer">
+            <h3>${t('tenses.explorer.title')}</h3>
+            <p>${t('tenses.explorer.intro')}</p>
+            <div class="tense-explorer-controls">
+                <label>
+                    <span>${t('tenses.explorer.subject')}</span>
+                    <select data-explorer="subject">
+                        ${Object.keys(TENSE_SUBJECTS).map(subject => `<option value="${subject}">${subject}</option>`).join('')}
+                    </select>
+                </label>
+                <label>
+                    <span>${t('tenses.explorer.verb')}</span>
+                    <input type="text" data-explorer="verb" list="tense-verb-list" autocomplete="off" spellcheck="false"
+                        value="${escapeHTML(tenseContent.verbs[0]?.verb || 'study')}">
+                    <datalist id="tense-verb-list">
+                        ${verbs.map(verb => `<option value="${escapeHTML(verb)}"></option>`).join('')}
+                    </datalist>
+                </label>
+                <label>
+                    <span>${t('tenses.explorer.tense')}</span>
+                    <select data-explorer="tense">
+                        ${TENSE_TIMES.map(when => `
+                            <optgroup label="${t(`tenses.time.${when}`)}">
+                                ${tenses.filter(([, tense]) => tense.time === when).map(([tenseId, tense]) => `
+                                    <option value="${escapeHTML(tenseId)}">${escapeHTML(tense.name)}</option>
+                                `).join('')}
+                            </optgroup>
+                        `).join('')}
+                    </select>
+                </label>
+            </div>
+            <div class="tense-explorer-output" aria-live="polite"></div>
+            ${renderIrregularVerbTable()}
+        </div>
+    `;
+}
+
+function updateConjugationExplorer(explorer) {
+    const value = name => explorer.querySelector(`[data-explorer="${name}"]`).value;
+    const output = explorer.querySelector('.tense-explorer-output');
+    const tenseId = value('tense');
+    const tense = getTense(tenseId);
+    const verb = value('verb').trim().toLowerCase();
+    
+    if (!/^[a-z]+$/.test(verb)) {
+        output.innerHTML = `<p class="tense-explorer-error">${t('tenses.explorer.invalidVerb')}</p>`;
+        return;
+    }
+    
+    // Practice verbs bring their own object ("study" -> "English")
+    const complement = tenseContent.verbs.find(entry => entry.verb === verb)?.complement || '';
+    const forms = getVerbForms(verb);
+    output.innerHTML = `
+        <dl class="tense-results">
+            ${SENTENCE_FORMS.map(form => {
+                const result = conjugate({ subject: value('subject'), verb, tense, form, complement, time: tense.example.time });
+                return `
+                    <div class="tense-result">
+                        <dt>${t(`tenses.form.${form}`)}</dt>
+                        <dd>
+                            <span class="tense-sentence">${escapeHTML(result.sentence)}</span>
+                            ${result.contractedSentence ? `<span class="tense-contracted">${escapeHTML(result.contractedSentence)}</span>` : ''}
+                            <span class="tense-formula">${escapeHTML(tense.formula[form])}</span>
+                        </dd>
+                    </div>
+                `;
+            }).join('')}
+        </dl>
+        <p class="tense-verb-forms">
+            <strong>${t('tenses.explorer.forms')}</strong>
+            ${escapeHTML([forms.base, forms.past, forms.participle, forms.ing].join(' · '))}
+            <span class="tense-chip">${t(forms.irregular ? 'tenses.explorer.irregular' : 'tenses.explorer.regular')}</span>
+        </p>
+        <p>${escapeHTML(localize(tense.usage))}</p>
+        ${renderSignalWords(tense)}
+        <button class="btn-flashcards" data-tense-drill="${escapeHTML(tenseId)}">
+            <i class="fas fa-pencil-alt"></i>
+            ${t('tenses.explorer.practice', { tense: escapeHTML(tense.name) })}
+        </button>
+    `;
+}
+
+function mountTenseReference(container) {
+    container.querySelectorAll('[data-tense-reference]').forEach(placeholder => {
+        placeholder.innerHTML = renderTenseReference();
+    });
+}
+
+function mountConjugationExplorers(container) {
+    container.querySelectorAll('[data-conjugation-explorer]').forEach(placeholder => {
+        placeholder.innerHTML = renderConjugationExplorer();
+        const explorer = placeholder.querySelector('.tense-explorer');
+        if (!explorer) return;
+        
+        const update = () => updateConjugationExplorer(explorer);
+        explorer.addEventListener('input', update);
+        explorer.addEventListener('change', update);
+        update();
+    });
+}
+
+// Drill categories are "tense-drill" (all tenses) or "tense-drill.<tense id>"
+function isTenseDrill(category) {
+    return category === TENSE_DRILL_CATEGORY || String(category).startsWith(`${TENSE_DRILL_CATEGORY}.`);
+}
+
+// Distractors are the same sentence in the neighbouring tenses: same time, or same aspect
+function pickDistractors(tenseId, build, offset) {
+    const tense = getTense(tenseId);
+    const correct = build(tense);
+    const seen = new Set([correct]);
+    const neighbours = Object.entries(tenseContent.tenses)
+        .filter(([id, other]) => id !== tenseId && (other.time === tense.time || other.aspect === tense.aspect))
+        .map(([, other]) => build(other));
+    
+    const distractors = [];
+    for (let i = 0; i < neighbours.length && distractors.length < 3; i++) {
+        const option = neighbours[(i + offset) % neighbours.length];
+        if (!seen.has(option)) {
+            seen.add(option);
+            distractors.push(option);
+        }
+    }
+    return [correct, ...distractors];
+}
+
+// The pool is the same on every call, so a seed reproduces the paper like any randomized quiz
+function buildTenseDrill(category) {
+    const onlyTense = category === TENSE_DRILL_CATEGORY ? null : category.slice(TENSE_DRILL_CATEGORY.length + 1);
+    const tenseIds = Object.keys(tenseContent.tenses).filter(id => !onlyTense || id === onlyTense);
+    if (tenseIds.length === 0 || tenseContent.verbs.length === 0) return null;
+    
+    // Practice verbs are things people do, so "it" sits the drills out
+    const subjects = Object.keys(TENSE_SUBJECTS).filter(subject => subject !== 'it');
+    const questions = [];
+    tenseIds.forEach((tenseId, tenseIndex) => {
+        const tense = getTense(tenseId);
+        tenseContent.verbs.forEach(({ verb, complement = '' }, verbIndex) => {
+            SENTENCE_FORMS.forEach((form, formIndex) => {
+                const subject = subjects[(tenseIndex + verbIndex + formIndex) % subjects.length];
+                const result = conjugate({ subject, verb, tense, form, complement });
+                const answer = result.phrase ?? result.sentence;
+                const params = { tense: tense.name, words: [subject, verb, complement].filter(Boolean).join(' / ') };
+                const explanation = Object.fromEntries(I18n.languages.map(lang => [lang, I18n.translate(lang, 'tenses.drill.explanation', {
+                    tense: tense.name,
+                    form: I18n.translate(lang, `tenses.form.${form}`),
+                    formula: tense.formula[form],
+                    answer: result.sentence
+                })]));
+                const common = { explanation, tags: [tenseId], lesson: 'tenses' };
+                
+                // Questions are always multiple choice; the other forms alternate with typing the verb
+                if (form === 'interrogative' || (verbIndex + formIndex) % 2 === 1) {
+                    questions.push({
+                        ...common,
+                        question: t('tenses.drill.choose', { ...params, form: t(`tenses.form.${form}`) }),
+                        options: pickDistractors(tenseId, other => conjugate({ subject, verb, tense: other, form, complement }).sentence, verbIndex),
+                        correct: 0
+                    });
+                } else {
+                    const sentence = result.sentence.replace(answer, '___');
+                    questions.push({
+                        ...common,
+                        type: 'fill',
+                        question: t('tenses.drill.fill', { ...params, form: t(`tenses.form.${form}`), sentence, verb }),
+                        answers: [answer, result.contracted].filter(Boolean)
+                    });
+                }
+            });
+        });
+    });
+    
+    return {
+        title: onlyTense
+            ? I18n.all('tenses.drill.titleOne', { tense: getTense(onlyTense).name })
+            : I18n.all('tenses.drill.title'),
+        shuffleQuestions: true,
+        shuffleOptions: true,
+        sample: { count: TENSE_DRILL_SIZE },
+        questions
+    };
+}
+
+// ===============================
+// DRILL GENERATOR
+// ===============================
+// Drills are quizzes written on the fly from the templates and word lists in
+// content/drills.json, so learners never run out of questions. Every paper is
+// generated from its seed, which keeps "Kode soal" replays exact.
+const drillContent = { drills: {}, templates: {}, words: { subjects: {}, times: {}, irregularAdjectives: {}, irregularNouns: {} } };
+
+function pickRandom(items, random) {
+    return items[Math.floor(random() * items.length)];
+}
+
+// Plausible wrong answers, without repeats and never the right one
+function uniqueDistractors(answer, candidates) {
+    const seen = new Set([normalizeTypedAnswer(answer)]);
+    return candidates.filter(candidate => {
+        const key = normalizeTypedAnswer(candidate);
+        if (!candidate || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Joins explanation parts sentence by sentence in every language
+function joinLocalized(...parts) {
+    return Object.fromEntries(I18n.languages.map(lang => [lang, parts.map(part => part[lang]).join(' ')]));
+}
+
+function countSyllables(word) {
+    const groups = (word.match(/[aeiouy]+/g) || []).length;
+    // A silent final "e" (large, nice) is not a syllable; "-le" (simple) is
+    return groups > 1 && /[^l]e$/.test(word) ? groups - 1 : groups;
+}
+
+function getAdjectiveForms(adjective) {
+    const irregular = drillContent.words.irregularAdjectives[adjective];
+    if (irregular) return { comparative: irregular[0], superlative: irregular[1], rule: 'irregular' };
+    
+    const syllables = countSyllables(adjective);
+    if (syllables >= 3 || (syllables === 2 && !/y$/.test(adjective))) {
+        return { comparative: `more ${adjective}`, superlative: `most ${adjective}`, rule: 'long' };
+    }
+    return { ...addComparisonEndings(adjective), rule: 'short' };
+}
+
+// -er/-est with the spelling rules: nicer, happier, bigger, taller
+function addComparisonEndings(adjective) {
+    let stem = adjective;
+    if (/e$/.test(adjective)) stem = adjective.slice(0, -1);
+    else if (/[^aeiou]y$/.test(adjective)) stem = `${adjective.slice(0, -1)}i`;
+    else if (doublesFinalConsonant(adjective)) stem = `${adjective}${adjective.slice(-1)}`;
+    return { comparative: `${stem}er`, superlative: `${stem}est` };
+}
+
+function getPluralForm(noun) {
+    const irregular = drillContent.words.irregularNouns[noun];
+    if (irregular) return { plural: irregular, rule: 'irregular' };
+    if (/[^aeiou]y$/.test(noun)) return { plural: `${noun.slice(0, -1)}ies`, rule: 'ies' };
+    if (/(s|x|z|ch|sh|[^aeiou]o)$/.test(noun)) return { plural: `${noun}es`, rule: 'es' };
+    return { plural: `${noun}s`, rule: 's' };
+}
+
+// The same verb phrase with the wrong main verb form or the wrong agreement: "has went", "does not goes", "is go"
+function tenseDistractors({ subject, verb, tense, form }, phrase) {
+    const forms = getVerbForms(verb);
+    const head = phrase.split(' ').slice(0, -1);
+    const swapped = { I: 'he', you: 'she', we: 'she', they: 'she', he: 'they', she: 'they', it: 'they' }[subject];
+    return [
+        conjugate({ subject: swapped, verb, tense, form }).phrase,
+        ...[forms.base, forms.third, forms.past, forms.participle, forms.ing, regularPastForm(forms.base)]
+            .map(wrong => [...head, wrong].join(' '))
+    ];
+}
+
+// Comparative and superlative templates work the same way, one degree apart
+function adjectiveDrillKind(degree) {
+    const other = degree === 'comparative' ? 'superlative' : 'comparative';
+    return {
+        slot: 'adjective',
+        list: 'adjectives',
+        generate(template, random) {
+            const adjective = pickRandom(template.adjectives, random);
+            const forms = getAdjectiveForms(adjective);
+            const answer = forms[degree];
+            return {
+                slots: { adjective },
+                answer,
+                answers: [answer],
+                distractors: uniqueDistractors(answer, [
+                    addComparisonEndings(adjective)[degree],
+                    `${degree === 'comparative' ? 'more' : 'most'} ${adjective}`,
+                    forms[other],
+                    `${degree === 'comparative' ? 'more' : 'most'} ${addComparisonEndings(adjective)[degree]}`,
+                    adjective
+                ]),
+                explanation: I18n.all(`drills.explain.${degree}.${forms.rule}`, { adjective, answer })
+            };
+        }
+    };
+}
+
+// One entry per template `kind`: which placeholder it fills, from which word list, and how
+const DRILL_KINDS = {
+    tense: {
+        slot: 'verb',
+        list: 'verbs',
+        generate(template, random) {
+            const tense = getTense(template.tense);
+            const [subjectText, subject] = pickRandom(Object.entries(drillContent.words.subjects), random);
+            const verb = pickRandom(template.verbs, random);
+            const times = template.times || drillContent.words.times[template.tense] || [''];
+            const form = template.form || 'affirmative';
+            const result = conjugate({ subject, verb, tense, form });
+            const forms = getVerbForms(verb);
+            
+            let explanation = I18n.all('drills.explain.tense', { tense: tense.name, formula: tense.formula[form], answer: result.phrase });
+            // Point out irregular forms when the answer uses one
+            const words = result.phrase.split(' ');
+            if (forms.irregular && (words.includes(forms.past) || words.includes(forms.participle))) {
+                explanation = joinLocalized(explanation, I18n.all('drills.explain.irregularVerb', {
+                    verb, forms: [forms.base, forms.past, forms.participle].join(' – ')
+                }));
+            }
+            return {
+                slots: { subject: subjectText, verb, time: pickRandom(times, random) },
+                answer: result.phrase,
+                answers: [result.phrase, result.contracted].filter(Boolean),
+                distractors: uniqueDistractors(result.phrase, tenseDistractors({ subject, verb, tense, form }, result.phrase)),
+                explanation,
+                hint: t(form === 'negative' ? 'drills.tenseHintNegative' : 'drills.tenseHint', { tense: tense.name })
+            };
+        }
+    },
+    comparative: adjectiveDrillKind('comparative'),
+    superlative: adjectiveDrillKind('superlative'),
+    plural: {
+        slot: 'noun',
+        list: 'nouns',
+        generate(template, random) {
+            const noun = pickRandom(template.nouns, random);
+            const { plural, rule } = getPluralForm(noun);
+            return {
+                slots: { noun },
+                answer: plural,
+                answers: [plural],
+                distractors: uniqueDistractors(plural, [
+                    `${noun}s`,
+                    `${noun}es`,
+                    rule === 'irregular' ? `${plural}s` : `${noun.replace(/y$/, '')}ys`,
+                    noun
+                ]),
+                explanation: I18n.all(`drills.explain.plural.${rule}`, { noun, answer: plural })
+            };
+        }
+    }
+};
+
+// Tense templates need the tense definitions from tenses.json and at least one subject
+function isUsableTemplate(template) {
+    if (template.kind !== 'tense') return true;
+    return Boolean(getTense(template.tense)) && Object.keys(drillContent.words.subjects).length > 0;
+}
+
+function makeDrillQuestion(template, random) {
+    const item = DRILL_KINDS[template.kind].generate(template, random);
+    const text = capitalize(template.text
+        .replace(/\{(\w+)\}/g, (match, name) => item.slots[name] ?? '')
+        .replace(/\s+/g, ' ')
+        .replace(/ ([.?!])$/, '$1')
+        .trim());
+    const type = pickRandom(template.types || ['single', 'fill'], random);
+    const common = { explanation: item.explanation, tags: [template.kind] };
+    if (template.lesson) common.lesson = template.lesson;
+    
+    if (type === 'single' && item.distractors.length > 0) {
+        const distractors = shuffleArray(item.distractors, random).slice(0, 3);
+        return { ...common, question: text, options: [item.answer, ...distractors], correct: 0 };
+    }
+    // Typed answers name the tense, since the time signal alone can allow another one
+    return {
+        ...common,
+        type: 'fill',
+        question: item.hint ? `${text} ${item.hint}` : text,
+        answers: item.answers
+    };
+}
+
+// Templates are taken in turns, in a random order, so a paper mixes every kind
+function generateDrillQuestions(drill, random) {
+    const templates = shuffleArray(
+        (drill.templates || Object.keys(drillContent.templates))
+            .map(id => drillContent.templates[id])
+            .filter(template => template && isUsableTemplate(template)),
+        random
+    );
+    if (templates.length === 0) return [];
+    
+    const questions = [];
+    const asked = new Set();
+    for (let tries = 0; questions.length < drill.count && tries < drill.count * 10; tries++) {
+        const question = makeDrillQuestion(templates[tries % templates.length], random);
+        if (asked.has(question.question)) continue;
+        asked.add(question.question);
+        questions.push(question);
+    }
+    return questions;
+}
+
+function isGeneratedDrill(category) {
+    return Object.hasOwn(drillContent.drills, category);
+}
+
+// `questions` is a fixed sample for the Latihan card; each attempt calls `generate` with its seed
+function buildGeneratedDrill(category) {
+    const drill = drillContent.drills[category];
+    const questions = generateDrillQuestions(drill, createRandom(category));
+    if (questions.length === 0) return null;
+    
+    return {
+        ...drill,
+        shuffleOptions: true,
+        questions,
+        generate: random => generateDrillQuestions(drill, random)
+    };
+}
+
+// ===============================
+// READING PASSAGES
+// ===============================
+// Passages from content/passages.json carry their own question groups. Questions
+// keep their passage id, so the quiz can show the text beside them (split view),
+// whether they come from a passage, a quiz that lists passages or the mistakes session.
+const passageContent = {};
+
+const PASSAGE_CATEGORY = 'passage';
+// Words per minute for a learner reading carefully in a second language
+const READING_WORDS_PER_MINUTE = 150;
+const PASSAGE_WORD_PATTERN = /[A-Za-z]+(?:['’-][A-Za-z]+)*/g;
+
+function getPassage(passageId) {
+    return passageContent[passageId] || null;
+}
+
+function getPassageStats(passage) {
+    const words = passage.paragraphs.join(' ').match(PASSAGE_WORD_PATTERN)?.length || 0;
+    return { words, minutes: Math.max(1, Math.round(words / READING_WORDS_PER_MINUTE)) };
+}
+
+function getPassageQuestions(passageId) {
+    const passage = getPassage(passageId);
+    if (!passage) return [];
+    return passage.questionGroups.flatMap((group, groupIndex) => group.questions.map(question => ({
+        ...question,
+        passage: passageId,
+        passageGroup: groupIndex,
+        lesson: question.lesson || passage.lesson
+    })));
+}
+
+// Quizzes that list `passages` ask those passages' questions after their own
+function attachPassageQuestions() {
+    const problems = [];
+    Object.entries(quizData).forEach(([category, quiz]) => {
+        if (!quiz.passages) return;
+        const path = `${ContentLoader.sources.quizzes}: quizzes["${category}"]`;
+        quiz.passages.filter(id => !getPassage(id))
+            .forEach(id => problems.push(`${path}.passages: "${id}" is not in passages.json`));
+        quiz.questions = [...quiz.questions, ...quiz.passages.flatMap(getPassageQuestions)];
+        
+        if (quiz.questions.length === 0) {
+            problems.push(`${path} has no valid questions and was skipped`);
+            delete quizData[category];
+        } else if (quiz.sample && getQuizPool(quiz).length === 0) {
+            problems.push(`${path}.sample matches no questions and was ignored`);
+            quiz.sample = undefined;
+        }
+    });
+    return problems;
+}
+
+// Questions about one passage stay next to each other, so the text is read once
+function keepPassagesTogether(questions) {
+    const groups = new Map();
+    questions.forEach((question, index) => {
+        const key = question.passage ?? `#${index}`;
+        groups.set(key, [...(groups.get(key) || []), question]);
+    });
+    return [...groups.values()].flat();
+}
+
+// Glossary keys are base forms; the text may use "noticed", "seeds" or "studies"
+function getWordCandidates(word) {
+    const lower = word.toLowerCase().replace(/’/g, '\'');
+    const candidates = [lower];
+    if (/ies$/.test(lower)) candidates.push(`${lower.slice(0, -3)}y`);
+    if (/ied$/.test(lower)) candidates.push(`${lower.slice(0, -3)}y`);
+    if (/es$/.test(lower)) candidates.push(lower.slice(0, -2));
+    if (/s$/.test(lower)) candidates.push(lower.slice(0, -1));
+    if (/ed$/.test(lower)) candidates.push(lower.slice(0, -2), lower.slice(0, -1));
+    if (/ing$/.test(lower)) candidates.push(lower.slice(0, -3), `${lower.slice(0, -3)}e`);
+    // Stopped, planning: drop the doubled consonant as well
+    return candidates.flatMap(candidate => /([^aeiou])\1$/.test(candidate) && candidate !== lower
+        ? [candidate, candidate.slice(0, -1)]
+        : [candidate]);
+}
+
+function findGlossaryKey(passage, word) {
+    return getWordCandidates(word).find(candidate => Object.hasOwn(passage.glossary, candidate)) || null;
+}
+
+// The passage glossary first, then the vocabulary decks
+function lookUpWord(passage, word) {
+    const key = findGlossaryKey(passage, word);
+    if (key) return { word: key, ...passage.glossary[key] };
+    
+    const candidates = getWordCandidates(word);
+    for (const deck of Object.values(vocabularyDecks)) {
+        const card = deck.cards.find(entry => candidates.includes(entry.word.toLowerCase()));
+        if (card) return { word: card.word, partOfSpeech: card.partOfSpeech, meaning: card.meaning };
+    }
+    return null;
+}
+
+// Every word can be tapped; glossary terms are buttons so they can also be reached by keyboard
+function renderPassageParagraph(text, passage, interactive) {
+    if (!interactive) return escapeHTML(text);
+    
+    // Terms of several words ("lost and found") are matched before single words
+    const phrases = Object.keys(passage.glossary)
+        .filter(term => term.includes(' '))
+        .sort((a, b) => b.length - a.length)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`${phrases.map(phrase => `\\b${phrase}\\b|`).join('')}${PASSAGE_WORD_PATTERN.source}`, 'gi');
+    
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+        html += escapeHTML(text.slice(last, match.index));
+        const word = match[0];
+        html += findGlossaryKey(passage, word)
+            ? `<button type="button" class="passage-word glossary-term" data-word="${escapeHTML(word)}">${escapeHTML(word)}</button>`
+            : `<span class="passage-word" data-word="${escapeHTML(word)}">${escapeHTML(word)}</span>`;
+        last = match.index + word.length;
+    }
+    return html + escapeHTML(text.slice(last));
+}
+
+// `interactive` is off in exams, where a glossary could give vocabulary answers away
+function renderPassage(passageId, { interactive = true } = {}) {
+    const passage = getPassage(passageId);
+    if (!passage) return '';
+    
+    const stats = getPassageStats(passage);
+    return `
+        <article class="reading-passage" data-passage-id="${escapeHTML(passageId)}">
+            <header class="reading-passage-header">
+                <h3>${escapeHTML(localize(passage.title))}</h3>
+                <p class="reading-passage-meta">
+                    ${passage.level ? `<span class="reading-level">${escapeHTML(passage.level)}</span>` : ''}
+                    <span><i class="fas fa-clock"></i> ${t('reading.time', { count: stats.minutes })}</span>
+                    <span><i class="fas fa-align-left"></i> ${t('reading.words', { count: stats.words })}</span>
+                </p>
+                ${interactive ? `<p class="reading-passage-hint">${t('reading.tapHint')}</p>` : ''}
+            </header>
+            <div class="reading-passage-text">
+                ${passage.paragraphs.map(text => `<p>${renderPassageParagraph(text, passage, interactive)}</p>`).join('')}
+            </div>
+            ${passage.source ? `<p class="reading-passage-source">${escapeHTML(localize(passage.source))}</p>` : ''}
+            <div class="glossary-popover" role="status" aria-live="polite" hidden></div>
+        </article>
+    `;
+}
+
+function showGlossaryEntry(wordElement) {
+    const article = wordElement.closest('.reading-passage');
+    const popover = article?.querySelector('.glossary-popover');
+    const passage = getPassage(article?.getAttribute('data-passage-id'));
+    if (!popover || !passage) return;
+    
+    const word = wordElement.getAttribute('data-word');
+    const entry = lookUpWord(passage, word);
+    article.querySelectorAll('.passage-word.active').forEach(element => element.classList.remove('active'));
+    wordElement.classList.add('active');
+    popover.innerHTML = `
+        <button type="button" class="glossary-close" aria-label="${t('common.close')}">&times;</button>
+        <p class="glossary-word">
+            <strong>${escapeHTML(entry?.word || word)}</strong>
+            ${entry?.partOfSpeech ? `<em>${escapeHTML(entry.partOfSpeech)}</em>` : ''}
+        </p>
+        <p>${entry ? escapeHTML(localize(entry.meaning)) : t('reading.noEntry')}</p>
+    `;
+    popover.hidden = false;
+}
+
+function hideGlossaryEntry(article) {
+    const popover = article.querySelector('.glossary-popover');
+    if (popover) popover.hidden = true;
+    article.querySelectorAll('.passage-word.active').forEach(element => element.classList.remove('active'));
+}
+
+function isPassageQuiz(category) {
+    return String(category).startsWith(`${PASSAGE_CATEGORY}.`) && Boolean(getPassage(category.slice(PASSAGE_CATEGORY.length + 1)));
+}
+
+function buildPassageQuiz(category) {
+    const passageId = category.slice(PASSAGE_CATEGORY.length + 1);
+    const passage = getPassage(passageId);
+    return {
+        title: passage.title,
+        icon: 'fa-book-open',
+        lesson: passage.lesson,
+        shuffleOptions: true,
+        questions: getPassageQuestions(passageId)
+    };
+}
+
+// Lessons list their passages through <div data-reading-list="<genre>"></div>
+function renderReadingList(genre) {
+    const passages = Object.entries(passageContent).filter(([, passage]) => passage.genre === genre);
+    if (passages.length === 0) return renderContentError(t('error.passagesUnavailable'));
+    
+    return `
+        <div class="reading-list">
+            ${passages.map(([passageId, passage]) => {
+                const stats = getPassageStats(passage);
+                const category = `${PASSAGE_CATEGORY}.${passageId}`;
+                const best = ProgressStore.getBestScore(category);
+                return `
+                    <div class="reading-card">
+                        <h4>${escapeHTML(localize(passage.title))}</h4>
+                        <p class="reading-passage-meta">
+                            ${passage.level ? `<span class="reading-level">${escapeHTML(passage.level)}</span>` : ''}
+                            <span><i class="fas fa-clock"></i> ${t('reading.time', { count: stats.minutes })}</span>
+                            <span><i class="fas fa-list-ol"></i> ${t('latihan.questions', { count: getPassageQuestions(passageId).length })}</span>
+                            ${best === null ? '' : `<span class="category-best"><i class="fas fa-trophy"></i> ${t('progress.best', { score: best })}</span>`}
+                        </p>
+                        <p class="reading-card-excerpt">${escapeHTML(passage.paragraphs[0])}</p>
+                        <button class="btn-flashcards" data-reading-passage="${escapeHTML(passageId)}">
+                            <i class="fas fa-book-reader"></i> ${t('reading.start')}
+                        </button>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+function mountReadingLists(container) {
+    container.querySelectorAll('[data-reading-list]').forEach(placeholder => {
+        placeholder.innerHTML = renderReadingList(placeholder.getAttribute('data-reading-list'));
+    });
+}
+
+// ===============================
+// PLACEMENT TEST
+// ===============================
+// An adaptive test on the quiz engine for content/placement.json. A right answer moves the
+// next question one CEFR level up, a wrong one a level down; the estimate is the highest
+// level answered well, and each level names the lessons to start with.
+const placementContent = { test: null, levels: {}, questions: [] };
+const PLACEMENT_CATEGORY = 'placement';
+const PLACEMENT_DEFAULTS = { length: 12, start: 'A2' };
+// A level is reached with this many right answers, as long as they are at least half of its questions
+const PLACEMENT_MIN_CORRECT = 2;
+
+const PlacementStore = {
+    storageKey: 'placement',
+    
+    // Latest result: { level, finishedAt, score, total, levels: [{ level, asked, correct }] }
+    get() {
+        const saved = LocalStore.get(this.storageKey, null);
+        return isPlainObject(saved) && CEFR_LEVELS.includes(saved.level) ? saved : null;
+    },
+    
+    save(result) {
+        LocalStore.set(this.storageKey, result);
+        renderPlacementGreeting();
+        renderQuizCategories();
+    }
+};
+
+function isPlacementTest(category) {
+    return category === PLACEMENT_CATEGORY && placementContent.test !== null;
+}
+
+function buildPlacementTest() {
+    const { test, questions } = placementContent;
+    return {
+        title: test.title,
+        description: test.description,
+        icon: test.icon || 'fa-compass',
+        shuffleOptions: true,
+        questions,
+        adaptive: {
+            length: Math.min(test.length, questions.length),
+            next: pickPlacementQuestion
+        }
+    };
+}
+
+function getNextPlacementLevel(asked, answers) {
+    const last = asked.length - 1;
+    if (last < 0) return placementContent.test.start;
+    
+    const step = isAnswerCorrect(asked[last], answers[last]) ? 1 : -1;
+    const index = CEFR_LEVELS.indexOf(asked[last].level) + step;
+    return CEFR_LEVELS[Math.min(Math.max(index, 0), CEFR_LEVELS.length - 1)];
+}
+
+// An unused question at the wanted level, or at the closest level that has one left
+function pickPlacementQuestion(asked, answers, random) {
+    const used = new Set(asked.map(question => question.sourceIndex));
+    const unused = placementContent.questions.filter((question, index) => !used.has(index));
+    if (unused.length === 0) return null;
+    
+    const target = CEFR_LEVELS.indexOf(getNextPlacementLevel(asked, answers));
+    const distance = question => Math.abs(CEFR_LEVELS.indexOf(question.level) - target);
+    const closest = Math.min(...unused.map(distance));
+    return pickRandom(unused.filter(question => distance(question) === closest), random);
+}
+
+function tallyPlacementAnswers(questions, answers) {
+    return CEFR_LEVELS.map(level => {
+        const asked = questions.map((question, index) => index).filter(index => questions[index].level === level);
+        const correct = asked.filter(index => isAnswerCorrect(questions[index], answers[index])).length;
+        return { level, asked: asked.length, correct };
+    });
+}
+
+function estimatePlacementLevel(levels) {
+    const reached = levels.filter(entry => entry.correct >= PLACEMENT_MIN_CORRECT && entry.correct * 2 >= entry.asked);
+    return reached.length > 0 ? reached[reached.length - 1].level : CEFR_LEVELS[0];
+}
+
+function buildPlacementResult() {
+    const levels = tallyPlacementAnswers(QuizState.currentQuiz.questions, QuizState.userAnswers);
+    return {
+        level: estimatePlacementLevel(levels),
+        finishedAt: Date.now(),
+        score: QuizState.score,
+        total: QuizState.currentQuiz.questions.length,
+        levels
+    };
+}
+
+// Lessons of a level's path that exist in this copy of the content
+function getPlacementPath(level) {
+    return (placementContent.levels[level]?.path || []).filter(lessonId => materiContent[lessonId]);
+}
+
+function renderPlacementResult(result) {
+    const level = placementContent.levels[result.level];
+    const path = getPlacementPath(result.level);
+    
+    return `
+        <div class="placement-result">
+            <div class="placement-level" aria-hidden="true">${escapeHTML(result.level)}</div>
+            <p class="placement-level-title">
+                ${t('placement.yourLevel', { level: escapeHTML(result.level) })}${level ? ` · ${escapeHTML(localize(level.title))}` : ''}
+            </p>
+            ${level?.description ? `<p>${escapeHTML(localize(level.description))}</p>` : ''}
+            <ul class="placement-tally">
+                ${result.levels.filter(entry => entry.asked > 0).map(entry => `
+                    <li class="${entry.level === result.level ? 'current' : ''}">
+                        <strong>${escapeHTML(entry.level)}</strong>
+                        ${t('placement.levelScore', { correct: entry.correct, asked: entry.asked })}
+                    </li>
+                `).join('')}
+            </ul>
+            ${path.length > 0 ? `
+                <h3>${t('placement.path')}</h3>
+                <ol class="placement-path">
+                    ${path.map(lessonId => `
+                        <li>
+                            <button class="quiz-lesson-link" data-lesson="${escapeHTML(lessonId)}">
+                                <i class="fas fa-book-open"></i> ${escapeHTML(localize(materiContent[lessonId].title))}
+                            </button>
+                        </li>
+                    `).join('')}
+                </ol>
+            ` : ''}
+        </div>
+    `;
+}
+
+function renderPlacementCard() {
+    if (!isPlacementTest(PLACEMENT_CATEGORY)) return '';
+    
+    const test = buildPlacementTest();
+    const result = PlacementStore.get();
+    return `
+        <div class="category-card placement-card" data-quiz="${PLACEMENT_CATEGORY}">
+            <div class="category-icon">
+                <i class="fas ${escapeHTML(test.icon)}"></i>
+            </div>
+            <h3>${escapeHTML(localize(test.title))}</h3>
+            ${test.description ? `<p>${escapeHTML(localize(test.description))}</p>` : ''}
+            <div class="category-meta">
+                <span><i class="fas fa-list-ol"></i> ${t('latihan.questions', { count: getQuizLength(test) })}</span>
+                <span><i class="fas fa-clock"></i> ${t('latihan.estimate', { count: estimateQuizMinutes(test) })}</span>
+                <span class="${result ? 'category-best' : ''}">
+                    <i class="fas fa-signal"></i> ${result ? t('placement.yourLevel', { level: escapeHTML(result.level) }) : t('progress.notTried')}
+                </span>
+            </div>
+        </div>
+    `;
+}
+
+// The home hero greets learners with their level and path, or invites them to take the test
+function renderPlacementGreeting() {
+    const container = document.getElementById('hero-level');
+    if (!container) return;
+    
+    const result = PlacementStore.get();
+    const available = isPlacementTest(PLACEMENT_CATEGORY);
+    if (!result) {
+        container.innerHTML = available ? `
+            <p>${t('placement.invite')}</p>
+            <button class="hero-level-action" data-placement-start>
+                <i class="fas fa-compass"></i> ${t('placement.start')}
+            </button>
+        ` : '';
+        return;
+    }
+    
+    const level = placementContent.levels[result.level];
+    const path = getPlacementPath(result.level);
+    container.innerHTML = `
+        <p class="hero-level-badge">
+            <i class="fas fa-signal"></i> ${t('placement.yourLevel', { level: escapeHTML(result.level) })}
+            ${level ? `<span>${escapeHTML(localize(level.title))}</span>` : ''}
+        </p>
+        ${path.length > 0 ? `
+            <p class="hero-level-path">
+                ${t('placement.path')}:
+                ${path.map(lessonId => `
+                    <a href="#/materi/${escapeHTML(lessonId)}">${escapeHTML(localize(materiContent[lessonId].title))}</a>
+                `).join('<i class="fas fa-angle-right" aria-hidden="true"></i>')}
+            </p>
+        ` : ''}
+        ${available ? `
+            <button class="hero-level-action" data-placement-start>
+                <i class="fas fa-redo-alt"></i> ${t('placement.retake')}
+            </button>
+        ` : ''}
+    `;
+}
+
+function initPlacementTest() {
+    const container = document.getElementById('hero-level');
+    if (!container) return;
+    
+    // The saved level is shown right away; the path and the test wait for the content
+    renderPlacementGreeting();
+    container.addEventListener('click', (e) => {
+        if (e.target.closest('[data-placement-start]')) startQuiz(PLACEMENT_CATEGORY);
+    });
+}
+
+// ===============================
+// XP, STREAKS & BADGES
+// ===============================
+// Quizzes, lessons and flashcard reviews earn XP, and every day with XP counts towards
+// the daily streak. Badges come from content/badges.json; each has a condition on the
+// learner's numbers (see BADGE_CONDITIONS) and stays earned once unlocked.
+const badgeContent = {};
+
+const XP_REWARDS = {
+    quizAnswer: 2,      // every right answer
+    quizPerfect: 10,    // bonus for a paper without mistakes
+    lesson: 5,          // opening a lesson, once per lesson and day
+    flashcard: 1        // every card reviewed
+};
+
+// A streak survives one missed day (the grace day), at most once in this many days
+const STREAK_GRACE_PERIOD = 7;
+
+function validateBadgeCount(field) {
+    return condition => Number.isInteger(condition[field]) && condition[field] > 0
+        ? []
+        : [`.${field} must be a positive whole number`];
+}
+
+// Every condition type reports `{ current, target }`; a badge unlocks once current reaches target
+const BADGE_CONDITIONS = {
+    xp: {
+        validate: validateBadgeCount('amount'),
+        progress: (condition, stats) => ({ current: stats.xp, target: condition.amount })
+    },
+    streak: {
+        validate: validateBadgeCount('days'),
+        progress: (condition, stats) => ({ current: stats.bestStreak, target: condition.days })
+    },
+    'quizzes-finished': {
+        validate: condition => [
+            ...validateBadgeCount('count')(condition),
+            ...(condition.quiz === undefined || isNonEmptyString(condition.quiz) ? [] : ['.quiz must be a quiz id'])
+        ],
+        progress: (condition, stats) => ({
+            current: stats.attempts.filter(attempt => !condition.quiz || attempt.category === condition.quiz).length,
+            target: condition.count
+        })
+    },
+    'perfect-score': {
+        validate: condition => [
+            ...(condition.count === undefined ? [] : validateBadgeCount('count')(condition)),
+            ...(condition.quiz === undefined || isNonEmptyString(condition.quiz) ? [] : ['.quiz must be a quiz id'])
+        ],
+        progress: (condition, stats) => ({
+            current: stats.attempts.filter(attempt => attempt.percentage === 100 &&
+                (!condition.quiz || attempt.category === condition.quiz)).length,
+            target: condition.count || 1
+        })
+    },
+    // Either `count` different lessons or every lesson in `lessons`
+    'lessons-read': {
+        validate: condition => {
+            if (Array.isArray(condition.lessons) && condition.lessons.length > 0 && condition.lessons.every(isNonEmptyString)) return [];
+            return condition.lessons === undefined ? validateBadgeCount('count')(condition) : ['.lessons must be an array of lesson ids'];
+        },
+        progress: (condition, stats) => condition.lessons
+            ? { current: condition.lessons.filter(lessonId => stats.lessons.includes(lessonId)).length, target: condition.lessons.length }
+            : { current: stats.lessons.length, target: condition.count }
+    },
+    // Every tense of tenses.json seen in the tense reference
+    'tenses-read': {
+        validate: () => [],
+        progress: (condition, stats) => {
+            const tenseIds = Object.keys(tenseContent.tenses);
+            return {
+                current: tenseIds.filter(tenseId => stats.tensesRead.includes(tenseId)).length,
+                target: Math.max(tenseIds.length, 1)
+            };
+        }
+    },
+    'flashcards-reviewed': {
+        validate: validateBadgeCount('count'),
+        progress: (condition, stats) => ({ current: stats.flashcardReviews, target: condition.count })
+    }
+};
+
+const GameStore = {
+    storageKey: 'game',
+    data: null,
+    
+    load() {
+        const saved = LocalStore.get(this.storageKey, {}) || {};
+        this.data = {
+            xp: Number.isFinite(saved.xp) ? saved.xp : 0,
+            streak: isPlainObject(saved.streak) ? saved.streak : { current: 0, best: 0, lastDay: null, graceDay: null },
+            // Day number each lesson last earned XP
+            lessonDays: isPlainObject(saved.lessonDays) ? saved.lessonDays : {},
+            flashcardReviews: Number.isFinite(saved.flashcardReviews) ? saved.flashcardReviews : 0,
+            tensesRead: Array.isArray(saved.tensesRead) ? saved.tensesRead : [],
+            // Badge id to the time it was earned
+            badges: isPlainObject(saved.badges) ? saved.badges : {}
+        };
+        return this.data;
+    },
+    
+    save() {
+        LocalStore.set(this.storageKey, this.data);
+        renderProfileSummary();
+    },
+    
+    ensureLoaded() {
+        return this.data || this.load();
+    },
+    
+    // Add XP, count today towards the streak and look for new badges
+    award(xp) {
+        const data = this.ensureLoaded();
+        data.xp += xp;
+        this.markActiveDay();
+        this.checkBadges();
+        this.save();
+        return xp;
+    },
+    
+    markActiveDay(day = getDayNumber()) {
+        const { streak } = this.ensureLoaded();
+        if (streak.lastDay === day) return;
+        
+        const gap = streak.lastDay === null ? null : day - streak.lastDay;
+        if (gap === 1) {
+            streak.current++;
+        } else if (gap === 2 && this.canUseGrace(day)) {
+            streak.current++;
+            streak.graceDay = day - 1;
+        } else {
+            streak.current = 1;
+            streak.graceDay = null;
+        }
+        streak.best = Math.max(streak.best, streak.current);
+        streak.lastDay = day;
+    },
+    
+    canUseGrace(day) {
+        const { graceDay } = this.ensureLoaded().streak;
+        return graceDay === null || day - graceDay > STREAK_GRACE_PERIOD;
+    },
+    
+    // The streak as of `day`: 0 once it is broken; `grace` while yesterday is being forgiven
+    getStreak(day = getDayNumber()) {
+        const { streak } = this.ensureLoaded();
+        const gap = streak.lastDay === null ? Infinity : day - streak.lastDay;
+        const alive = gap <= 1 || (gap === 2 && this.canUseGrace(day));
+        return {
+            current: alive ? streak.current : 0,
+            best: streak.best,
+            today: gap === 0,
+            grace: alive && gap === 2
+        };
+    },
+    
+    recordQuiz(attempt) {
+        const xp = attempt.score * XP_REWARDS.quizAnswer + (attempt.percentage === 100 ? XP_REWARDS.quizPerfect : 0);
+        return this.award(xp);
+    },
+    
+    recordLesson(lessonId) {
+        const data = this.ensureLoaded();
+        const today = getDayNumber();
+        if (data.lessonDays[lessonId] === today) return 0;
+        
+        data.lessonDays[lessonId] = today;
+        return this.award(XP_REWARDS.lesson);
+    },
+    
+    recordFlashcardReview() {
+        this.ensureLoaded().flashcardReviews++;
+        return this.award(XP_REWARDS.flashcard);
+    },
+    
+    recordTenseRead(tenseId) {
+        const data = this.ensureLoaded();
+        if (data.tensesRead.includes(tenseId)) return;
+        
+        data.tensesRead.push(tenseId);
+        this.checkBadges();
+        this.save();
+    },
+    
+    getStats() {
+        const data = this.ensureLoaded();
+        return {
+            xp: data.xp,
+            bestStreak: data.streak.best,
+            attempts: ProgressStore.getAttempts(),
+            lessons: Object.keys(ProgressStore.ensureLoaded().topics),
+            tensesRead: data.tensesRead,
+            flashcardReviews: data.flashcardReviews
+        };
+    },
+    
+    checkBadges() {
+        const data = this.ensureLoaded();
+        const stats = this.getStats();
+        Object.entries(badgeContent).forEach(([badgeId, badge]) => {
+            if (data.badges[badgeId]) return;
+            const { current, target } = getBadgeProgress(badge, stats);
+            if (current < target) return;
+            
+            data.badges[badgeId] = Date.now();
+            showBadgeToast(badge);
+        });
+    },
+    
+    clear() {
+        this.data = null;
+        LocalStore.remove(this.storageKey);
+        renderProfileSummary();
+    }
+};
+
+function getBadgeProgress(badge, stats = GameStore.getStats()) {
+    return BADGE_CONDITIONS[badge.condition.type].progress(badge.condition, stats);
+}
+
+function showBadgeToast(badge) {
+    const title = localize(badge.title);
+    Toasts.show({
+        icon: badge.icon,
+        title: t('badges.unlocked'),
+        body: title
+    });
+    announce(t('badges.announce', { title }));
+}
+
+// Tense cards count as read once most of a card (or half the screen) has been in view
+const TenseReadingTracker = {
+    observer: null,
+    
+    watch(container) {
+        if (!('IntersectionObserver' in window)) return;
+        
+        if (!this.observer) {
+            this.observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    const seen = entry.intersectionRatio >= 0.5 ||
+                        (entry.rootBounds && entry.intersectionRect.height >= entry.rootBounds.height / 2);
+                    if (!entry.isIntersecting || !seen) return;
+                    this.observer.unobserve(entry.target);
+                    GameStore.recordTenseRead(entry.target.id.replace(/^tense-/, ''));
+                });
+            }, { threshold: [0.25, 0.5] });
+        }
+        container.querySelectorAll('.tense-card').forEach(card => this.observer.observe(card));
+    }
+};
+
+// Streak and XP in the navbar button that opens the profile panel
+function renderProfileSummary() {
+    const button = document.querySelector('[data-profile].nav-profile');
+    if (!button) return;
+    
+    button.querySelector('.nav-profile-streak').textContent = GameStore.getStreak().current;
+    button.querySelector('.nav-profile-xp').textContent = GameStore.ensureLoaded().xp;
+}
+
+function renderBadge(badge, earnedAt, stats) {
+    const progress = earnedAt ? null : getBadgeProgress(badge, stats);
+    return `
+        <li class="badge-item ${earnedAt ? 'earned' : 'locked'}">
+            <span class="badge-icon"><i class="fas ${escapeHTML(badge.icon || 'fa-award')}"></i></span>
+            <span class="badge-text">
+                <strong>${escapeHTML(localize(badge.title))}</strong>
+                <small>${escapeHTML(localize(badge.description))}</small>
+                ${earnedAt ? `
+                    <small class="badge-earned">${t('profile.earnedOn', { date: formatDate(earnedAt) })}</small>
+                ` : `
+                    <span class="badge-progress" role="img" aria-label="${t('profile.progress', { current: Math.min(progress.current, progress.target), target: progress.target })}">
+                        <span style="width: ${Math.min(100, Math.round(progress.current / progress.target * 100))}%"></span>
+                    </span>
+                `}
+            </span>
+        </li>
+    `;
+}
+
+function renderProfilePanel() {
+    const data = GameStore.ensureLoaded();
+    const streak = GameStore.getStreak();
+    const placement = PlacementStore.get();
+    const stats = GameStore.getStats();
+    const badges = Object.entries(badgeContent);
+    const earned = badges.filter(([badgeId]) => data.badges[badgeId])
+        .sort(([a], [b]) => data.badges[b] - data.badges[a]);
+    const locked = badges.filter(([badgeId]) => !data.badges[badgeId]);
+    
+    let streakNote = t('profile.streakStart');
+    if (streak.today) streakNote = t('profile.streakToday');
+    else if (streak.grace) streakNote = t('profile.streakGrace');
+    else if (streak.current > 0) streakNote = t('profile.streakKeep');
+    
+    return `
+        <h2>${t('profile.title')}</h2>
+        <p class="profile-learner">
+            ${renderLearnerAvatar(LearnerProfiles.current()?.avatar)}
+            <strong>${escapeHTML(LearnerProfiles.displayName())}</strong>
+        </p>
+        <div class="profile-stats">
+            <div class="profile-stat">
+                <i class="fas fa-star"></i>
+                <strong>${data.xp}</strong>
+                <span>${t('profile.xp')}</span>
+            </div>
+            <div class="profile-stat">
+                <i class="fas fa-fire"></i>
+                <strong>${streak.current}</strong>
+                <span>${t('profile.streak')}</span>
+            </div>
+            <div class="profile-stat">
+                <i class="fas fa-crown"></i>
+                <strong>${streak.best}</strong>
+                <span>${t('profile.bestStreak')}</span>
+            </div>
+            ${placement ? `
+                <div class="profile-stat">
+                    <i class="fas fa-signal"></i>
+                    <strong>${escapeHTML(placement.level)}</strong>
+                    <span>${t('profile.level')}</span>
+                </div>
+            ` : ''}
+        </div>
+        <p class="profile-streak-note">
+            ${streakNote}
+            <small>${t('profile.graceRule', { count: STREAK_GRACE_PERIOD })}</small>
+        </p>
+        
+        ${badges.length === 0 ? renderContentError(t('error.badgesUnavailable')) : `
+            <section class="profile-badges">
+                <h3>${t('profile.earned', { count: earned.length })}</h3>
+                ${earned.length > 0 ? `
+                    <ul class="badge-grid">
+                        ${earned.map(([badgeId, badge]) => renderBadge(badge, data.badges[badgeId], stats)).join('')}
+                    </ul>
+                ` : `<p class="progress-empty">${t('profile.noBadges')}</p>`}
+                ${locked.length > 0 ? `
+                    <h3>${t('profile.locked', { count: locked.length })}</h3>
+                    <ul class="badge-grid">
+                        ${locked.map(([, badge]) => renderBadge(badge, null, stats)).join('')}
+                    </ul>
+                ` : ''}
+            </section>
+        `}
+    `;
+}
+
+function openProfilePanel() {
+    if (!DOMCache.profileModal || !DOMCache.profileBody) return;
+    if (ContentLoader.status !== 'ready') {
+        ContentLoader.load().then(openProfilePanel);
+        return;
+    }
+    
+    DOMCache.profileBody.innerHTML = renderProfilePanel();
+    requestAnimationFrame(() => {
+        DOMCache.profileModal.style.display = 'block';
+        document.body.style.overflow = 'hidden';
+        Dialog.open(DOMCache.profileModal, '.close');
+    });
+}
+
+function closeProfilePanel() {
+    if (!DOMCache.profileModal) return;
+    
+    requestAnimationFrame(() => {
+        DOMCache.profileModal.style.display = 'none';
+        releaseBodyScroll();
+        Dialog.close(DOMCache.profileModal);
+    });
+}
+
+// ===============================
+// LEARNER PROFILES
+// ===============================
+// Computer-lab machines serve a whole class from one browser. Every learner profile
+// keeps its own copy of what LocalStore saves (attempts, mistakes, flashcards, XP,
+// language...) under "eduverse:profile:<id>:<key>", and can be carried to another
+// machine as a file.
+const LEARNER_SCOPE_PREFIX = 'profile:';
+const LEARNER_NAME_MAX_LENGTH = 30;
+const LEARNER_FILE_FORMAT = 'eduverse-profile';
+const LEARNER_FILE_VERSION = 1;
+
+const LEARNER_AVATARS = {
+    cat: { icon: 'fa-cat', color: '#f59e0b' },
+    dog: { icon: 'fa-dog', color: '#b45309' },
+    dove: { icon: 'fa-dove', color: '#0ea5e9' },
+    fish: { icon: 'fa-fish', color: '#06b6d4' },
+    frog: { icon: 'fa-frog', color: '#16a34a' },
+    otter: { icon: 'fa-otter', color: '#7c3aed' },
+    robot: { icon: 'fa-robot', color: '#64748b' },
+    rocket: { icon: 'fa-rocket', color: '#ef4444' }
+};
+const DEFAULT_LEARNER_AVATAR = 'cat';
+
+// The PIN only keeps classmates out of each other's profile; it is hashed so it
+// cannot be read off the storage panel, but four digits are no real protection
+function hashLearnerPin(pin) {
+    let hash = 2166136261;
+    for (const char of `eduverse-pin:${pin}`) {
+        hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Profiles come from storage and from imported files; null when unusable
+function normalizeLearner(value) {
+    if (!isPlainObject(value) || typeof value.id !== 'string' || !/^[a-z0-9-]+$/.test(value.id)) return null;
+    
+    return {
+        id: value.id,
+        name: typeof value.name === 'string' ? value.name.trim().slice(0, LEARNER_NAME_MAX_LENGTH) : '',
+        avatar: Object.hasOwn(LEARNER_AVATARS, value.avatar) ? value.avatar : DEFAULT_LEARNER_AVATAR,
+        pin: typeof value.pin === 'string' && /^[0-9a-f]{8}$/.test(value.pin) ? value.pin : null,
+        createdAt: Number.isFinite(value.createdAt) ? value.createdAt : Date.now()
+    };
+}
+
+function renderLearnerAvatar(avatarId) {
+    const avatar = LEARNER_AVATARS[avatarId] || LEARNER_AVATARS[DEFAULT_LEARNER_AVATAR];
+    return `
+        <span class="learner-avatar" style="--avatar-color: ${avatar.color}" aria-hidden="true">
+            <i class="fas ${avatar.icon}"></i>
+        </span>
+    `;
+}
+
+const LearnerProfiles = {
+    storageKey: 'profiles',
+    // Per tab and forgotten when the browser closes, so the next session asks for the PIN again
+    unlockedKey: 'eduverse:unlocked',
+    data: null,
+    // 'list', 'form' (add or edit) or 'pin' (asked before using, editing, exporting, deleting or replacing a profile)
+    view: { type: 'list' },
+    status: '',
+    pendingImport: null,
+    // The active profile has a PIN that was not entered in this session
+    locked: false,
+    
+    // Runs before anything else reads storage, so every store sees the active profile
+    init() {
+        const saved = LocalStore.get(this.storageKey, null);
+        const profiles = (Array.isArray(saved?.profiles) ? saved.profiles : []).map(normalizeLearner).filter(Boolean);
+        this.data = { active: saved?.active, profiles };
+        
+        if (profiles.length === 0) {
+            // Whatever was saved before profiles existed belongs to the first learner
+            const profile = this.create({ name: '', avatar: DEFAULT_LEARNER_AVATAR, pin: null });
+            const scope = this.scopeOf(profile.id);
+            LocalStore.keys('').forEach(key => {
+                if (LocalStore.set(key, LocalStore.get(key, null, ''), scope)) LocalStore.remove(key, '');
+            });
+            this.data.active = profile.id;
+        }
+        if (!this.find(this.data.active)) this.data.active = this.data.profiles[0].id;
+        this.save();
+        LocalStore.scope = this.scopeOf(this.data.active);
+        this.locked = !this.isUnlocked(this.current());
+    },
+    
+    save() {
+        LocalStore.set(this.storageKey, this.data);
+    },
+    
+    scopeOf(id) {
+        return `${LEARNER_SCOPE_PREFIX}${id}:`;
+    },
+    
+    find(id) {
+        return this.data.profiles.find(profile => profile.id === id);
+    },
+    
+    current() {
+        return this.find(this.data.active);
+    },
+    
+    displayName(profile = this.current()) {
+        return profile?.name || t('learners.defaultName');
+    },
+    
+    // Sent along with quiz results, which leave the device
+    summary() {
+        return { id: this.data.active, name: this.displayName() };
+    },
+    
+    create({ name, avatar, pin }) {
+        const profile = {
+            id: `${Date.now().toString(36)}-${generateSeed().toLowerCase()}`,
+            name,
+            avatar,
+            pin,
+            createdAt: Date.now()
+        };
+        this.data.profiles.push(profile);
+        this.save();
+        return profile;
+    },
+    
+    isUnlocked(profile) {
+        if (!profile.pin) return true;
+        try {
+            return sessionStorage.getItem(this.unlockedKey) === profile.id;
+        } catch (error) {
+            return false;
+        }
+    },
+    
+    unlock(id) {
+        try {
+            sessionStorage.setItem(this.unlockedKey, id);
+        } catch (error) {
+            console.warn('Unable to remember the unlocked profile:', error);
+        }
+    },
+    
+    // Every store caches what it loaded, so a fresh page load is what switches all of them.
+    // Callers have already checked the PIN, so the profile stays unlocked for this session.
+    switchTo(id) {
+        this.data.active = id;
+        this.save();
+        this.unlock(id);
+        window.location.reload();
+    },
+    
+    remove(id) {
+        const scope = this.scopeOf(id);
+        LocalStore.keys(scope).forEach(key => LocalStore.remove(key, scope));
+        this.data.profiles = this.data.profiles.filter(profile => profile.id !== id);
+        this.save();
+    },
+    
+    checkPin(profile, pin) {
+        return !profile.pin || hashLearnerPin(pin) === profile.pin;
+    },
+    
+    open() {
+        if (!DOMCache.learnersModal || !DOMCache.learnersBody) return;
+        
+        // A locked profile opens straight on its PIN; entering it reloads the page unlocked
+        this.view = this.locked ? { type: 'pin', id: this.data.active, action: 'use' } : { type: 'list' };
+        this.status = '';
+        this.pendingImport = null;
+        this.render();
+        
+        requestAnimationFrame(() => {
+            DOMCache.learnersModal.style.display = 'block';
+            document.body.style.overflow = 'hidden';
+            Dialog.open(DOMCache.learnersModal, '[data-action="add"]');
+        });
+    },
+    
+    close() {
+        if (!DOMCache.learnersModal || this.locked) return;
+        
+        requestAnimationFrame(() => {
+            DOMCache.learnersModal.style.display = 'none';
+            releaseBodyScroll();
+            Dialog.close(DOMCache.learnersModal);
+        });
+    },
+    
+    render() {
+        const body = DOMCache.learnersBody;
+        body.innerHTML = this.view.type === 'form' ? this.renderForm(this.find(this.view.id)) : this.renderList();
+        
+        const focus = this.view.type === 'list' ? '[data-action="add"]' : '[data-field="name"], [data-field="pin"]';
+        body.querySelector(focus)?.focus();
+    },
+    
+    renderList() {
+        return `
+            <h2>${t('learners.title')}</h2>
+            <p class="learners-intro">${t(this.locked ? 'learners.lockedIntro' : 'learners.intro')}</p>
+            <ul class="learner-list">
+                ${this.data.profiles.map(profile => this.renderItem(profile)).join('')}
+            </ul>
+            <div class="learner-toolbar">
+                <button type="button" class="learner-btn" data-action="add">
+                    <i class="fas fa-user-plus"></i> ${t('learners.add')}
+                </button>
+                <button type="button" class="learner-btn" data-action="import">
+                    <i class="fas fa-file-import"></i> ${t('learners.import')}
+                </button>
+                <input type="file" accept=".json,application/json" data-field="import" hidden>
+            </div>
+            <p class="learner-status" role="status">${escapeHTML(this.status)}</p>
+        `;
+    },
+    
+    renderItem(profile) {
+        const active = profile.id === this.data.active;
+        const name = escapeHTML(this.displayName(profile));
+        
+        return `
+            <li class="learner-item ${active ? 'active' : ''}" data-learner="${profile.id}">
+                ${renderLearnerAvatar(profile.avatar)}
+                <span class="learner-name">
+                    <strong>${name}</strong>
+                    ${active ? `<small>${t('learners.active')}</small>` : ''}
+                    ${profile.pin ? `<small><i class="fas fa-lock" aria-hidden="true"></i> ${t('learners.locked')}</small>` : ''}
+                </span>
+                <span class="learner-actions">
+                    ${active && this.locked ? `
+                        <button type="button" class="learner-btn learner-btn-primary" data-action="use">
+                            ${t('learners.unlock')}
+                        </button>
+                    ` : active ? `
+                        <button type="button" class="learner-btn" data-action="edit">
+                            <i class="fas fa-pen"></i> ${t('learners.edit')}
+                        </button>
+                        <button type="button" class="learner-btn" data-action="export">
+                            <i class="fas fa-file-export"></i> ${t('learners.export')}
+                        </button>
+                    ` : `
+                        <button type="button" class="learner-btn learner-btn-primary" data-action="use">
+                            ${t('learners.use')}
+                        </button>
+                        <button type="button" class="learner-btn learner-btn-danger" data-action="delete"
+                            aria-label="${t('learners.deleteLabel', { name })}">
+                            <i class="fas fa-trash-alt"></i>
+                        </button>
+                    `}
+                </span>
+                ${this.view.type === 'pin' && this.view.id === profile.id ? this.renderPinForm(profile) : ''}
+            </li>
+        `;
+    },
+    
+    renderPinForm(profile) {
+        const submit = {
+            use: 'learners.unlock',
+            edit: 'learners.edit',
+            export: 'learners.export',
+            delete: 'learners.delete',
+            replace: 'learners.replace'
+        }[this.view.action];
+        return `
+            <form class="learner-pin-form" data-form="pin">
+                <label>
+                    <span>${t('learners.pinPrompt', { name: escapeHTML(this.displayName(profile)) })}</span>
+                    <input type="password" inputmode="numeric" pattern="[0-9]{4}" maxlength="4"
+                        autocomplete="off" required data-field="pin">
+                </label>
+                <button type="submit" class="learner-btn learner-btn-primary">${t(submit)}</button>
+                <button type="button" class="learner-btn" data-action="cancel">${t('learners.cancel')}</button>
+                <p class="learner-error" role="alert"></p>
+            </form>
+        `;
+    },
+    
+    renderForm(profile) {
+        const avatar = profile?.avatar || DEFAULT_LEARNER_AVATAR;
+        return `
+            <h2>${t(profile ? 'learners.editTitle' : 'learners.addTitle')}</h2>
+            <form class="learner-form" data-form="profile" novalidate>
+                <label class="authoring-field">
+                    <span>${t('learners.name')}</span>
+                    <input type="text" data-field="name" maxlength="${LEARNER_NAME_MAX_LENGTH}" required
+                        autocomplete="off" value="${escapeHTML(profile?.name || '')}">
+                </label>
+                <fieldset class="authoring-field learner-avatars">
+                    <legend>${t('learners.avatar')}</legend>
+                    ${Object.keys(LEARNER_AVATARS).map(avatarId => `
+                        <label class="learner-avatar-option">
+                            <input type="radio" name="learner-avatar" value="${avatarId}" ${avatarId === avatar ? 'checked' : ''}>
+                            ${renderLearnerAvatar(avatarId)}
+                            <span class="sr-only">${t(`learners.avatar.${avatarId}`)}</span>
+                        </label>
+                    `).join('')}
+                </fieldset>
+                <label class="authoring-field">
+                    <span>${t('learners.pin')}</span>
+                    <input type="password" inputmode="numeric" pattern="[0-9]{4}" maxlength="4"
+                        autocomplete="new-password" data-field="pin">
+                    <small>${t(profile?.pin ? 'learners.pinKeep' : 'learners.pinHint')}</small>
+                </label>
+                ${profile?.pin ? `
+                    <label class="learner-check">
+                        <input type="checkbox" data-field="remove-pin"> ${t('learners.removePin')}
+                    </label>
+                ` : ''}
+                <p class="learner-error" role="alert"></p>
+                <div class="learner-toolbar">
+                    <button type="submit" class="learner-btn learner-btn-primary">${t('learners.save')}</button>
+                    <button type="button" class="learner-btn" data-action="cancel">${t('learners.cancel')}</button>
+                </div>
+            </form>
+        `;
+    },
+    
+    setStatus(message) {
+        this.status = message;
+        const status = DOMCache.learnersBody.querySelector('.learner-status');
+        if (status) status.textContent = message;
+    },
+    
+    setError(message) {
+        const error = DOMCache.learnersBody.querySelector('.learner-error');
+        if (error) error.textContent = message;
+    },
+    
+    handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        
+        const profile = this.find(button.closest('[data-learner]')?.getAttribute('data-learner'));
+        this.status = '';
+        
+        switch (button.getAttribute('data-action')) {
+            case 'use':
+                if (!profile.pin) {
+                    this.switchTo(profile.id);
+                    return;
+                }
+                this.view = { type: 'pin', id: profile.id, action: 'use' };
+                break;
+            case 'delete':
+                if (!confirm(t('learners.deleteConfirm', { name: this.displayName(profile) }))) return;
+                if (!profile.pin) {
+                    this.remove(profile.id);
+                    this.status = t('learners.deleted', { name: this.displayName(profile) });
+                    break;
+                }
+                this.view = { type: 'pin', id: profile.id, action: 'delete' };
+                break;
+            case 'add':
+                this.view = { type: 'form', id: null };
+                break;
+            // Anyone at the machine can reach the active profile, so changing or exporting it needs the PIN again
+            case 'edit':
+                this.view = this.current().pin ? { type: 'pin', id: this.data.active, action: 'edit' } : { type: 'form', id: this.data.active };
+                break;
+            case 'cancel':
+                this.view = { type: 'list' };
+                this.pendingImport = null;
+                break;
+            case 'export':
+                if (!this.current().pin) {
+                    this.exportFile();
+                    return;
+                }
+                this.view = { type: 'pin', id: this.data.active, action: 'export' };
+                break;
+            case 'import':
+                DOMCache.learnersBody.querySelector('[data-field="import"]')?.click();
+                return;
+            default:
+                return;
+        }
+        this.render();
+    },
+    
+    handleSubmit(e) {
+        const form = e.target.closest('[data-form]');
+        if (!form) return;
+        e.preventDefault();
+        
+        if (form.getAttribute('data-form') === 'pin') {
+            this.submitPin(form);
+        } else {
+            this.submitProfile(form);
+        }
+    },
+    
+    submitPin(form) {
+        const input = form.querySelector('[data-field="pin"]');
+        const profile = this.find(this.view.id);
+        if (!this.checkPin(profile, input.value)) {
+            input.value = '';
+            input.focus();
+            this.setError(t('learners.pinWrong'));
+            return;
+        }
+        
+        if (this.view.action === 'use') {
+            this.switchTo(profile.id);
+        } else if (this.view.action === 'edit') {
+            this.view = { type: 'form', id: profile.id };
+            this.render();
+        } else if (this.view.action === 'export') {
+            this.view = { type: 'list' };
+            this.render();
+            this.exportFile();
+        } else if (this.view.action === 'delete') {
+            this.remove(profile.id);
+            this.view = { type: 'list' };
+            this.status = t('learners.deleted', { name: this.displayName(profile) });
+            this.render();
+        } else {
+            this.applyImport();
+        }
+    },
+    
+    submitProfile(form) {
+        const name = form.querySelector('[data-field="name"]').value.trim();
+        const pin = form.querySelector('[data-field="pin"]').value;
+        const avatar = form.querySelector('input[name="learner-avatar"]:checked')?.value || DEFAULT_LEARNER_AVATAR;
+        
+        if (!name) {
+            this.setError(t('learners.nameRequired'));
+            form.querySelector('[data-field="name"]').focus();
+            return;
+        }
+        if (pin && !/^\d{4}$/.test(pin)) {
+            this.setError(t('learners.pinInvalid'));
+            form.querySelector('[data-field="pin"]').focus();
+            return;
+        }
+        
+        const profile = this.find(this.view.id);
+        if (!profile) {
+            // A new learner starts in the language the page is shown in
+            const created = this.create({ name, avatar, pin: pin ? hashLearnerPin(pin) : null });
+            LocalStore.set(I18n.storageKey, I18n.current, this.scopeOf(created.id));
+            this.switchTo(created.id);
+            return;
+        }
+        
+        profile.name = name;
+        profile.avatar = avatar;
+        if (form.querySelector('[data-field="remove-pin"]')?.checked) {
+            profile.pin = null;
+        } else if (pin) {
+            profile.pin = hashLearnerPin(pin);
+            this.unlock(profile.id);
+        }
+        this.save();
+        renderLearnerSwitcher();
+        
+        this.view = { type: 'list' };
+        this.status = t('learners.saved');
+        this.render();
+    },
+    
+    // Only the active profile is exported, after its PIN
+    exportFile() {
+        const profile = this.current();
+        const file = `eduverse-${toFileSlug(this.displayName(profile)) || 'profile'}.json`;
+        const data = {
+            format: LEARNER_FILE_FORMAT,
+            version: LEARNER_FILE_VERSION,
+            exportedAt: Date.now(),
+            profile,
+            data: Object.fromEntries(LocalStore.keys().map(key => [key, LocalStore.get(key)]))
+        };
+        
+        downloadFile(file, JSON.stringify(data, null, 4) + '\n', 'application/json');
+        this.setStatus(t('learners.exported', { file }));
+    },
+    
+    async importFile(file) {
+        if (!file) return;
+        
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.setStatus(t('learners.importFailed', { error: error.message }));
+            return;
+        }
+        
+        const profile = data?.format === LEARNER_FILE_FORMAT ? normalizeLearner(data.profile) : null;
+        if (!profile || !isPlainObject(data.data)) {
+            this.setStatus(t('learners.importUnknown'));
+            return;
+        }
+        if (data.version !== LEARNER_FILE_VERSION) {
+            this.setStatus(t('learners.importFailed', { error: `version ${data.version} is not supported` }));
+            return;
+        }
+        
+        this.pendingImport = { profile, data: data.data };
+        const existing = this.find(profile.id);
+        if (!existing) {
+            this.applyImport();
+            return;
+        }
+        
+        // The same learner brought their file back; replacing someone else's history needs their PIN
+        if (!confirm(t('learners.replaceConfirm', { name: this.displayName(existing) }))) {
+            this.pendingImport = null;
+            return;
+        }
+        if (existing.pin) {
+            this.view = { type: 'pin', id: existing.id, action: 'replace' };
+            this.render();
+            return;
+        }
+        this.applyImport();
+    },
+    
+    applyImport() {
+        const { profile, data } = this.pendingImport;
+        const scope = this.scopeOf(profile.id);
+        this.pendingImport = null;
+        
+        LocalStore.keys(scope).forEach(key => LocalStore.remove(key, scope));
+        Object.entries(data)
+            .filter(([key]) => /^[\w-]+$/.test(key) && !LocalStore.shared.includes(key))
+            .forEach(([key, value]) => LocalStore.set(key, value, scope));
+        
+        const existing = this.find(profile.id);
+        if (existing) Object.assign(existing, profile);
+        else this.data.profiles.push(profile);
+        this.save();
+        
+        if (profile.id === this.data.active) {
+            this.switchTo(profile.id);
+            return;
+        }
+        this.view = { type: 'list' };
+        this.status = t('learners.imported', { name: this.displayName(profile) });
+        this.render();
+    }
+};
+
+// Avatar and name of the active learner in the navbar button that opens the switcher
+function renderLearnerSwitcher() {
+    const button = document.querySelector('[data-learners].nav-learner');
+    if (!button) return;
+    
+    const profile = LearnerProfiles.current();
+    const label = t('learners.switch', { name: LearnerProfiles.displayName(profile) });
+    button.innerHTML = `
+        ${renderLearnerAvatar(profile?.avatar)}
+        <span class="nav-learner-name">${escapeHTML(LearnerProfiles.displayName(profile))}</span>
+    `;
+    button.setAttribute('aria-label', label);
+    button.setAttribute('title', label);
+}
+
+function initLearnerProfiles() {
+    const body = DOMCache.learnersBody;
+    if (!body) return;
+    body.addEventListener('click', (e) => LearnerProfiles.handleClick(e));
+    body.addEventListener('submit', (e) => LearnerProfiles.handleSubmit(e));
+    body.addEventListener('change', (e) => {
+        const input = e.target.closest('[data-field="import"]');
+        if (!input) return;
+        LearnerProfiles.importFile(input.files[0]);
+        input.value = '';
+    });
+    renderLearnerSwitcher();
+    
+    // The page stays hidden behind the switcher until the PIN is entered or another learner is chosen
+    if (LearnerProfiles.locked) {
+        document.body.classList.add('learner-locked');
+        LearnerProfiles.open();
+    }
+}
+
+// ===============================
+// SITE SEARCH
+// ===============================
+// Full-text search over lessons, vocabulary, passages and quiz questions in every
+// language. The index is built in the browser on first use; documents keep the
+// text of each language so results show the learner's language where they can.
+const SEARCH_KINDS = {
+    lesson: { icon: 'fa-book', label: 'search.kind.lesson' },
+    vocabulary: { icon: 'fa-language', label: 'search.kind.vocabulary' },
+    passage: { icon: 'fa-book-reader', label: 'search.kind.passage' },
+    question: { icon: 'fa-pencil-alt', label: 'search.kind.question' }
+};
+const SEARCH_MAX_RESULTS = 8;
+const SEARCH_TITLE_WEIGHT = 3;
+
+// Lowercase without accents, so "cafe" finds "café"
+function normalizeSearchText(text) {
+    return String(text ?? '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function tokenizeSearchText(text) {
+    return normalizeSearchText(text).match(/[a-z0-9]+/g) || [];
+}
+
+// Typos allowed for a word: none for short words, one from 4 letters, two from 8
+function allowedTypos(word) {
+    if (word.length >= 8) return 2;
+    return word.length >= 4 ? 1 : 0;
+}
+
+// Levenshtein distance, giving up as soon as it exceeds `limit`
+function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > limit) return limit + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Plain text of a lesson, cut into sections at its headings
+function splitLessonSections(html) {
+    const template = document.createElement('template');
+    template.innerHTML = sanitizeHTML(html);
+    const sections = [{ heading: null, text: '' }];
+    template.content.querySelectorAll('h3, h4, h5, p, li, td, th, blockquote, div[data-callout]').forEach(element => {
+        if (/^H[345]$/.test(element.tagName)) {
+            sections.push({ heading: element.textContent.trim(), text: '' });
+        } else if (!element.querySelector('p, li, h3, h4, h5')) {
+            sections[sections.length - 1].text += ` ${element.textContent.trim()}`;
+        }
+    });
+    return sections.filter(section => section.heading || section.text.trim());
+}
+
+// Every language of a content field, for indexing
+function localizeAll(value) {
+    return Object.fromEntries(I18n.languages.map(lang => [lang, I18n.localize(value, lang) ?? '']));
+}
+
+function getQuestionSearchText(question) {
+    return [
+        ...(question.options || []),
+        ...(question.answers || []),
+        ...(question.items || []),
+        ...(question.pairs || []).flatMap(pair => [pair.left, pair.right])
+    ].join(' ');
+}
+
+const SiteSearch = {
+    documents: [],
+    // token -> Map(document index -> weight)
+    index: new Map(),
+    built: false,
+    results: [],
+    active: -1,
+    input: null,
+    list: null,
+    
+    init() {
+        this.input = document.getElementById('site-search');
+        this.list = document.getElementById('site-search-results');
+        if (!this.input || !this.list) return;
+        
+        this.input.addEventListener('input', debounce(() => this.search(this.input.value), 150));
+        this.input.addEventListener('keydown', e => this.handleKey(e));
+        this.input.addEventListener('focus', () => {
+            if (this.input.value.trim()) this.search(this.input.value);
+        });
+        this.input.closest('form')?.addEventListener('submit', e => {
+            e.preventDefault();
+            this.select(Math.max(this.active, 0));
+        });
+        // Mouse down keeps focus in the box, so the list is not closed before the click lands
+        this.list.addEventListener('mousedown', e => e.preventDefault());
+        this.list.addEventListener('click', e => {
+            const option = e.target.closest('[data-result]');
+            if (option) this.select(parseInt(option.getAttribute('data-result'), 10));
+        });
+        this.input.addEventListener('blur', () => this.close());
+    },
+    
+    add(entry, fields) {
+        const position = this.documents.push(entry) - 1;
+        fields.forEach(({ text, weight }) => {
+            tokenizeSearchText(text).forEach(token => {
+                if (token.length < 2) return;
+                const postings = this.index.get(token) || new Map();
+                postings.set(position, Math.max(postings.get(position) || 0, weight));
+                this.index.set(token, postings);
+            });
+        });
+    },
+    
+    build() {
+        this.documents = [];
+        this.index = new Map();
+        
+        Object.entries(materiContent).forEach(([lessonId, lesson]) => {
+            if (TopicRegistry.getStatus(lessonId) === 'draft') return;
+            const perLanguage = localizeAll(lesson.content);
+            const sections = Object.fromEntries(I18n.languages.map(lang => [lang, splitLessonSections(perLanguage[lang])]));
+            const count = Math.max(...I18n.languages.map(lang => sections[lang].length));
+            for (let i = 0; i < count; i++) {
+                const section = Object.fromEntries(I18n.languages.map(lang => [lang, sections[lang][i] || sections[I18n.fallback][i] || {}]));
+                const headings = Object.fromEntries(I18n.languages.map(lang => [lang, section[lang].heading || '']));
+                const texts = Object.fromEntries(I18n.languages.map(lang => [lang, section[lang].text || '']));
+                this.add({ kind: 'lesson', lessonId, context: lesson.title, title: headings, text: texts }, [
+                    ...Object.values(headings).map(text => ({ text, weight: SEARCH_TITLE_WEIGHT })),
+                    ...Object.values(localizeAll(lesson.title)).map(text => ({ text, weight: 1 })),
+                    ...Object.values(texts).map(text => ({ text, weight: 1 }))
+                ]);
+            }
+            // The tense reference is rendered from tenses.json, so its cards are not in the lesson HTML
+            if (Object.values(perLanguage).some(html => html.includes('data-tense-reference'))) {
+                Object.entries(tenseContent.tenses).forEach(([tenseId, tense]) => {
+                    const usage = localizeAll(tense.usage);
+                    this.add({ kind: 'lesson', lessonId, tenseId, context: lesson.title, title: tense.name, text: usage }, [
+                        { text: tense.name, weight: SEARCH_TITLE_WEIGHT },
+                        ...Object.values(usage).map(text => ({ text, weight: 1 })),
+                        { text: Object.values(tense.formula).join(' '), weight: 1 },
+                        { text: tense.signalWords.join(' '), weight: 1 }
+                    ]);
+                });
+            }
+        });
+        
+        Object.entries(vocabularyDecks).forEach(([deckId, deck]) => {
+            deck.cards.forEach(card => {
+                const meaning = localizeAll(card.meaning);
+                this.add({ kind: 'vocabulary', deckId, cardId: card.id, context: deck.title, title: card.word, text: card.example, meaning }, [
+                    { text: card.word, weight: SEARCH_TITLE_WEIGHT },
+                    ...Object.values(meaning).map(text => ({ text, weight: 2 })),
+                    { text: card.example, weight: 1 }
+                ]);
+            });
+        });
+        
+        Object.entries(passageContent).forEach(([passageId, passage]) => {
+            const text = passage.paragraphs.join(' ');
+            this.add({ kind: 'passage', passageId, context: passage.level || '', title: passage.title, text }, [
+                ...Object.values(localizeAll(passage.title)).map(title => ({ text: title, weight: SEARCH_TITLE_WEIGHT })),
+                { text, weight: 1 }
+            ]);
+        });
+        
+        Object.entries(quizData).forEach(([category, quiz]) => {
+            quiz.questions.forEach((question, index) => {
+                const explanation = localizeAll(question.explanation);
+                this.add({ kind: 'question', category, index, context: quiz.title, title: question.question, text: explanation }, [
+                    { text: question.question, weight: 2 },
+                    { text: getQuestionSearchText(question), weight: 1 },
+                    ...Object.values(explanation).map(text => ({ text, weight: 1 }))
+                ]);
+            });
+        });
+        this.built = true;
+    },
+    
+    // Index words that stand for one query word: exact, as a prefix, or within the typo limit
+    expand(word) {
+        const matches = new Map();
+        const typos = allowedTypos(word);
+        this.index.forEach((postings, token) => {
+            let score = 0;
+            if (token === word) score = 3;
+            else if (word.length >= 3 && token.startsWith(word)) score = 2;
+            else if (typos > 0 && token[0] === word[0] && editDistance(word, token, typos) <= typos) score = 1;
+            if (score > 0) matches.set(token, score);
+        });
+        return matches;
+    },
+    
+    // Every query word has to match; documents score by match quality times field weight
+    query(text) {
+        if (!this.built) this.build();
+        const words = [...new Set(tokenizeSearchText(text).filter(word => word.length >= 2))];
+        if (words.length === 0) return { results: [], tokens: new Set() };
+        
+        const tokens = new Set();
+        let scores = null;
+        for (const word of words) {
+            const wordScores = new Map();
+            this.expand(word).forEach((score, token) => {
+                tokens.add(token);
+                this.index.get(token).forEach((weight, position) => {
+                    wordScores.set(position, Math.max(wordScores.get(position) || 0, score * weight));
+                });
+            });
+            if (scores === null) {
+                scores = wordScores;
+            } else {
+                scores = new Map([...scores].filter(([position]) => wordScores.has(position))
+                    .map(([position, score]) => [position, score + wordScores.get(position)]));
+            }
+            if (scores.size === 0) break;
+        }
+        
+        const results = [...scores]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, SEARCH_MAX_RESULTS)
+            .map(([position]) => this.documents[position]);
+        return { results, tokens };
+    },
+    
+    search(text) {
+        if (ContentLoader.status !== 'ready') return;
+        const { results, tokens } = this.query(text);
+        this.results = results;
+        this.active = -1;
+        
+        if (!text.trim()) {
+            this.close();
+            return;
+        }
+        this.list.innerHTML = results.length > 0
+            ? results.map((result, index) => this.renderResult(result, index, tokens)).join('')
+            : `<li class="search-empty">${t('search.noResults', { query: escapeHTML(text.trim()) })}</li>`;
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+        announce(t('search.count', { count: results.length }));
+    },
+    
+    // The learner's language, unless only another language contains the match
+    pickLanguage(result, tokens) {
+        const hasMatch = lang => tokenizeSearchText(`${I18n.localize(result.title, lang)} ${I18n.localize(result.text, lang)} ${I18n.localize(result.meaning, lang) ?? ''}`)
+            .some(token => tokens.has(token));
+        return [I18n.current, ...I18n.languages].find(hasMatch) || I18n.current;
+    },
+    
+    renderResult(result, index, tokens) {
+        const kind = SEARCH_KINDS[result.kind];
+        const lang = this.pickLanguage(result, tokens);
+        const title = I18n.localize(result.title, lang) || localize(result.context);
+        const text = result.kind === 'vocabulary'
+            ? `${localize(result.meaning)} — ${result.text}`
+            : I18n.localize(result.text, lang);
+        return `
+            <li class="search-result" role="option" id="search-result-${index}" data-result="${index}" aria-selected="false">
+                <i class="fas ${kind.icon}" aria-hidden="true"></i>
+                <span class="search-result-body">
+                    <span class="search-result-title">${highlightSearchText(title, tokens)}</span>
+                    <span class="search-result-context">${t(kind.label)}${result.context && title !== localize(result.context) ? ` · ${escapeHTML(localize(result.context))}` : ''}</span>
+                    ${text ? `<span class="search-result-snippet">${highlightSearchText(makeSnippet(text, tokens), tokens)}</span>` : ''}
+                </span>
+            </li>
+        `;
+    },
+    
+    handleKey(e) {
+        if (this.list.hidden || this.results.length === 0) {
+            if (e.key === 'Escape') this.input.blur();
+            return;
+        }
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.setActive((this.active + step + this.results.length) % this.results.length);
+                break;
+            }
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+        }
+    },
+    
+    setActive(index) {
+        this.active = index;
+        this.list.querySelectorAll('[data-result]').forEach(option => {
+            const selected = parseInt(option.getAttribute('data-result'), 10) === index;
+            option.setAttribute('aria-selected', String(selected));
+            option.classList.toggle('active', selected);
+            if (selected) option.scrollIntoView({ block: 'nearest' });
+        });
+        this.input.setAttribute('aria-activedescendant', `search-result-${index}`);
+    },
+    
+    close() {
+        if (!this.list) return;
+        this.list.hidden = true;
+        this.active = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    },
+    
+    select(index) {
+        const result = this.results[index];
+        if (!result) return;
+        this.close();
+        this.input.blur();
+        // Close the mobile menu so the opened content is visible
+        DOMCache.hamburger?.classList.remove('active');
+        DOMCache.navMenu?.classList.remove('active');
+        openSearchResult(result);
+    },
+    
+    focus() {
+        this.input?.focus();
+        this.input?.select();
+    }
+};
+
+// A window of text around the first matching word
+function makeSnippet(text, tokens, before = 40, after = 110) {
+    const words = [...String(text).matchAll(/[\p{L}\p{N}]+/gu)];
+    const hit = words.find(match => tokens.has(normalizeSearchText(match[0])));
+    const start = hit ? Math.max(0, hit.index - before) : 0;
+    const end = Math.min(text.length, start + before + after);
+    // Cut at spaces so no word is shown in half
+    const from = start > 0 ? text.indexOf(' ', start) + 1 : 0;
+    const to = end < text.length ? text.lastIndexOf(' ', end) : text.length;
+    return `${from > 0 ? '…' : ''}${text.slice(from, to > from ? to : end).trim()}${to < text.length ? '…' : ''}`;
+}
+
+function highlightSearchText(text, tokens) {
+    let html = '';
+    let last = 0;
+    for (const match of String(text).matchAll(/[\p{L}\p{N}]+/gu)) {
+        html += escapeHTML(text.slice(last, match.index));
+        html += tokens.has(normalizeSearchText(match[0])) ? `<mark>${escapeHTML(match[0])}</mark>` : escapeHTML(match[0]);
+        last = match.index + match[0].length;
+    }
+    return html + escapeHTML(String(text).slice(last));
+}
+
+// Lessons open on their Materi tab, scrolled to the matching heading or card
+function openSearchResult(result) {
+    switch (result.kind) {
+        case 'lesson':
+            openLessonAt(result.lessonId, element => result.tenseId
+                ? [...element.querySelectorAll('.tense-card')].find(card => card.id === `tense-${result.tenseId}`)
+                : [...element.querySelectorAll('h3, h4, h5')].find(heading => heading.textContent.trim() === localize(result.title)));
+            break;
+        case 'vocabulary': {
+            const lessonId = Object.keys(materiContent).find(id => Object.values(localizeAll(materiContent[id].content))
+                .some(html => html.includes(`data-vocab-deck="${result.deckId}"`)));
+            if (lessonId) {
+                openLessonAt(lessonId, element => [...element.querySelectorAll('[data-card]')]
+                    .find(card => card.getAttribute('data-card') === result.cardId));
+            } else {
+                openFlashcards(result.deckId);
+            }
+            break;
+        }
+        case 'passage':
+            startQuiz(`${PASSAGE_CATEGORY}.${result.passageId}`);
+            break;
+        case 'question': {
+            startQuiz(result.category);
+            const position = QuizState.currentQuiz?.questions.findIndex(question => question.sourceIndex === result.index);
+            if (position > 0) {
+                QuizState.goTo(position);
+                showQuestion();
+            }
+            break;
+        }
+    }
+}
+
+function openLessonAt(lessonId, findTarget) {
+    const topic = TopicRegistry.get(lessonId);
+    const button = topic && [...(DOMCache.tabButtons || [])].find(btn => btn.getAttribute('data-tab') === topic.tab);
+    if (button) switchTab(topic.tab, button);
+    
+    openMateriModal(lessonId);
+    const target = findTarget(DOMCache.materiModalBody);
+    if (!target) return;
+    target.scrollIntoView({ block: 'start' });
+    target.classList.add('search-target');
+    setTimeout(() => target.classList.remove('search-target'), 2000);
+}
+
+// ===============================
+// LATIHAN CATEGORIES
+// ===============================
+// One card per quiz in quizData, so new categories show up without touching the HTML
+function formatExamLimit(exam) {
+    return exam.timeLimit
+        ? t('exam.minutes', { count: Math.ceil(exam.timeLimit / 60) })
+        : t('exam.secondsPerQuestion', { count: exam.questionTimeLimit });
+}
+
+function renderMistakesCard() {
+    const mistakes = MistakeStore.getActive();
+    if (mistakes.length === 0) return '';
+    
+    const categories = new Set(mistakes.map(entry => entry.category));
+    return `
+        <div class="category-card mistakes-card" data-quiz="${MISTAKES_CATEGORY}">
+            <div class="category-icon">
+                <i class="fas fa-redo-alt"></i>
+            </div>
+            <h3>${t('mistakes.title')}</h3>
+            <p>${t('mistakes.description')}</p>
+            <div class="category-meta">
+                <span><i class="fas fa-list-ol"></i> ${t('latihan.questions', { count: mistakes.length })}</span>
+                <span><i class="fas fa-layer-group"></i> ${t('mistakes.categories', { count: categories.size })}</span>
+                <span><i class="fas fa-check-double"></i> ${t('mistakes.retireAfter', { count: MISTAKE_RETIRE_AFTER })}</span>
+            </div>
+        </div>
+    `;
+}
+
+// Cards for quizzes that are built in the browser; `title` and `description` are already escaped
+function renderDrillCard(category, quiz, { icon, title, description }) {
+    const best = ProgressStore.getBestScore(category);
+    return `
+        <div class="category-card" data-quiz="${escapeHTML(category)}">
+            <div class="category-icon">
+                <i class="fas ${escapeHTML(icon)}"></i>
+            </div>
+            <h3>${title}</h3>
+            ${description ? `<p>${description}</p>` : ''}
+            <div class="category-meta">
+                <span><i class="fas fa-list-ol"></i> ${t('latihan.questions', { count: getQuizLength(quiz) })}</span>
+                <span><i class="fas fa-clock"></i> ${t('latihan.estimate', { count: estimateQuizMinutes(quiz) })}</span>
+                <span class="${best === null ? '' : 'category-best'}">
+                    <i class="fas fa-trophy"></i> ${best === null ? t('progress.notTried') : t('progress.best', { score: best })}
+                </span>
+            </div>
+        </div>
+    `;
+}
+
+function renderTenseDrillCard() {
+    const drill = buildTenseDrill(TENSE_DRILL_CATEGORY);
+    if (!drill) return '';
+    
+    return renderDrillCard(TENSE_DRILL_CATEGORY, drill, {
+        icon: 'fa-sync-alt',
+        title: t('tenses.drill.title'),
+        description: t('tenses.drill.description')
+    });
+}
+
+function renderGeneratedDrillCards() {
+    return Object.keys(drillContent.drills).map(category => {
+        const drill = buildGeneratedDrill(category);
+        if (!drill) return '';
+        
+        return renderDrillCard(category, drill, {
+            icon: drill.icon || 'fa-magic',
+            title: escapeHTML(localize(drill.title)),
+            description: drill.description ? escapeHTML(localize(drill.description)) : ''
+        });
+    }).join('');
+}
+
+function renderQuizCategories() {
+    const container = document.querySelector('.latihan-categories');
+    if (!container || ContentLoader.status !== 'ready') return;
+    
+    const quizzes = Object.entries(quizData);
+    if (quizzes.length === 0) {
+        container.innerHTML = renderContentError(t('error.quizzesUnavailable'));
+        return;
+    }
+    
+    container.innerHTML = quizzes.map(([category, quiz]) => {
+        const best = ProgressStore.getBestScore(category);
+        return `
+            <div class="category-card" data-quiz="${escapeHTML(category)}">
+                <div class="category-icon">
+                    <i class="fas ${escapeHTML(quiz.icon || 'fa-pencil-alt')}"></i>
+                </div>
+                <h3>${escapeHTML(localize(quiz.title))}</h3>
+                ${quiz.description ? `<p>${escapeHTML(localize(quiz.description))}</p>` : ''}
+                <div class="category-meta">
+                    <span><i class="fas fa-list-ol"></i> ${t('latihan.questions', { count: getQuizLength(quiz) })}</span>
+                    <span><i class="fas fa-clock"></i> ${t('latihan.estimate', { count: estimateQuizMinutes(quiz) })}</span>
+                    <span class="${best === null ? '' : 'category-best'}">
+                        <i class="fas fa-trophy"></i> ${best === null ? t('progress.notTried') : t('progress.best', { score: best })}
+                    </span>
+                </div>
+                ${quiz.difficulty?.length ? `
+                    <div class="difficulty">
+                        ${quiz.difficulty.map(level => `
+                            <span class="difficulty-badge ${level}">${t(DIFFICULTY_LABELS[level])}</span>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                ${quiz.exam ? `
+                    <button class="btn-exam" data-exam="${escapeHTML(category)}">
+                        <i class="fas fa-stopwatch"></i> ${t('exam.start')} · ${formatExamLimit(quiz.exam)}
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }).join('') + renderPlacementCard() + renderMistakesCard() + renderTenseDrillCard() + renderGeneratedDrillCards() + Object.entries(vocabularyDecks).map(([deckId, deck]) => {
+        const summary = FlashcardStore.getDeckSummary(deckId);
+        return `
+            <div class="category-card" data-flashcards="${escapeHTML(deckId)}">
+                <div class="category-icon">
+                    <i class="fas fa-clone"></i>
+                </div>
+                <h3>${t('flashcards.deckTitle', { title: escapeHTML(localize(deck.title)) })}</h3>
+                ${deck.description ? `<p>${escapeHTML(localize(deck.description))}</p>` : ''}
+                <div class="category-meta">
+                    <span><i class="fas fa-layer-group"></i> ${t('flashcards.learned', { learned: summary.learned, total: summary.total })}</span>
+                    <span class="${summary.due > 0 ? 'category-best' : ''}">
+                        <i class="fas fa-calendar-check"></i> ${summary.due > 0 ? t('flashcards.dueToday', { count: summary.due }) : t('flashcards.doneToday')}
+                    </span>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    AnimationController.observeElements(container);
+}
+
+function initQuizCategories() {
+    const container = document.querySelector('.latihan-categories');
+    if (!container) return;
+    
+    container.addEventListener('click', (e) => {
+        const examButton = e.target.closest('[data-exam]');
+        if (examButton) {
+            startQuiz(examButton.getAttribute('data-exam'), 'exam');
+            return;
+        }
+        
+        const card = e.target.closest('[data-quiz]');
+        if (card) {
+            startQuiz(card.getAttribute('data-quiz'));
+        }
+    });
+}
+
+// ===============================
+// AUTHORING
+// ===============================
+// Teachers edit a draft copy of lessons.json and quizzes.json in the browser, check it
+// with the same validators the loader uses, preview entries with the real lesson and
+// quiz renderers, and export files for the content/ folder.
+const PREVIEW_CATEGORY = 'authoring-preview';
+
+// Lesson ids and quiz keys end up in links (#/materi/<id>), so keep them simple
+const CONTENT_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Fields each question type uses; switching type drops the ones the new type has no use for
+const QUESTION_TYPE_FIELDS = {
+    single: ['options', 'correct'],
+    multiple: ['options', 'correct'],
+    truefalse: ['correct'],
+    fill: ['answers', 'caseSensitive'],
+    order: ['items'],
+    match: ['pairs']
+};
+
+// Editing text for a translatable field in one language (lesson bodies may be arrays of lines)
+function readLocalizedText(value, lang) {
+    const text = isPlainObject(value) ? value[lang] : (lang === I18n.fallback ? value : '');
+    return Array.isArray(text) ? text.join('\n') : (text || '');
+}
+
+// A field with Indonesian text only stays a plain string; English makes it { id, en }
+function writeLocalizedText(value, lang, text, toValue = text => text) {
+    const texts = isPlainObject(value) ? { ...value } : { [I18n.fallback]: readLocalizedText(value, I18n.fallback) };
+    texts[lang] = text;
+    
+    const filled = Object.entries(texts)
+        .map(([key, entry]) => [key, Array.isArray(entry) ? entry.join('\n') : entry])
+        .filter(([, entry]) => isNonEmptyString(entry));
+    if (filled.length === 0) return '';
+    if (filled.length === 1 && filled[0][0] === I18n.fallback) return toValue(filled[0][1]);
+    return Object.fromEntries(filled.map(([key, entry]) => [key, toValue(entry)]));
+}
+
+// Multi-line bodies are stored as arrays of lines, like the hand-written files
+function toLessonBody(text) {
+    return text.includes('\n') ? text.split('\n') : text;
+}
+
+function splitLines(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// Move an object key to another position; lessons and quizzes keep their file order
+function moveObjectKey(object, key, offset) {
+    const keys = Object.keys(object);
+    const from = keys.indexOf(key);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= keys.length) return object;
+    
+    keys.splice(to, 0, keys.splice(from, 1)[0]);
+    return Object.fromEntries(keys.map(name => [name, object[name]]));
+}
+
+function renameObjectKey(object, from, to) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key === from ? to : key, value]));
+}
+
+function uniqueContentId(object, prefix) {
+    let number = Object.keys(object).length + 1;
+    while (object[`${prefix}-${number}`]) number++;
+    return `${prefix}-${number}`;
+}
+
+const Authoring = {
+    storageKey: 'authoring-draft',
+    draft: null,
+    view: 'quizzes',
+    quiz: null,
+    question: 0,
+    lesson: null,
+    previewQuiz: null,
+    status: '',
+    
+    open() {
+        if (ContentLoader.status !== 'ready') {
+            ContentLoader.load().then(() => this.open());
+            return;
+        }
+        if (!DOMCache.authoringModal || !DOMCache.authoringBody) return;
+        
+        if (!this.draft) this.draft = this.loadDraft();
+        this.render();
+        
+        requestAnimationFrame(() => {
+            DOMCache.authoringModal.style.display = 'block';
+            document.body.style.overflow = 'hidden';
+            Dialog.open(DOMCache.authoringModal, '.authoring-view-btn[aria-pressed="true"]');
+        });
+    },
+    
+    close() {
+        if (!DOMCache.authoringModal) return;
+        
+        requestAnimationFrame(() => {
+            DOMCache.authoringModal.style.display = 'none';
+            releaseBodyScroll();
+            Dialog.close(DOMCache.authoringModal);
+        });
+    },
+    
+    // Unsaved work survives a reload; without a draft, start from the files the site loaded
+    loadDraft() {
+        const saved = LocalStore.get(this.storageKey);
+        if (isPlainObject(saved) && isPlainObject(saved.lessons) && isPlainObject(saved.quizzes)) return saved;
+        return this.siteContent();
+    },
+    
+    siteContent() {
+        const lessons = ContentLoader.raw[ContentLoader.sources.lessons]?.lessons;
+        const quizzes = ContentLoader.raw[ContentLoader.sources.quizzes]?.quizzes;
+        return JSON.parse(JSON.stringify({
+            lessons: isPlainObject(lessons) ? lessons : {},
+            quizzes: isPlainObject(quizzes) ? quizzes : {}
+        }));
+    },
+    
+    save() {
+        LocalStore.set(this.storageKey, this.draft);
+    },
+    
+    questionIssues(question) {
+        const issues = validateQuestion(question);
+        if (isPlainObject(question) && isNonEmptyString(question.lesson) && !this.draft.lessons[question.lesson]) {
+            issues.push(`.lesson "${question.lesson}" does not exist`);
+        }
+        return issues;
+    },
+    
+    // Quiz-level problems only; questions report their own
+    quizIssues(category) {
+        const quiz = this.draft.quizzes[category];
+        const prefix = `quizzes["${category}"]`;
+        const { errors } = validateQuizFile({ version: CONTENT_VERSION, quizzes: { [category]: quiz } });
+        const issues = errors
+            .filter(message => !message.startsWith(`${prefix}.questions[`))
+            .map(message => message.slice(prefix.length));
+        if (isPlainObject(quiz) && isNonEmptyString(quiz.lesson) && !this.draft.lessons[quiz.lesson]) {
+            issues.push(`.lesson "${quiz.lesson}" does not exist`);
+        }
+        if (isPlainObject(quiz) && Array.isArray(quiz.passages)) {
+            quiz.passages.filter(id => !getPassage(id)).forEach(id => issues.push(`.passages: "${id}" is not in passages.json`));
+        }
+        return issues;
+    },
+    
+    lessonIssues(id) {
+        const lesson = this.draft.lessons[id];
+        const issues = validateLesson(lesson);
+        return issues.length > 0 ? issues : validateLessonMarkup(lesson.body);
+    },
+    
+    countIssues(view = this.view) {
+        if (view === 'lessons') {
+            return Object.keys(this.draft.lessons).reduce((total, id) => total + this.lessonIssues(id).length, 0);
+        }
+        return Object.entries(this.draft.quizzes).reduce((total, [category, quiz]) => {
+            const questions = Array.isArray(quiz?.questions) ? quiz.questions : [];
+            return total + this.quizIssues(category).length +
+                questions.reduce((sum, question) => sum + this.questionIssues(question).length, 0);
+        }, 0);
+    },
+    
+    render() {
+        // Keep the selection pointing at something that exists
+        const categories = Object.keys(this.draft.quizzes);
+        if (!categories.includes(this.quiz)) this.quiz = categories[0] || null;
+        const questions = this.draft.quizzes[this.quiz]?.questions || [];
+        this.question = Math.min(Math.max(this.question, 0), Math.max(questions.length - 1, 0));
+        const lessonIds = Object.keys(this.draft.lessons);
+        if (!lessonIds.includes(this.lesson)) this.lesson = lessonIds[0] || null;
+        
+        const file = this.view === 'lessons' ? 'lessons.json' : 'quizzes.json';
+        DOMCache.authoringBody.innerHTML = `
+            <div class="authoring">
+                <div class="authoring-header">
+                    <h2>${t('authoring.title')}</h2>
+                    <p>${t('authoring.intro')}</p>
+                    <div class="authoring-toolbar">
+                        <div class="authoring-views">
+                            ${['quizzes', 'lessons'].map(view => `
+                                <button type="button" class="authoring-view-btn" data-action="view" data-view="${view}" aria-pressed="${this.view === view}">
+                                    ${t(`authoring.${view}`)}
+                                </button>
+                            `).join('')}
+                        </div>
+                        <span class="authoring-count"></span>
+                        <button type="button" class="authoring-btn" data-action="import">
+                            <i class="fas fa-file-import"></i> ${t('authoring.import')}
+                        </button>
+                        <input type="file" accept=".json,application/json" data-field="import" hidden>
+                        <button type="button" class="authoring-btn" data-action="export">
+                            <i class="fas fa-file-export"></i> ${t('authoring.export', { file })}
+                        </button>
+                        <button type="button" class="authoring-btn authoring-btn-danger" data-action="reset">
+                            <i class="fas fa-undo"></i> ${t('authoring.reset')}
+                        </button>
+                    </div>
+                    <p class="authoring-status" role="status">${escapeHTML(this.status)}</p>
+                </div>
+                <div class="authoring-layout">
+                    <div class="authoring-sidebar"></div>
+                    <div class="authoring-editor"></div>
+                </div>
+            </div>
+        `;
+        Dialog.label(DOMCache.authoringModal);
+        this.renderEditor();
+    },
+    
+    renderSidebar() {
+        const sidebar = DOMCache.authoringBody.querySelector('.authoring-sidebar');
+        if (!sidebar) return;
+        sidebar.innerHTML = this.view === 'lessons' ? this.renderLessonList() : this.renderQuizList();
+        
+        const count = this.countIssues();
+        DOMCache.authoringBody.querySelector('.authoring-count').innerHTML = count
+            ? `<i class="fas fa-exclamation-triangle"></i> ${t('authoring.problems', { count })}`
+            : `<i class="fas fa-check"></i> ${t('authoring.noProblems')}`;
+    },
+    
+    renderListItem({ action, value, number, label, selected, issues, first, last }) {
+        return `
+            <li class="authoring-item${selected ? ' selected' : ''}">
+                <button type="button" class="authoring-item-select" data-action="select-${action}" data-value="${escapeHTML(value)}" ${selected ? 'aria-current="true"' : ''}>
+                    <span class="authoring-item-number">${number}</span>
+                    <span class="authoring-item-label">${escapeHTML(label) || t('authoring.untitled')}</span>
+                    ${issues ? `<span class="authoring-item-issues" title="${t('authoring.problems', { count: issues })}"><i class="fas fa-exclamation-triangle"></i> ${issues}</span>` : ''}
+                </button>
+                <button type="button" class="authoring-move" data-action="move-${action}" data-value="${escapeHTML(value)}" data-move="-1" aria-label="${t('quiz.moveUp')}" ${first ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-up"></i>
+                </button>
+                <button type="button" class="authoring-move" data-action="move-${action}" data-value="${escapeHTML(value)}" data-move="1" aria-label="${t('quiz.moveDown')}" ${last ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-down"></i>
+                </button>
+            </li>
+        `;
+    },
+    
+    renderQuizList() {
+        const categories = Object.keys(this.draft.quizzes);
+        const quiz = this.draft.quizzes[this.quiz];
+        const questions = Array.isArray(quiz?.questions) ? quiz.questions : [];
+        
+        return `
+            <label class="authoring-field">
+                <span>${t('authoring.quizSelect')}</span>
+                <select data-field="quiz-select">
+                    ${categories.map(category => `
+                        <option value="${escapeHTML(category)}" ${category === this.quiz ? 'selected' : ''}>
+                            ${escapeHTML(localize(this.draft.quizzes[category]?.title) || category)}
+                        </option>
+                    `).join('')}
+                </select>
+            </label>
+            <button type="button" class="authoring-btn" data-action="add-quiz">
+                <i class="fas fa-plus"></i> ${t('authoring.addQuiz')}
+            </button>
+            ${quiz ? `
+                <h3>${t('authoring.questions')}</h3>
+                ${this.renderPassageNote(quiz)}
+                <ol class="authoring-list">
+                    ${questions.map((question, index) => this.renderListItem({
+                        action: 'question',
+                        value: index,
+                        number: index + 1,
+                        label: String(question?.question ?? '').slice(0, 60),
+                        selected: index === this.question,
+                        issues: this.questionIssues(question).length,
+                        first: index === 0,
+                        last: index === questions.length - 1
+                    })).join('')}
+                </ol>
+                <button type="button" class="authoring-btn" data-action="add-question">
+                    <i class="fas fa-plus"></i> ${t('authoring.addQuestion')}
+                </button>
+            ` : ''}
+        `;
+    },
+    
+    renderLessonList() {
+        const ids = Object.keys(this.draft.lessons);
+        return `
+            <ol class="authoring-list">
+                ${ids.map((id, index) => this.renderListItem({
+                    action: 'lesson',
+                    value: id,
+                    number: index + 1,
+                    label: localize(this.draft.lessons[id]?.title) || id,
+                    selected: id === this.lesson,
+                    issues: this.lessonIssues(id).length,
+                    first: index === 0,
+                    last: index === ids.length - 1
+                })).join('')}
+            </ol>
+            <button type="button" class="authoring-btn" data-action="add-lesson">
+                <i class="fas fa-plus"></i> ${t('authoring.addLesson')}
+            </button>
+        `;
+    },
+    
+    renderEditor() {
+        const editor = DOMCache.authoringBody.querySelector('.authoring-editor');
+        if (!editor) return;
+        
+        if (this.view === 'lessons') {
+            editor.innerHTML = this.lesson ? this.renderLessonEditor(this.lesson) : `<p class="authoring-empty">${t('authoring.empty')}</p>`;
+        } else {
+            editor.innerHTML = this.quiz ? this.renderQuizEditor(this.quiz) : `<p class="authoring-empty">${t('authoring.empty')}</p>`;
+        }
+        this.refreshIssues();
+    },
+    
+    renderIssues(issues) {
+        if (issues.length === 0) return '';
+        return `
+            <ul class="authoring-issues">
+                ${issues.map(issue => `<li><i class="fas fa-exclamation-triangle"></i> ${escapeHTML(issue.replace(/^\./, ''))}</li>`).join('')}
+            </ul>
+        `;
+    },
+    
+    renderTextField(label, field, value, { multiline = false, rows = 2, lang = null } = {}) {
+        const attributes = `data-field="${field}"${lang ? ` data-lang="${lang}"` : ''}`;
+        return `
+            <label class="authoring-field">
+                <span>${label}${lang ? ` (${lang.toUpperCase()})` : ''}</span>
+                ${multiline
+                    ? `<textarea rows="${rows}" ${attributes}>${escapeHTML(value)}</textarea>`
+                    : `<input type="text" value="${escapeHTML(value)}" ${attributes}>`}
+            </label>
+        `;
+    },
+    
+    renderLocalizedFields(label, field, value, options = {}) {
+        return I18n.languages.map(lang => this.renderTextField(label, field, readLocalizedText(value, lang), { ...options, lang })).join('');
+    },
+    
+    renderLessonSelect(field, value) {
+        return `
+            <label class="authoring-field">
+                <span>${t('authoring.lessonLink')}</span>
+                <select data-field="${field}">
+                    <option value="">${t('authoring.none')}</option>
+                    ${Object.keys(this.draft.lessons).map(id => `
+                        <option value="${escapeHTML(id)}" ${id === value ? 'selected' : ''}>${escapeHTML(id)}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `;
+    },
+    
+    renderQuizEditor(category) {
+        const quiz = this.draft.quizzes[category];
+        const question = Array.isArray(quiz.questions) ? quiz.questions[this.question] : null;
+        
+        return `
+            <details class="authoring-section" ${question ? '' : 'open'}>
+                <summary>${t('authoring.quizSettings')}</summary>
+                <div data-issues="quiz"></div>
+                ${this.renderTextField(t('authoring.quizKey'), 'quiz-key', category)}
+                ${this.renderLocalizedFields(t('authoring.titleField'), 'quiz-title', quiz.title)}
+                ${this.renderLocalizedFields(t('authoring.descriptionField'), 'quiz-description', quiz.description, { multiline: true })}
+                ${this.renderTextField(t('authoring.icon'), 'quiz-icon', quiz.icon || '')}
+                ${this.renderLessonSelect('quiz-lesson', quiz.lesson)}
+                <button type="button" class="authoring-btn authoring-btn-danger" data-action="delete-quiz">
+                    <i class="fas fa-trash"></i> ${t('authoring.deleteQuiz')}
+                </button>
+            </details>
+            ${question ? this.renderQuestionEditor(question) : this.renderPassageNote(quiz) || `<p class="authoring-empty">${t('authoring.empty')}</p>`}
+        `;
+    },
+    
+    renderQuestionEditor(question) {
+        const type = question.type || 'single';
+        return `
+            <div class="authoring-section">
+                <h3>${t('authoring.questionNumber', { number: this.question + 1 })}</h3>
+                <div data-issues="question"></div>
+                <label class="authoring-field">
+                    <span>${t('authoring.type')}</span>
+                    <select data-field="type">
+                        ${Object.keys(QuestionTypes).map(name => `
+                            <option value="${name}" ${name === type ? 'selected' : ''}>${t(`authoring.type.${name}`)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                ${this.renderTextField(t('authoring.questionText'), 'question', question.question || '', { multiline: true })}
+                ${this.renderAnswerFields(question, type)}
+                ${this.renderLocalizedFields(t('authoring.explanation'), 'explanation', question.explanation, { multiline: true })}
+                <label class="authoring-field">
+                    <span>${t('authoring.difficulty')}</span>
+                    <select data-field="difficulty">
+                        <option value="">${t('authoring.none')}</option>
+                        ${Object.entries(DIFFICULTY_LABELS).map(([level, key]) => `
+                            <option value="${level}" ${level === question.difficulty ? 'selected' : ''}>${t(key)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                ${this.renderTextField(t('authoring.tags'), 'tags', Array.isArray(question.tags) ? question.tags.join(', ') : '')}
+                ${this.renderLessonSelect('lesson', question.lesson)}
+                <div class="authoring-actions">
+                    <button type="button" class="quiz-btn" data-action="preview-question">
+                        <i class="fas fa-eye"></i> ${t('authoring.preview')}
+                    </button>
+                    <button type="button" class="authoring-btn authoring-btn-danger" data-action="delete-question">
+                        <i class="fas fa-trash"></i> ${t('authoring.deleteQuestion')}
+                    </button>
+                </div>
+            </div>
+        `;
+    },
+    
+    renderAnswerFields(question, type) {
+        switch (type) {
+            case 'single':
+            case 'multiple': {
+                const options = Array.isArray(question.options) ? question.options : [];
+                const isCorrect = index => type === 'multiple'
+                    ? Array.isArray(question.correct) && question.correct.includes(index)
+                    : question.correct === index;
+                return `
+                    <fieldset class="authoring-field authoring-options">
+                        <legend>${t('authoring.options')}</legend>
+                        ${options.map((option, index) => {
+                            const letter = String.fromCharCode(65 + index);
+                            return `
+                                <div class="authoring-option">
+                                    <input type="${type === 'multiple' ? 'checkbox' : 'radio'}" name="authoring-correct" data-field="correct-option" data-index="${index}"
+                                        aria-label="${t('authoring.correctOption', { letter })}" ${isCorrect(index) ? 'checked' : ''}>
+                                    <span class="authoring-option-letter">${letter}.</span>
+                                    <input type="text" value="${escapeHTML(option)}" data-field="option" data-index="${index}" aria-label="${t('authoring.option', { letter })}">
+                                    <button type="button" class="authoring-move" data-action="remove-option" data-value="${index}" aria-label="${t('authoring.removeOption', { letter })}">
+                                        <i class="fas fa-times"></i>
+                                    </button>
+                                </div>
+                            `;
+                        }).join('')}
+                        <button type="button" class="authoring-btn" data-action="add-option">
+                            <i class="fas fa-plus"></i> ${t('authoring.addOption')}
+                        </button>
+                    </fieldset>
+                `;
+            }
+            case 'truefalse':
+                return `
+                    <label class="authoring-field">
+                        <span>${t('authoring.correctAnswer')}</span>
+                        <select data-field="truefalse">
+                            <option value="true" ${question.correct === true ? 'selected' : ''}>${t('quiz.true')}</option>
+                            <option value="false" ${question.correct === false ? 'selected' : ''}>${t('quiz.false')}</option>
+                        </select>
+                    </label>
+                `;
+            case 'fill':
+                return `
+                    ${this.renderTextField(t('authoring.answers'), 'answers', (question.answers || []).join('\n'), { multiline: true, rows: 3 })}
+                    <label class="authoring-check">
+                        <input type="checkbox" data-field="caseSensitive" ${question.caseSensitive ? 'checked' : ''}>
+                        ${t('authoring.caseSensitive')}
+                    </label>
+                `;
+            case 'order':
+                return this.renderTextField(t('authoring.items'), 'items', (question.items || []).join('\n'), { multiline: true, rows: 5 });
+            case 'match':
+                return this.renderTextField(t('authoring.pairs'), 'pairs',
+                    (question.pairs || []).map(pair => `${pair?.left ?? ''} | ${pair?.right ?? ''}`).join('\n'), { multiline: true, rows: 5 });
+            default:
+                return '';
+        }
+    },
+    
+    renderLessonEditor(id) {
+        const lesson = this.draft.lessons[id];
+        return `
+            <div class="authoring-section">
+                <div data-issues="lesson"></div>
+                ${this.renderTextField(t('authoring.lessonId'), 'lesson-id', id)}
+                ${this.renderLocalizedFields(t('authoring.titleField'), 'lesson-title', lesson.title)}
+                ${this.renderLocalizedFields(t('authoring.body'), 'lesson-body', lesson.body, { multiline: true, rows: 12 })}
+                <div class="authoring-actions">
+                    <button type="button" class="quiz-btn" data-action="preview-lesson">
+                        <i class="fas fa-eye"></i> ${t('authoring.preview')}
+                    </button>
+                    <button type="button" class="authoring-btn authoring-btn-danger" data-action="delete-lesson">
+                        <i class="fas fa-trash"></i> ${t('authoring.deleteLesson')}
+                    </button>
+                </div>
+            </div>
+        `;
+    },
+    
+    // Redraw problem lists without touching the form, so typing keeps its focus
+    refreshIssues() {
+        const editor = DOMCache.authoringBody.querySelector('.authoring-editor');
+        if (!editor) return;
+        
+        const quiz = this.draft.quizzes[this.quiz];
+        const question = quiz?.questions?.[this.question];
+        const slots = {
+            quiz: () => (quiz ? this.quizIssues(this.quiz) : []),
+            question: () => (question ? this.questionIssues(question) : []),
+            lesson: () => (this.lesson ? this.lessonIssues(this.lesson) : [])
+        };
+        let blocked = false;
+        editor.querySelectorAll('[data-issues]').forEach(slot => {
+            const issues = slots[slot.getAttribute('data-issues')]();
+            slot.innerHTML = this.renderIssues(issues);
+            blocked = blocked || issues.length > 0;
+        });
+        
+        // Broken entries cannot be previewed, the site would skip them as well
+        editor.querySelectorAll('[data-action^="preview-"]').forEach(button => {
+            button.disabled = blocked;
+            button.title = blocked ? t('authoring.previewBlocked') : '';
+        });
+        this.renderSidebar();
+    },
+    
+    setStatus(message) {
+        this.status = message;
+        const status = DOMCache.authoringBody.querySelector('.authoring-status');
+        if (status) status.textContent = message;
+    },
+    
+    // Quizzes built from passages only may have no `questions` of their own yet
+    ensureQuestions(quiz) {
+        if (!Array.isArray(quiz.questions)) quiz.questions = [];
+        return quiz.questions;
+    },
+    
+    // Passage questions live in passages.json, which the panel does not edit
+    renderPassageNote(quiz) {
+        if (!Array.isArray(quiz?.passages) || quiz.passages.length === 0) return '';
+        return `
+            <p class="authoring-note">
+                <i class="fas fa-book-open"></i>
+                ${t('authoring.passageQuestions', { passages: quiz.passages.map(escapeHTML).join(', ') })}
+            </p>
+        `;
+    },
+    
+    handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button || button.disabled) return;
+        this.setStatus('');
+        
+        const value = button.getAttribute('data-value');
+        const offset = parseInt(button.getAttribute('data-move'), 10);
+        const quiz = this.draft.quizzes[this.quiz];
+        const question = quiz?.questions?.[this.question];
+        
+        switch (button.getAttribute('data-action')) {
+            case 'view':
+                this.view = button.getAttribute('data-view');
+                this.render();
+                DOMCache.authoringBody.querySelector(`[data-view="${this.view}"]`)?.focus();
+                return;
+            case 'select-question':
+                this.question = parseInt(value, 10);
+                break;
+            case 'move-question': {
+                const questions = this.ensureQuestions(quiz);
+                const from = parseInt(value, 10);
+                const [moved] = questions.splice(from, 1);
+                questions.splice(from + offset, 0, moved);
+                this.question = from + offset;
+                break;
+            }
+            case 'add-question': {
+                const questions = this.ensureQuestions(quiz);
+                questions.push({ question: '', options: ['', ''], correct: 0, explanation: '' });
+                this.question = questions.length - 1;
+                break;
+            }
+            case 'delete-question':
+                if (!confirm(t('authoring.deleteQuestionConfirm', { number: this.question + 1 }))) return;
+                this.ensureQuestions(quiz).splice(this.question, 1);
+                break;
+            case 'add-option':
+                question.options = [...(Array.isArray(question.options) ? question.options : []), ''];
+                break;
+            case 'remove-option':
+                this.removeOption(question, parseInt(value, 10));
+                break;
+            case 'add-quiz': {
+                const category = uniqueContentId(this.draft.quizzes, 'quiz');
+                this.draft.quizzes[category] = { title: '', icon: 'fas fa-question-circle', questions: [] };
+                this.quiz = category;
+                this.question = 0;
+                break;
+            }
+            case 'delete-quiz':
+                if (!confirm(t('authoring.deleteQuizConfirm', { name: this.quiz }))) return;
+                delete this.draft.quizzes[this.quiz];
+                break;
+            case 'select-lesson':
+                this.lesson = value;
+                break;
+            case 'move-lesson':
+                this.draft.lessons = moveObjectKey(this.draft.lessons, value, offset);
+                this.lesson = value;
+                break;
+            case 'add-lesson': {
+                const id = uniqueContentId(this.draft.lessons, 'lesson');
+                this.draft.lessons[id] = { title: '', body: '' };
+                this.lesson = id;
+                break;
             }
-        ]
-    }
-};
-
-// Quiz state management
-const QuizState = {
-    currentQuiz: null,
-    currentQuestion: 0,
-    userAnswers: [],
-    score: 0,
-    
-    reset() {
-        this.currentQuiz = null;
-        this.currentQuestion = 0;
-        this.userAnswers = [];
-        this.score = 0;
+            case 'delete-lesson':
+                if (!confirm(t('authoring.deleteLessonConfirm', { name: this.lesson }))) return;
+                delete this.draft.lessons[this.lesson];
+                break;
+            case 'preview-question':
+                this.previewQuestion();
+                return;
+            case 'preview-lesson':
+                this.previewLesson();
+                return;
+            case 'import':
+                DOMCache.authoringBody.querySelector('[data-field="import"]')?.click();
+                return;
+            case 'export':
+                this.exportFile();
+                return;
+            case 'reset':
+                if (!confirm(t('authoring.resetConfirm'))) return;
+                LocalStore.remove(this.storageKey);
+                this.draft = this.siteContent();
+                this.render();
+                return;
+            default:
+                return;
+        }
+        
+        this.save();
+        this.render();
+        // The list was redrawn; keep focus on the control that was used
+        const action = button.getAttribute('data-action');
+        const selector = action.startsWith('move-')
+            ? `[data-action="${action}"][data-value="${action === 'move-lesson' ? value : parseInt(value, 10) + offset}"][data-move="${offset}"]:not([disabled])`
+            : '.authoring-editor input, .authoring-editor textarea, .authoring-editor select';
+        DOMCache.authoringBody.querySelector(selector)?.focus();
     },
     
-    init(category) {
-        this.reset();
-        this.currentQuiz = quizData[category];
-        return this.currentQuiz !== null;
-    }
-};
-
-function startQuiz(category) {
-    if (!QuizState.init(category) || !DOMCache.quizModal) return;
+    // Keep the answer key pointing at the same options after one is removed
+    removeOption(question, index) {
+        question.options.splice(index, 1);
+        if (Array.isArray(question.correct)) {
+            question.correct = question.correct.filter(value => value !== index).map(value => (value > index ? value - 1 : value));
+        } else if (Number.isInteger(question.correct)) {
+            // Removing the correct option leaves the key unset, validation asks for a new one
+            if (question.correct === index) delete question.correct;
+            else if (question.correct > index) question.correct--;
+        }
+    },
     
-    showQuestion();
-    requestAnimationFrame(() => {
-        DOMCache.quizModal.style.display = 'block';
-        document.body.style.overflow = 'hidden';
-    });
-}
-
-function showQuestion() {
-    if (!QuizState.currentQuiz || !DOMCache.quizBody) return;
+    changeType(question, type) {
+        const keep = QUESTION_TYPE_FIELDS[type];
+        Object.values(QUESTION_TYPE_FIELDS).flat().forEach(field => {
+            if (!keep.includes(field)) delete question[field];
+        });
+        if (type === 'single') {
+            delete question.type;
+            question.options = question.options || ['', ''];
+            question.correct = Array.isArray(question.correct) ? (question.correct[0] ?? 0) : (question.correct ?? 0);
+        } else {
+            question.type = type;
+        }
+        if (type === 'multiple') {
+            question.options = question.options || ['', ''];
+            question.correct = Number.isInteger(question.correct) ? [question.correct] : [];
+        }
+        if (type === 'truefalse') question.correct = true;
+        if (type === 'fill') question.answers = [];
+        if (type === 'order') question.items = [];
+        if (type === 'match') question.pairs = [];
+    },
     
-    const question = QuizState.currentQuiz.questions[QuizState.currentQuestion];
-    const totalQuestions = QuizState.currentQuiz.questions.length;
-    const progress = ((QuizState.currentQuestion + 1) / totalQuestions) * 100;
+    // Returns true when the form has to be redrawn
+    updateField(input) {
+        const field = input.getAttribute('data-field');
+        const lang = input.getAttribute('data-lang');
+        const index = parseInt(input.getAttribute('data-index'), 10);
+        const value = input.value;
+        const quiz = this.draft.quizzes[this.quiz];
+        const question = quiz?.questions?.[this.question];
+        const lesson = this.draft.lessons[this.lesson];
+        const setOptional = (target, key, optional) => {
+            if (optional === undefined || optional === '' || (Array.isArray(optional) && optional.length === 0)) delete target[key];
+            else target[key] = optional;
+        };
+        
+        switch (field) {
+            case 'quiz-select':
+                this.quiz = value;
+                this.question = 0;
+                return true;
+            case 'quiz-key':
+                return this.renameQuiz(value.trim());
+            case 'quiz-title':
+                quiz.title = writeLocalizedText(quiz.title, lang, value);
+                break;
+            case 'quiz-description':
+                setOptional(quiz, 'description', writeLocalizedText(quiz.description, lang, value));
+                break;
+            case 'quiz-icon':
+                setOptional(quiz, 'icon', value.trim());
+                break;
+            case 'quiz-lesson':
+                setOptional(quiz, 'lesson', value);
+                break;
+            case 'type':
+                this.changeType(question, value);
+                return true;
+            case 'question':
+                question.question = value;
+                break;
+            case 'option':
+                question.options[index] = value;
+                break;
+            case 'correct-option':
+                if (question.type === 'multiple') {
+                    const correct = (Array.isArray(question.correct) ? question.correct : []).filter(item => item !== index);
+                    question.correct = input.checked ? [...correct, index].sort((a, b) => a - b) : correct;
+                } else {
+                    question.correct = index;
+                }
+                break;
+            case 'truefalse':
+                question.correct = value === 'true';
+                break;
+            case 'answers':
+                question.answers = splitLines(value);
+                break;
+            case 'caseSensitive':
+                setOptional(question, 'caseSensitive', input.checked || undefined);
+                break;
+            case 'items':
+                question.items = splitLines(value);
+                break;
+            case 'pairs':
+                question.pairs = splitLines(value).map(line => {
+                    const [left, ...right] = line.split('|');
+                    return { left: left.trim(), right: right.join('|').trim() };
+                });
+                break;
+            case 'explanation':
+                question.explanation = writeLocalizedText(question.explanation, lang, value);
+                break;
+            case 'difficulty':
+                setOptional(question, 'difficulty', value);
+                break;
+            case 'tags':
+                setOptional(question, 'tags', value.split(',').map(tag => tag.trim()).filter(Boolean));
+                break;
+            case 'lesson':
+                setOptional(question, 'lesson', value);
+                break;
+            case 'lesson-id':
+                return this.renameLesson(value.trim());
+            case 'lesson-title':
+                lesson.title = writeLocalizedText(lesson.title, lang, value);
+                break;
+            case 'lesson-body':
+                lesson.body = writeLocalizedText(lesson.body, lang, value, toLessonBody);
+                break;
+            case 'import':
+                this.importFile(input.files?.[0]);
+                input.value = '';
+                return false;
+            default:
+                return false;
+        }
+        return false;
+    },
     
-    // Use template literal with minimal DOM manipulation
-    const questionHTML = `
-        <div class="quiz-container">
-            <div class="quiz-header">
-                <h2>${QuizState.currentQuiz.title}</h2>
-                <div class="quiz-progress">
-                    <div class="quiz-progress-bar" style="width: ${progress}%"></div>
-                </div>
-                <p>Question ${QuizState.currentQuestion + 1} of ${totalQuestions}</p>
-            </div>
-            
-            <div class="quiz-question">
-                ${question.question}
-            </div>
-            
-            <div class="quiz-options">
-                ${question.options.map((option, index) => `
-                    <div class="quiz-option" data-option="${index}">
-                        ${String.fromCharCode(65 + index)}. ${option}
-                    </div>
-                `).join('')}
-            </div>
-            
-            <div class="quiz-navigation">
-                <button class="quiz-btn" id="prev-btn" ${QuizState.currentQuestion === 0 ? 'disabled' : ''}>
-                    Previous
-                </button>
-                <button class="quiz-btn" id="next-btn" disabled>
-                    ${QuizState.currentQuestion === totalQuestions - 1 ? 'Finish' : 'Next'}
-                </button>
-            </div>
-        </div>
-    `;
+    // Ids are renamed when the field is left, so half-typed ids never clash with others
+    checkNewId(id, existing) {
+        if (!CONTENT_ID_PATTERN.test(id)) {
+            this.setStatus(t('authoring.invalidId'));
+            return false;
+        }
+        if (existing[id]) {
+            this.setStatus(t('authoring.duplicateId', { id }));
+            return false;
+        }
+        return true;
+    },
     
-    DOMCache.quizBody.innerHTML = questionHTML;
+    renameQuiz(category) {
+        if (category !== this.quiz && this.checkNewId(category, this.draft.quizzes)) {
+            this.draft.quizzes = renameObjectKey(this.draft.quizzes, this.quiz, category);
+            this.quiz = category;
+        }
+        return true;
+    },
     
-    // Add event listeners using event delegation
-    setupQuizEventListeners();
+    // Quizzes that link to the lesson follow the new id
+    renameLesson(id) {
+        if (id !== this.lesson && this.checkNewId(id, this.draft.lessons)) {
+            const previous = this.lesson;
+            this.draft.lessons = renameObjectKey(this.draft.lessons, previous, id);
+            Object.values(this.draft.quizzes).forEach(quiz => {
+                if (quiz?.lesson === previous) quiz.lesson = id;
+                (Array.isArray(quiz?.questions) ? quiz.questions : []).forEach(question => {
+                    if (question?.lesson === previous) question.lesson = id;
+                });
+            });
+            this.lesson = id;
+        }
+        return true;
+    },
     
-    // Restore previous answer if exists
-    if (QuizState.userAnswers[QuizState.currentQuestion] !== undefined) {
-        const selectedOption = DOMCache.quizBody.querySelector(`[data-option="${QuizState.userAnswers[QuizState.currentQuestion]}"]`);
-        if (selectedOption) {
-            selectedOption.classList.add('selected');
-            document.getElementById('next-btn').disabled = false;
+    handleInput(e, eventType) {
+        const input = e.target.closest('[data-field]');
+        if (!input) return;
+        
+        // Text is saved while typing; ids, selects and checkboxes once they change
+        const typing = input.matches('textarea, input[type="text"]') && !['quiz-key', 'lesson-id'].includes(input.getAttribute('data-field'));
+        if (typing !== (eventType === 'input')) return;
+        this.setStatus('');
+        
+        const redraw = this.updateField(input);
+        this.save();
+        if (redraw) {
+            this.render();
+        } else {
+            this.refreshIssues();
         }
-    }
-}
-
-function setupQuizEventListeners() {
-    const optionsContainer = DOMCache.quizBody.querySelector('.quiz-options');
-    const prevBtn = document.getElementById('prev-btn');
-    const nextBtn = document.getElementById('next-btn');
+    },
     
-    // Event delegation for quiz options
-    if (optionsContainer) {
-        optionsContainer.addEventListener('click', (e) => {
-            if (e.target.classList.contains('quiz-option')) {
-                const optionIndex = parseInt(e.target.getAttribute('data-option'));
-                selectAnswer(optionIndex);
+    // Preview runs the real quiz flow on the draft quiz, from the selected question.
+    // Shuffling, sampling and exam rules are left out so the order matches the editor.
+    previewQuestion() {
+        const quiz = this.draft.quizzes[this.quiz];
+        const { entries } = validateQuizFile({
+            version: CONTENT_VERSION,
+            quizzes: {
+                [PREVIEW_CATEGORY]: { ...quiz, exam: undefined, sample: undefined, shuffleQuestions: false, shuffleOptions: false }
             }
         });
-    }
+        this.previewQuiz = entries[PREVIEW_CATEGORY];
+        if (!this.previewQuiz) return;
+        
+        const index = this.previewQuiz.questions.indexOf(quiz.questions[this.question]);
+        startQuiz(PREVIEW_CATEGORY);
+        if (index > 0) {
+            QuizState.goTo(index);
+            showQuestion();
+        }
+    },
     
-    // Navigation buttons
-    if (prevBtn) prevBtn.addEventListener('click', previousQuestion);
-    if (nextBtn) nextBtn.addEventListener('click', nextQuestion);
-}
-
-function selectAnswer(optionIndex) {
-    const options = DOMCache.quizBody.querySelectorAll('.quiz-option');
+    previewLesson() {
+        const { entries } = validateLessonFile({ version: CONTENT_VERSION, lessons: { [this.lesson]: this.draft.lessons[this.lesson] } });
+        if (entries[this.lesson]) openMateriModal(this.lesson, entries[this.lesson]);
+    },
     
-    // Batch DOM updates
-    requestAnimationFrame(() => {
-        options.forEach(option => option.classList.remove('selected'));
-        options[optionIndex]?.classList.add('selected');
+    exportFile() {
+        const count = this.countIssues();
+        if (count > 0 && !confirm(t('authoring.exportConfirm', { count }))) return;
         
-        QuizState.userAnswers[QuizState.currentQuestion] = optionIndex;
-        document.getElementById('next-btn').disabled = false;
-    });
-}
-
-function nextQuestion() {
-    if (QuizState.currentQuestion < QuizState.currentQuiz.questions.length - 1) {
-        QuizState.currentQuestion++;
-        showQuestion();
-    } else {
-        calculateScore();
-        showResults();
-    }
-}
-
-function previousQuestion() {
-    if (QuizState.currentQuestion > 0) {
-        QuizState.currentQuestion--;
-        showQuestion();
-    }
-}
-
-function calculateScore() {
-    QuizState.score = QuizState.currentQuiz.questions.reduce((score, question, index) => {
-        return QuizState.userAnswers[index] === question.correct ? score + 1 : score;
-    }, 0);
-}
-
-function showResults() {
-    const totalQuestions = QuizState.currentQuiz.questions.length;
-    const percentage = Math.round((QuizState.score / totalQuestions) * 100);
+        const key = this.view === 'lessons' ? 'lessons' : 'quizzes';
+        const file = `${key}.json`;
+        const data = { version: CONTENT_VERSION, [key]: this.draft[key] };
+        downloadFile(file, JSON.stringify(data, null, 4) + '\n', 'application/json');
+        
+        this.setStatus(t('authoring.exported', { file }));
+    },
     
-    let feedback = '';
-    if (percentage >= 80) {
-        feedback = 'Excellent! You have a great understanding of the material.';
-    } else if (percentage >= 60) {
-        feedback = 'Good job! Keep practicing to improve further.';
-    } else {
-        feedback = 'Keep studying! Review the materials and try again.';
+    // Accepts files in the same format as content/lessons.json and content/quizzes.json
+    async importFile(file) {
+        if (!file) return;
+        
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.setStatus(t('authoring.importFailed', { error: error.message }));
+            return;
+        }
+        
+        const key = isPlainObject(data?.lessons) ? 'lessons' : isPlainObject(data?.quizzes) ? 'quizzes' : null;
+        const errors = [];
+        if (!key) {
+            this.setStatus(t('authoring.importUnknown'));
+            return;
+        }
+        if (!checkContentVersion(data, errors)) {
+            this.setStatus(t('authoring.importFailed', { error: errors.join('; ') }));
+            return;
+        }
+        
+        this.draft[key] = data[key];
+        this.view = key;
+        this.save();
+        this.render();
+        this.setStatus(t('authoring.imported', { file: file.name, count: Object.keys(data[key]).length }));
     }
-    
-    const resultsHTML = `
-        <div class="quiz-results">
-            <h2>Quiz Results</h2>
-            <div class="quiz-score">${percentage}%</div>
-            <p>You scored ${QuizState.score} out of ${totalQuestions} questions correctly.</p>
-            <div class="quiz-feedback">${feedback}</div>
-            
-            <div class="quiz-review">
-                <h3>Review Your Answers:</h3>
-                ${QuizState.currentQuiz.questions.map((question, index) => {
-                    const isCorrect = QuizState.userAnswers[index] === question.correct;
-                    return `
-                        <div style="margin: 20px 0; padding: 15px; background: rgba(255,255,255,0.05); border-radius: 10px;">
-                            <p><strong>Q${index + 1}:</strong> ${question.question}</p>
-                            <p style="color: ${isCorrect ? '#22c55e' : '#ef4444'};">
-                                Your answer: ${question.options[QuizState.userAnswers[index]] || 'Not answered'}
-                                ${isCorrect ? ' ✓' : ' ✗'}
-                            </p>
-                            ${!isCorrect ? `<p style="color: #22c55e;">Correct answer: ${question.options[question.correct]}</p>` : ''}
-                            <p style="color: #cbd5e1; font-size: 0.9em;"><em>${question.explanation}</em></p>
-                        </div>
-                    `;
-                }).join('')}
-            </div>
-            
-            <div style="text-align: center; margin-top: 30px;">
-                <button class="quiz-btn" id="close-quiz-btn">Close</button>
-                <button class="quiz-btn" id="restart-quiz-btn" style="margin-left: 10px;">Try Again</button>
-            </div>
-        </div>
-    `;
-    
-    DOMCache.quizBody.innerHTML = resultsHTML;
-    
-    // Add event listeners for results buttons
-    document.getElementById('close-quiz-btn')?.addEventListener('click', closeQuizModal);
-    document.getElementById('restart-quiz-btn')?.addEventListener('click', restartQuiz);
-}
-
-function restartQuiz() {
-    QuizState.currentQuestion = 0;
-    QuizState.userAnswers = [];
-    QuizState.score = 0;
-    showQuestion();
-}
+};
 
-function closeQuizModal() {
-    if (!DOMCache.quizModal) return;
-    
-    requestAnimationFrame(() => {
-        DOMCache.quizModal.style.display = 'none';
-        document.body.style.overflow = 'auto';
-    });
+function initAuthoring() {
+    const body = DOMCache.authoringBody;
+    if (!body) return;
+    body.addEventListener('click', (e) => Authoring.handleClick(e));
+    body.addEventListener('input', (e) => Authoring.handleInput(e, 'input'));
+    body.addEventListener('change', (e) => Authoring.handleInput(e, 'change'));
 }
 
 // ===============================
@@ -785,8 +8899,10 @@ const AnimationController = {
         this.observeElements();
     },
     
-    observeElements() {
-        const elementsToAnimate = document.querySelectorAll('.feature-card, .materi-card, .category-card');
+    observeElements(root = document) {
+        if (!this.observer) return;
+        
+        const elementsToAnimate = root.querySelectorAll('.feature-card, .materi-card, .category-card');
         
         elementsToAnimate.forEach((el, index) => {
             el.style.opacity = '0';
@@ -837,7 +8953,8 @@ function initScrollTopButton() {
     const scrollTopBtn = document.createElement('button');
     scrollTopBtn.innerHTML = '<i class="fas fa-chevron-up"></i>';
     scrollTopBtn.className = 'scroll-top-btn';
-    scrollTopBtn.setAttribute('aria-label', 'Scroll to top');
+    scrollTopBtn.setAttribute('data-i18n-attr', 'aria-label:common.scrollTop');
+    scrollTopBtn.setAttribute('aria-label', t('common.scrollTop'));
     scrollTopBtn.style.cssText = `
         position: fixed;
         bottom: 30px;
@@ -885,23 +9002,151 @@ function initScrollTopButton() {
 // OPTIMIZED EVENT HANDLERS
 // ===============================
 
+// Shortcut list shown by the `?` overlay; labels are message keys
+const SHORTCUTS = {
+    quiz: [
+        { keys: ['1–4', 'A–D'], label: 'shortcuts.quiz.select' },
+        { keys: ['Enter', '→'], label: 'shortcuts.quiz.next' },
+        { keys: ['←'], label: 'shortcuts.quiz.previous' },
+        { keys: ['R'], label: 'shortcuts.quiz.restart' }
+    ],
+    flashcards: [
+        { keys: ['Space', 'Enter'], label: 'shortcuts.flashcards.flip' },
+        { keys: ['1–4'], label: 'shortcuts.flashcards.grade' }
+    ],
+    page: [
+        { keys: ['/'], label: 'shortcuts.page.search' },
+        { keys: ['M'], label: 'shortcuts.page.menu' },
+        { keys: ['Ctrl', 'Home'], label: 'shortcuts.page.top' }
+    ],
+    general: [
+        { keys: ['?'], label: 'shortcuts.general.help' },
+        { keys: ['Esc'], label: 'shortcuts.general.close' },
+        { keys: ['Tab'], label: 'shortcuts.general.tab' }
+    ]
+};
+
+function renderShortcutGroup(titleKey, shortcuts) {
+    return `
+        <section class="shortcut-group">
+            <h3>${t(titleKey)}</h3>
+            <dl>
+                ${shortcuts.map(shortcut => `
+                    <div class="shortcut-row">
+                        <dt>${shortcut.keys.map(key => `<kbd>${escapeHTML(key)}</kbd>`).join(' ')}</dt>
+                        <dd>${t(shortcut.label)}</dd>
+                    </div>
+                `).join('')}
+            </dl>
+        </section>
+    `;
+}
+
+// Lists the shortcuts of whichever modal is open (or of the page), then the general ones
+function openShortcutHelp() {
+    if (!DOMCache.shortcutsModal || !DOMCache.shortcutsBody) return;
+    
+    const top = Dialog.top();
+    const scope = top === DOMCache.quizModal ? 'quiz' : top === DOMCache.flashcardModal ? 'flashcards' : top ? null : 'page';
+    DOMCache.shortcutsBody.innerHTML = `
+        <h2>${t('shortcuts.title')}</h2>
+        ${scope ? renderShortcutGroup(`shortcuts.${scope}.title`, SHORTCUTS[scope]) : ''}
+        ${renderShortcutGroup('shortcuts.general.title', SHORTCUTS.general)}
+    `;
+    
+    requestAnimationFrame(() => {
+        DOMCache.shortcutsModal.style.display = 'block';
+        Dialog.open(DOMCache.shortcutsModal, '.close');
+    });
+}
+
+function closeShortcutHelp() {
+    if (!DOMCache.shortcutsModal) return;
+    
+    requestAnimationFrame(() => {
+        DOMCache.shortcutsModal.style.display = 'none';
+        Dialog.close(DOMCache.shortcutsModal);
+    });
+}
+
+// Close buttons, backdrop clicks and Escape all go through here
+function closeModal(modal) {
+    if (modal === DOMCache.materiModal) closeMateriModal();
+    else if (modal === DOMCache.quizModal) closeQuizModal();
+    else if (modal === DOMCache.flashcardModal) closeFlashcardModal();
+    else if (modal === DOMCache.shortcutsModal) closeShortcutHelp();
+    else if (modal === DOMCache.profileModal) closeProfilePanel();
+    else if (modal === DOMCache.learnersModal) LearnerProfiles.close();
+    else if (modal === DOMCache.authoringModal) Authoring.close();
+}
+
 // Global event delegation for modals
 function initModalEventDelegation() {
     document.addEventListener('click', (e) => {
         // Handle modal close buttons
+        // Only close the modal the button belongs to; a lesson can be stacked over the quiz
         if (e.target.classList.contains('close') || e.target.closest('.close')) {
+            closeModal(e.target.closest('.modal'));
+            return;
+        }
+        
+        if (e.target.closest('[data-shortcuts]')) {
+            openShortcutHelp();
+            return;
+        }
+        
+        if (e.target.closest('[data-authoring]')) {
+            Authoring.open();
+            return;
+        }
+        
+        if (e.target.closest('[data-profile]')) {
+            openProfilePanel();
+            return;
+        }
+        
+        if (e.target.closest('[data-learners]')) {
+            LearnerProfiles.open();
+            return;
+        }
+        
+        // Flashcard decks can be opened from lessons and from the Latihan section
+        const deckButton = e.target.closest('[data-flashcards]');
+        if (deckButton) {
+            openFlashcards(deckButton.getAttribute('data-flashcards'));
+            return;
+        }
+        
+        // The drill for one tense, started from the conjugation explorer in the lesson
+        const drillButton = e.target.closest('[data-tense-drill]');
+        if (drillButton) {
+            closeMateriModal();
+            startQuiz(`${TENSE_DRILL_CATEGORY}.${drillButton.getAttribute('data-tense-drill')}`);
+            return;
+        }
+        
+        // A passage and its questions, started from a reading lesson
+        const passageButton = e.target.closest('[data-reading-passage]');
+        if (passageButton) {
             closeMateriModal();
-            closeQuizModal();
+            startQuiz(`${PASSAGE_CATEGORY}.${passageButton.getAttribute('data-reading-passage')}`);
+            return;
+        }
+        
+        // Tap a word in a passage for its meaning
+        const passageWord = e.target.closest('.passage-word');
+        if (passageWord) {
+            showGlossaryEntry(passageWord);
+            return;
+        }
+        if (e.target.closest('.glossary-close')) {
+            hideGlossaryEntry(e.target.closest('.reading-passage'));
             return;
         }
         
         // Handle modal background clicks
         if (e.target.classList.contains('modal')) {
-            if (e.target === DOMCache.materiModal) {
-                closeMateriModal();
-            } else if (e.target === DOMCache.quizModal) {
-                closeQuizModal();
-            }
+            closeModal(e.target);
         }
     });
 }
@@ -909,14 +9154,32 @@ function initModalEventDelegation() {
 // Optimized keyboard shortcuts
 function initKeyboardShortcuts() {
     const handleKeydown = (e) => {
+        Dialog.handleKey(e);
+        // Option lists and other widgets handle their own arrow keys first
+        if (e.defaultPrevented) return;
+        // Modal shortcuts only apply while that modal is the top dialog
+        if (FlashcardSession.handleKey(e) || handleQuizKey(e)) return;
+        
+        const typing = e.target.closest?.('input, textarea, select');
         switch (e.key) {
             case 'Escape':
-                closeMateriModal();
-                closeQuizModal();
+                // Only the top dialog closes, e.g. a lesson stacked over the quiz
+                closeModal(Dialog.top());
+                break;
+            case '?':
+                if (typing) break;
+                e.preventDefault();
+                if (Dialog.top() === DOMCache.shortcutsModal) closeShortcutHelp();
+                else openShortcutHelp();
+                break;
+            case '/':
+                if (typing || Dialog.top()) break;
+                e.preventDefault();
+                SiteSearch.focus();
                 break;
             case 'm':
             case 'M':
-                if (window.innerWidth <= 768 && !e.ctrlKey && !e.altKey) {
+                if (window.innerWidth <= 768 && !e.ctrlKey && !e.altKey && !typing && !Dialog.top()) {
                     e.preventDefault();
                     if (DOMCache.hamburger && DOMCache.navMenu) {
                         DOMCache.hamburger.classList.toggle('active');
@@ -925,7 +9188,7 @@ function initKeyboardShortcuts() {
                 }
                 break;
             case 'Home':
-                if (e.ctrlKey) {
+                if (e.ctrlKey && !Dialog.top()) {
                     e.preventDefault();
                     scrollToTop();
                 }
@@ -999,16 +9262,44 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize DOM cache first
     DOMCache.init();
     
+    // The learner profile decides which saved data (language included) is read
+    LearnerProfiles.init();
+    
+    // Language comes first so every component renders in it
+    I18n.init();
+    
     // Initialize all components
     initLoadingScreen();
+    Toasts.init();
     initNavigation();
+    initLanguageSwitch();
     initTabs();
+    initTopicCards();
+    initQuizCategories();
     initScrollTopButton();
+    OfflineSupport.init();
     initModalEventDelegation();
     initKeyboardShortcuts();
+    initProgressDashboard();
+    renderProfileSummary();
+    initAuthoring();
+    initLearnerProfiles();
+    initPlacementTest();
+    SiteSearch.init();
     AnimationController.init();
     PerformanceMonitor.init();
     
+    // Lessons and quizzes are fetched in the background, modals wait for them
+    ContentLoader.load().then(() => {
+        renderMateriTabs();
+        renderQuizCategories();
+        renderProgressDashboard();
+        renderPlacementGreeting();
+        
+        // Deep links need the tabs and content in place; a locked profile follows them once unlocked
+        if (!LearnerProfiles.locked) Router.init();
+    });
+    
     // Mark body as ready for any CSS transitions
     requestAnimationFrame(() => {
         document.body.classList.add('js-ready');
@@ -1053,6 +9344,7 @@ document.addEventListener('visibilitychange', () => {
         // Resume operations when tab becomes visible
         AnimationController.init();
     }
+    ExamTimer.handleVisibilityChange(document.hidden);
 });
 
 // ===============================
@@ -1063,6 +9355,8 @@ window.openMateriModal = openMateriModal;
 window.closeMateriModal = closeMateriModal;
 window.startQuiz = startQuiz;
 window.closeQuizModal = closeQuizModal;
+window.openFlashcards = openFlashcards;
+window.closeFlashcardModal = closeFlashcardModal;
 window.selectAnswer = selectAnswer;
 window.nextQuestion = nextQuestion;
 window.previousQuestion = previousQuestion;
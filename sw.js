@@ -0,0 +1,125 @@
+// ===============================
+// EDUVERSE SERVICE WORKER
+// ===============================
+// Keeps the site usable offline. Bump CACHE_VERSION with every release: the new
+// worker then precaches the new files and waits until the learner accepts the
+// update prompt shown by script.js.
+const CACHE_VERSION = 'v23';
+const STATIC_CACHE = `eduverse-static-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `eduverse-runtime-${CACHE_VERSION}`;
+
+// The app shell and all lesson/quiz content; installing fails if any of these is missing
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'script.js',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'content/lessons.json',
+    'content/quizzes.json',
+    'content/topics.json',
+    'content/vocabulary.json',
+    'content/tenses.json',
+    'content/drills.json',
+    'content/passages.json',
+    'content/placement.json',
+    'content/badges.json'
+];
+
+// Icons and the font come from CDNs; cached when possible, but never allowed to block installing
+const CDN_URLS = [
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css',
+    'https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;500;600;700&display=swap'
+];
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(STATIC_CACHE);
+        await cache.addAll(PRECACHE_URLS);
+        
+        const runtime = await caches.open(RUNTIME_CACHE);
+        await Promise.allSettled(CDN_URLS.map(url => runtime.add(url)));
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const keep = [STATIC_CACHE, RUNTIME_CACHE];
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('eduverse-') && !keep.includes(key))
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+// Sent by the update prompt once the learner chooses to reload
+self.addEventListener('message', event => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, STATIC_CACHE, 'index.html'));
+    } else if (url.origin === self.location.origin && url.pathname.includes('/content/')) {
+        // Teachers edit content without a release, so prefer the latest copy
+        event.respondWith(networkFirst(request, STATIC_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(cacheFirst(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+async function networkFirst(request, cacheName, fallbackUrl) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(cacheName);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true })
+            || (fallbackUrl && await caches.match(fallbackUrl));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Lesson audio and other files outside the precache list are kept after their first use
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    // Partial (206) responses to audio range requests cannot be cached
+    if (response.status === 200) {
+        const cache = await caches.open(RUNTIME_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    const refresh = fetch(request)
+        .then(response => {
+            // Cross-origin font files may come back opaque (status 0); those are still usable
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    
+    return cached || refresh;
+}